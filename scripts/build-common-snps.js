@@ -0,0 +1,72 @@
+import { createReadStream, writeFileSync } from 'fs';
+import { createGunzip } from 'zlib';
+import { createInterface } from 'readline';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const projectRoot = join(__dirname, '..');
+const dest = join(projectRoot, 'src/data/common-snps.json');
+
+// Usage: npm run build:snps -- path/to/common_sites.vcf.gz [--min-af 0.3] [--spacing 5000] [--build GRCh38]
+// Any sites VCF with a population AF in INFO works (gnomAD, 1000 Genomes, dbSNP common)
+const args = process.argv.slice(2);
+const source = args[0] && !args[0].startsWith('--') ? args[0] : null;
+const flag = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 ? args[i + 1] : fallback;
+};
+if (!source) {
+  console.error('Usage: npm run build:snps -- <sites.vcf[.gz]> [--min-af 0.3] [--spacing 5000] [--build GRCh38]');
+  console.error('Sites with minor allele frequency >= min-af are kept, at most one per spacing bp');
+  process.exit(1);
+}
+
+const minAf = parseFloat(flag('min-af', '0.3'));
+const spacing = parseInt(flag('spacing', '5000'), 10);
+const build = flag('build', basename(source).match(/(GRCh\d+|hg\d+)/)?.[1] || null);
+
+console.log('🧬 Bundling common SNP sites for B-allele fractions...');
+console.log(`   Source: ${source}`);
+console.log(`   Destination: ${dest}`);
+console.log(`   Minor allele frequency >= ${minAf}, spacing ${spacing} bp`);
+
+const stream = createReadStream(source);
+const lines = createInterface({ input: source.endsWith('.gz') ? stream.pipe(createGunzip()) : stream, crlfDelay: Infinity });
+
+const sites = {};
+const last = {};
+let kept = 0;
+for await (const line of lines) {
+  if (!line || line.startsWith('#')) continue;
+  const [chrom, posText, , ref, alt, , , info] = line.split('\t', 8);
+  if (ref.length !== 1 || alt.length !== 1 || !/^[ACGT]$/.test(ref) || !/^[ACGT]$/.test(alt)) continue;
+
+  const afMatch = info?.match(/(?:^|;)AF=([^;,]+)/);
+  if (!afMatch) continue;
+  const af = parseFloat(afMatch[1]);
+  if (!(Math.min(af, 1 - af) >= minAf)) continue;
+
+  const pos = parseInt(posText, 10);
+  if (last[chrom] !== undefined && pos - last[chrom] < spacing) continue;
+  last[chrom] = pos;
+
+  if (!sites[chrom]) sites[chrom] = { pos: [], alleles: '' };
+  sites[chrom].pos.push(pos);
+  sites[chrom].alleles += ref + alt;
+  kept++;
+}
+
+// One line per chromosome keeps the bundled file diffable
+const meta = {
+  source: basename(source),
+  genome_build: build,
+  min_minor_allele_frequency: minAf,
+  spacing,
+  notes: 'Biallelic SNVs with 1-based positions; alleles holds the REF and ALT base of each site in order.'
+};
+const body = Object.entries(sites).map(([chrom, entry]) => `    ${JSON.stringify(chrom)}: ${JSON.stringify(entry)}`);
+const json = JSON.stringify(meta, null, 2).replace(/\n}$/, '') + `,\n  "sites": {\n${body.join(',\n')}\n  }\n}\n`;
+
+writeFileSync(dest, json);
+console.log(`✅ Wrote ${kept.toLocaleString()} sites on ${Object.keys(sites).length} chromosomes`);
@@ -0,0 +1,39 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { parseCosmicMatrix } from '../src/utils/signatures.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const projectRoot = join(__dirname, '..');
+const dest = join(projectRoot, 'src/data/cosmic-sbs96.json');
+
+// Usage: npm run build:cosmic -- path/to/COSMIC_v3.4_SBS_GRCh38.txt
+const source = process.argv[2];
+if (!source) {
+  console.error('Usage: npm run build:cosmic -- <COSMIC_vX_SBS_GRChNN.txt>');
+  console.error('Download the SBS matrix from https://cancer.sanger.ac.uk/signatures/downloads/');
+  console.error('(the SigProfiler reference CSV, sigProfiler_SBS_signatures_*.csv, works too)');
+  process.exit(1);
+}
+
+console.log('🧬 Bundling COSMIC SBS96 signature matrix...');
+console.log(`   Source: ${source}`);
+console.log(`   Destination: ${dest}`);
+
+// Version and build from the file name, e.g. COSMIC_v3.4_SBS_GRCh38.txt
+const name = basename(source);
+const matrix = parseCosmicMatrix(readFileSync(source, 'utf8'), {
+  source: 'COSMIC Mutational Signatures (SBS)',
+  version: name.match(/_v([\d.]+)_/)?.[1] || null,
+  genome_build: name.match(/(GRCh\d+|mm\d+|rn\d+)/)?.[1] || null,
+  file: name
+});
+
+// One line per signature keeps the bundled file diffable
+const { signatures, channels, ...meta } = matrix;
+const lines = Object.entries(signatures).map(([sig, values]) => `    ${JSON.stringify(sig)}: ${JSON.stringify(values)}`);
+const json = JSON.stringify({ ...meta, channels }, null, 2).replace(/\n}$/, '') +
+  `,\n  "signatures": {\n${lines.join(',\n')}\n  }\n}\n`;
+
+writeFileSync(dest, json);
+console.log(`✅ Wrote ${Object.keys(signatures).length} signatures`);
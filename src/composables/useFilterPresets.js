@@ -0,0 +1,99 @@
+/**
+ * Composable for saved variant filter expressions
+ * A few built-in presets ship with the app; user presets are stored in OPFS. The active
+ * expression is shared so the variant table and the exports filter the same way.
+ */
+
+import { ref, computed } from 'vue';
+import { opfsManager } from '../utils/opfs-manager.js';
+import { parseFilterExpression } from '../utils/filter-expression.js';
+
+const PRESETS_FILE = 'filter-presets.json';
+
+export const BUILTIN_FILTER_PRESETS = [
+  { name: 'PASS, AF ≥ 5%, DP ≥ 50', expression: 'FILTER=="PASS" && AF>=0.05 && DP>=50', builtin: true },
+  { name: 'Protein-altering', expression: 'IMPACT in ["HIGH","MODERATE"]', builtin: true },
+  {
+    name: 'NSCLC drivers',
+    expression: 'gene in ["EGFR","KRAS","BRAF","MET","ERBB2","ALK","ROS1","RET","NTRK1","NTRK2","NTRK3"]',
+    builtin: true
+  },
+  { name: 'Likely artifacts', expression: 'FS>=60 || SOR>3 || MPOS<5 || MMQ<30', builtin: true }
+];
+
+// Shared across views
+const userPresets = ref([]);
+const expression = ref('');
+const applyToExports = ref(true);
+const isLoading = ref(false);
+
+export function useFilterPresets() {
+  const presets = computed(() => [...BUILTIN_FILTER_PRESETS, ...userPresets.value]);
+
+  /**
+   * Load user presets from OPFS
+   */
+  const refreshPresets = async () => {
+    isLoading.value = true;
+    try {
+      if (!await opfsManager.fileExists(PRESETS_FILE)) {
+        userPresets.value = [];
+        return presets.value;
+      }
+      const stored = JSON.parse(await (await opfsManager.readFile(PRESETS_FILE)).text());
+      userPresets.value = (stored.presets || []).filter(p => p?.name && p?.expression);
+      return presets.value;
+    } catch (err) {
+      console.error('Failed to load filter presets:', err);
+      userPresets.value = [];
+      return presets.value;
+    } finally {
+      isLoading.value = false;
+    }
+  };
+
+  const persist = async () => {
+    await opfsManager.writeFile(PRESETS_FILE, JSON.stringify({ presets: userPresets.value }, null, 2));
+  };
+
+  /**
+   * Save (or overwrite) a user preset
+   * @param {string} name
+   * @param {string} text - Filter expression; must parse
+   */
+  const savePreset = async (name, text) => {
+    const trimmed = name?.trim();
+    if (!trimmed) {
+      throw new Error('Preset name is required');
+    }
+    if (BUILTIN_FILTER_PRESETS.some(p => p.name === trimmed)) {
+      throw new Error(`"${trimmed}" is a built-in preset - choose another name`);
+    }
+    parseFilterExpression(text);
+
+    const preset = { name: trimmed, expression: text.trim() };
+    userPresets.value = [...userPresets.value.filter(p => p.name !== trimmed), preset];
+    await persist();
+    console.log(`✓ Filter preset "${trimmed}" saved to OPFS`);
+    return preset;
+  };
+
+  /**
+   * Delete a user preset (built-in presets cannot be deleted)
+   */
+  const deletePreset = async (name) => {
+    userPresets.value = userPresets.value.filter(p => p.name !== name);
+    await persist();
+  };
+
+  return {
+    presets,
+    userPresets,
+    expression,
+    applyToExports,
+    isLoading,
+    refreshPresets,
+    savePreset,
+    deletePreset
+  };
+}
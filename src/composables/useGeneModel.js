@@ -0,0 +1,118 @@
+/**
+ * Composable for the transcript model (GTF / GFF3, optionally gzipped) stored in OPFS
+ * Like the reference genome it is saved once and reused; the worker streams it line by
+ * line and only keeps the transcripts that overlap the variants being annotated
+ */
+
+import { ref } from 'vue';
+import { opfsManager } from '../utils/opfs-manager.js';
+
+const GENE_MODEL_FILE = 'gene-model.annotation';
+const GENE_MODEL_INFO = 'gene-model-info.json';
+
+const SUPPORTED_EXTENSIONS = /\.(gtf|gff|gff3)(\.gz)?$/i;
+
+// Shared across views so every page sees the same stored gene model
+const geneModelInfo = ref(null);
+const isLoading = ref(false);
+
+export function useGeneModel() {
+  /**
+   * Load stored gene model metadata from OPFS (null when none is stored)
+   */
+  const refreshGeneModel = async () => {
+    isLoading.value = true;
+    try {
+      const hasFiles = await opfsManager.fileExists(GENE_MODEL_FILE) &&
+        await opfsManager.fileExists(GENE_MODEL_INFO);
+
+      if (!hasFiles) {
+        geneModelInfo.value = null;
+        return null;
+      }
+
+      const info = await opfsManager.readFile(GENE_MODEL_INFO);
+      geneModelInfo.value = JSON.parse(await info.text());
+      return geneModelInfo.value;
+    } catch (err) {
+      console.error('Failed to load gene model info:', err);
+      geneModelInfo.value = null;
+      return null;
+    } finally {
+      isLoading.value = false;
+    }
+  };
+
+  /**
+   * Save a GTF or GFF3 transcript model to OPFS
+   * @param {File} file - .gtf / .gff / .gff3, plain or gzip/bgzip compressed (.gz)
+   */
+  const saveGeneModel = async (file) => {
+    if (!file) {
+      throw new Error('No gene model file selected');
+    }
+
+    if (!SUPPORTED_EXTENSIONS.test(file.name)) {
+      throw new Error(`${file.name} is not a GTF/GFF3 file (.gtf, .gff, .gff3, optionally .gz)`);
+    }
+
+    // Plain text files are checked for 9-column feature lines before the copy
+    if (!/\.gz$/i.test(file.name)) {
+      const head = await file.slice(0, 65536).text();
+      const hasFeatures = head.split('\n')
+        .some(line => line && !line.startsWith('#') && line.split('\t').length >= 9);
+      if (!hasFeatures) {
+        throw new Error(`${file.name} contains no GTF/GFF3 feature lines`);
+      }
+    }
+
+    await opfsManager.writeFile(GENE_MODEL_FILE, file);
+
+    const info = {
+      fileName: file.name,
+      size: file.size,
+      format: /\.gtf(\.gz)?$/i.test(file.name) ? 'GTF' : 'GFF3',
+      timestamp: Date.now()
+    };
+    await opfsManager.writeFile(GENE_MODEL_INFO, JSON.stringify(info));
+
+    geneModelInfo.value = info;
+    console.log(`✓ Gene model ${file.name} saved to OPFS`);
+    return info;
+  };
+
+  /**
+   * Get the stored gene model as worker options
+   * @returns {Promise<Object|null>} { geneModelFile, geneModelName } or null
+   */
+  const getGeneModelFile = async () => {
+    const info = geneModelInfo.value || await refreshGeneModel();
+    if (!info) return null;
+
+    return {
+      geneModelFile: await opfsManager.readFile(GENE_MODEL_FILE),
+      geneModelName: info.fileName
+    };
+  };
+
+  /**
+   * Remove the stored gene model from OPFS
+   */
+  const clearGeneModel = async () => {
+    for (const fileName of [GENE_MODEL_FILE, GENE_MODEL_INFO]) {
+      if (await opfsManager.fileExists(fileName)) {
+        await opfsManager.deleteFile(fileName);
+      }
+    }
+    geneModelInfo.value = null;
+  };
+
+  return {
+    geneModelInfo,
+    isLoading,
+    refreshGeneModel,
+    saveGeneModel,
+    getGeneModelFile,
+    clearGeneModel
+  };
+}
@@ -0,0 +1,100 @@
+/**
+ * Composable for the hotspot catalogue used by the driver hotspot report
+ * The bundled catalogue (src/data/nsclc-hotspots.json) can be edited in the app; edits are
+ * validated and stored in OPFS as a new catalogue version, and can be reset to the bundled one
+ */
+
+import { ref, computed } from 'vue';
+import { opfsManager } from '../utils/opfs-manager.js';
+import { validateCatalog } from '../utils/hotspot-matcher.js';
+import bundledCatalog from '../data/nsclc-hotspots.json';
+
+const CUSTOM_CATALOG = 'hotspot-catalog.json';
+
+// Shared across views so every page sees the same catalogue
+const catalog = ref(bundledCatalog);
+const isLoading = ref(false);
+
+export function useHotspotCatalog() {
+  const isCustom = computed(() => catalog.value !== bundledCatalog);
+
+  // A stored edit made against an older bundled version
+  const bundledUpdateAvailable = computed(() => {
+    return isCustom.value && catalog.value.based_on !== bundledCatalog.version;
+  });
+
+  /**
+   * Load the stored custom catalogue from OPFS (falls back to the bundled one)
+   */
+  const refreshCatalog = async () => {
+    isLoading.value = true;
+    try {
+      if (!await opfsManager.fileExists(CUSTOM_CATALOG)) {
+        catalog.value = bundledCatalog;
+        return catalog.value;
+      }
+
+      const stored = JSON.parse(await (await opfsManager.readFile(CUSTOM_CATALOG)).text());
+      const errors = validateCatalog(stored);
+      if (errors.length > 0) {
+        console.warn('Stored hotspot catalogue is invalid, using the bundled one:', errors);
+        catalog.value = bundledCatalog;
+      } else {
+        catalog.value = stored;
+      }
+      return catalog.value;
+    } catch (err) {
+      console.error('Failed to load hotspot catalogue:', err);
+      catalog.value = bundledCatalog;
+      return catalog.value;
+    } finally {
+      isLoading.value = false;
+    }
+  };
+
+  /**
+   * Validate and store an edited catalogue
+   * @param {Object} edited - Catalogue object; its version must differ from the current one
+   */
+  const saveCatalog = async (edited) => {
+    const errors = validateCatalog(edited);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+    if (edited.version === catalog.value.version && JSON.stringify(edited) !== JSON.stringify(catalog.value)) {
+      throw new Error(`Catalogue changed but its version is still ${edited.version} - bump the version`);
+    }
+
+    const stored = {
+      ...edited,
+      based_on: edited.based_on || bundledCatalog.version,
+      updated: new Date().toISOString().slice(0, 10)
+    };
+    await opfsManager.writeFile(CUSTOM_CATALOG, JSON.stringify(stored, null, 2));
+
+    catalog.value = stored;
+    console.log(`✓ Hotspot catalogue ${stored.name} v${stored.version} saved to OPFS`);
+    return stored;
+  };
+
+  /**
+   * Drop the stored catalogue and go back to the bundled version
+   */
+  const resetCatalog = async () => {
+    if (await opfsManager.fileExists(CUSTOM_CATALOG)) {
+      await opfsManager.deleteFile(CUSTOM_CATALOG);
+    }
+    catalog.value = bundledCatalog;
+  };
+
+  return {
+    catalog,
+    bundledCatalog,
+    isCustom,
+    bundledUpdateAvailable,
+    isLoading,
+    refreshCatalog,
+    saveCatalog,
+    resetCatalog
+  };
+}
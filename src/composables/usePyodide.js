@@ -111,6 +111,7 @@ export function usePyodide() {
 
   /**
    * Analyze BAM file
+   * @param {File|Blob|FileSystemFileHandle|ArrayBuffer} fileData - BAM input; File/Blob is streamed by the worker
    */
   const analyzeBam = async (fileData, options = {}) => {
     if (!isReady.value) {
@@ -123,6 +124,7 @@ export function usePyodide() {
 
   /**
    * Call variants from BAM file
+   * @param {File|Blob|FileSystemFileHandle|ArrayBuffer} fileData - BAM input; File/Blob is streamed by the worker
    */
   const callVariants = async (fileData, options = {}) => {
     if (!isReady.value) {
@@ -133,6 +135,69 @@ export function usePyodide() {
     return response.result;
   };
 
+  /**
+   * Annotate variants from a GTF/GFF3 gene model
+   * @param {Array} variants - Variants from callVariants
+   * @param {Object} options - { geneModelFile, geneModelName, referenceFile, referenceIndexFile, referenceName }
+   * @returns {Promise<{variants: Array, summary: Object}>}
+   */
+  const annotateVariants = async (variants, options = {}) => {
+    if (!isReady.value) {
+      throw new Error('Pyodide not ready. Please wait for initialization.');
+    }
+
+    const response = await sendMessage('annotate-variants', { variants, options });
+    return response.result;
+  };
+
+  /**
+   * Measure read depth over small loci (e.g. hotspot sites)
+   * @param {File|Blob|FileSystemFileHandle|ArrayBuffer} fileData - BAM input; File/Blob is streamed by the worker
+   * @param {Array} loci - [{id, chrom, start, end}] with 1-based inclusive coordinates
+   * @param {Object} options - { indexFile, minBaseQuality, minMappingQuality }
+   * @returns {Promise<Object>} Depth summary keyed by locus id
+   */
+  const measureDepth = async (fileData, loci, options = {}) => {
+    if (!isReady.value) {
+      throw new Error('Pyodide not ready. Please wait for initialization.');
+    }
+
+    const response = await sendMessage('measure-depth', { fileData, loci, options });
+    return response.result;
+  };
+
+  /**
+   * Detect driver gene fusions from split reads and discordant pairs
+   * @param {File|Blob|FileSystemFileHandle|ArrayBuffer} fileData - BAM input; File/Blob is streamed by the worker
+   * @param {Object} catalog - Fusion gene catalogue (drivers + partners)
+   * @param {Object} options - { indexFile, minSupport, minMappingQuality, geneModelFile, geneModelName }
+   * @returns {Promise<Object>} {fusions, genes, reads_scanned, parameters, ...}
+   */
+  const callFusions = async (fileData, catalog, options = {}) => {
+    if (!isReady.value) {
+      throw new Error('Pyodide not ready. Please wait for initialization.');
+    }
+
+    const response = await sendMessage('call-fusions', { fileData, catalog, options });
+    return response.result;
+  };
+
+  /**
+   * Score microsatellite instability at catalogue loci
+   * @param {File|Blob|FileSystemFileHandle|ArrayBuffer} fileData - Tumor BAM input; File/Blob is streamed by the worker
+   * @param {Object} catalog - MSI locus catalogue
+   * @param {Object} options - { indexFile, normalFile, normalIndexFile, referenceFile, referenceIndexFile, referenceName, minReads, minMappingQuality }
+   * @returns {Promise<Object>} {status, score, model, loci, ...}
+   */
+  const scoreMsi = async (fileData, catalog, options = {}) => {
+    if (!isReady.value) {
+      throw new Error('Pyodide not ready. Please wait for initialization.');
+    }
+
+    const response = await sendMessage('score-msi', { fileData, catalog, options });
+    return response.result;
+  };
+
   /**
    * Run custom Python code
    */
@@ -189,6 +254,10 @@ export function usePyodide() {
     initialize,
     analyzeBam,
     callVariants,
+    annotateVariants,
+    measureDepth,
+    callFusions,
+    scoreMsi,
     runPython,
     installPackage,
     checkReady,
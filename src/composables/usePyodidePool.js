@@ -4,8 +4,10 @@
  */
 
 import { ref, computed } from 'vue';
+import { mergeStructuralVariants } from '../utils/structural-variants.js';
 
 const WORKER_COUNT = Math.min(navigator.hardwareConcurrency || 4, 4); // Max 4 workers
+const VARIANT_TASK_TIMEOUT = 60 * 60 * 1000; // One chromosome of a deep WGS BAM can take a while
 
 let workers = [];
 let nextWorkerId = 0;
@@ -117,15 +119,23 @@ export function usePyodidePool() {
   /**
    * Process BAM file in parallel across worker pool
    * Each worker gets the full file but processes different chromosomes
+   * @param {File|Blob} bamData - BAM file (streamed by each worker via Blob.slice)
    */
   const analyzeBamParallel = async (bamData, options = {}) => {
     if (!poolReady.value) {
       throw new Error('Worker pool not ready. Call initializePool() first.');
     }
 
-    const fileSizeMB = (bamData.byteLength / 1024 / 1024).toFixed(2);
+    const fileSizeMB = (bamData.size / 1024 / 1024).toFixed(2);
     console.log(`📊 Starting parallel BAM analysis (${fileSizeMB} MB) across ${WORKER_COUNT} workers...`);
 
+    // If specific region requested, use single-threaded
+    if (options.region) {
+      console.log(`Specific region requested (${options.region}), using single worker`);
+      const result = await processWorker(workers[0].worker, bamData, options, 0);
+      return formatSingleResult(result, options);
+    }
+
     // If specific chromosome requested, use single-threaded
     if (options.chromosome) {
       console.log(`Specific chromosome requested (${options.chromosome}), using single worker`);
@@ -140,13 +150,15 @@ export function usePyodidePool() {
     const assignments = assignChromosomesToWorkers(WORKER_COUNT);
 
     // Process each worker's chromosomes in parallel
+    // (GC is fitted once after the merge, so every chromosome gets the same curve)
     const processingPromises = assignments.map((assignment, index) => {
       return processWorker(
         workers[index].worker,
         bamData,
         {
           ...options,
-          chromosomes: assignment.chromosomes
+          chromosomes: assignment.chromosomes,
+          gcCorrection: false
         },
         index
       );
@@ -158,7 +170,7 @@ export function usePyodidePool() {
     console.log(`✓ All workers completed, merging results...`);
 
     // Merge results from all workers
-    const merged = mergeResults(results, options);
+    const merged = await mergeResults(results, options);
 
     console.log(`✅ Parallel analysis complete`);
 
@@ -196,7 +208,8 @@ export function usePyodidePool() {
 
       worker.addEventListener('message', onMessage);
 
-      // Send full BAM file to worker with chromosome assignments
+      // Send the BAM File/Blob to worker with chromosome assignments
+      // (structured clone of a File is a cheap reference, not a copy of the data)
       worker.postMessage({
         type: 'analyze-bam',
         id: messageId,
@@ -205,7 +218,23 @@ export function usePyodidePool() {
           options: {
             windowSize: options.windowSize || 10000,
             chromosome: null, // We'll filter by chromosomes list instead
-            chromosomes: options.chromosomes || null
+            chromosomes: options.chromosomes || null,
+            region: options.region || null,
+            indexFile: options.indexFile || null, // With a BAI each worker seeks to its own chromosomes
+            targetsFile: options.targetsFile || null,
+            targetPadding: options.targetPadding ?? 0,
+            callStructuralVariants: options.callStructuralVariants || false,
+            svMinSupport: options.svMinSupport || 3,
+            collectBaf: options.collectBaf || false,
+            bafSites: options.bafSites || null,
+            bafMinDepth: options.bafMinDepth || 10,
+            gcCorrection: options.gcCorrection ?? true,
+            referenceFile: options.referenceFile || null,
+            referenceIndexFile: options.referenceIndexFile || null,
+            referenceName: options.referenceName || null,
+            maskFile: options.maskFile || null,
+            minMappability: options.minMappability ?? null,
+            maxMaskedFraction: options.maxMaskedFraction ?? 0.5
           }
         }
       });
@@ -230,13 +259,21 @@ export function usePyodidePool() {
   /**
    * Merge coverage results from multiple workers
    */
-  const mergeResults = (results, options) => {
+  const mergeResults = async (results, options) => {
     console.log(`Merging results from ${results.length} workers...`);
 
     // Combine coverage data from all workers
     const allWindows = [];
     let totalReads = 0;
     const chromosomes = new Set();
+    const targetReads = { on: 0, off: 0 };
+    let targets = null;
+    const svLists = [];
+    let svSummary = null;
+    let hetSnps = null;
+    let bafSummary = null;
+    let biasCorrection = null;
+    let contigs = null;
 
     results.forEach((result, i) => {
       if (result.error) {
@@ -247,9 +284,57 @@ export function usePyodidePool() {
       allWindows.push(...(result.coverageData || []));
       totalReads += result.total_reads || 0;
 
+      if (result.targets) {
+        targets = result.targets;
+        targetReads.on += result.coverage_stats?.on_target_reads || 0;
+        targetReads.off += result.coverage_stats?.off_target_reads || 0;
+      }
+
       if (result.chromosomes) {
         result.chromosomes.forEach(chr => chromosomes.add(chr));
       }
+
+      contigs = contigs || result.contigs || null;
+      if (result.structural_variants) {
+        svLists.push(result.structural_variants);
+        // Insert sizes are per library, so any worker's estimate will do; read counts add up
+        svSummary = svSummary
+          ? {
+              ...svSummary,
+              evidence_reads: svSummary.evidence_reads + result.sv_summary.evidence_reads,
+              reads_checked: svSummary.reads_checked + result.sv_summary.reads_checked,
+              insert_size: svSummary.insert_size.pairs >= result.sv_summary.insert_size.pairs
+                ? svSummary.insert_size
+                : result.sv_summary.insert_size
+            }
+          : result.sv_summary;
+      }
+
+      // Mask and gap counts add up; the GC curve is fitted below on the merged windows
+      if (result.bias_correction) {
+        const bc = result.bias_correction;
+        biasCorrection = biasCorrection
+          ? {
+              ...biasCorrection,
+              gap_windows: bc.gap_windows === null ? null : (biasCorrection.gap_windows || 0) + bc.gap_windows,
+              masked_windows: bc.masked_windows === null ? null : (biasCorrection.masked_windows || 0) + bc.masked_windows
+            }
+          : bc;
+      }
+
+      // Each worker saw whole chromosomes, so het SNPs simply concatenate
+      if (result.het_snps) {
+        hetSnps = (hetSnps || []).concat(result.het_snps);
+        bafSummary = bafSummary
+          ? {
+              ...bafSummary,
+              sites_covered: bafSummary.sites_covered === null ? null : bafSummary.sites_covered + result.baf_summary.sites_covered,
+              het_snps: bafSummary.het_snps + result.baf_summary.het_snps,
+              reads: bafSummary.reads + result.baf_summary.reads,
+              unsorted: bafSummary.unsorted || result.baf_summary.unsorted
+            }
+          : result.baf_summary;
+      }
     });
 
     console.log(`  Total windows: ${allWindows.length}`);
@@ -301,10 +386,37 @@ export function usePyodidePool() {
       coverageClass = 'high';
     }
 
-    // Normalize all windows
-    mergedWindows.forEach(w => {
-      w.normalized = median > 0 ? w.coverage / median : 0;
-    });
+    // Normalize all windows (per targeted base when workers ran with a BED, like the Python path)
+    if (targets) {
+      const densities = mergedWindows
+        .filter(w => w.coverage > 0)
+        .map(w => w.coverage / w.target_bp)
+        .sort((a, b) => a - b);
+      const medianDensity = densities[Math.floor(densities.length / 2)];
+      mergedWindows.forEach(w => {
+        w.normalized = medianDensity > 0 ? (w.coverage / w.target_bp) / medianDensity : 0;
+      });
+    } else {
+      mergedWindows.forEach(w => {
+        w.normalized = median > 0 ? w.coverage / median : 0;
+      });
+    }
+
+    // One LOESS GC fit over all chromosomes (the factors fold in the re-centring on 1)
+    if ((options.gcCorrection ?? true) && mergedWindows.some(w => w.gc !== undefined && w.gc !== null)) {
+      const gcFit = await runWorkerTask(workers[0].worker, 'correct-gc-bias', {
+        windows: mergedWindows.map(w => ({ coverage: w.coverage, gc: w.gc ?? null, normalized: w.normalized }))
+      });
+      if (gcFit.factors) {
+        mergedWindows.forEach((w, i) => {
+          w.gc_factor = gcFit.factors[i];
+          w.normalized = w.normalized / gcFit.factors[i];
+        });
+      }
+      if (biasCorrection) {
+        biasCorrection.gc = gcFit.summary;
+      }
+    }
 
     // Run CNV detection on merged, normalized data
     // (We'll use a simple threshold-based approach here)
@@ -318,10 +430,23 @@ export function usePyodidePool() {
       windowSize: options.windowSize || 10000,
       chromosomes: Array.from(chromosomes),
       method: 'pyodide-python-parallel',
+      targets: targets,
+      contigs: contigs,
+      structural_variants: svSummary ? mergeStructuralVariants(svLists) : null,
+      sv_summary: svSummary,
+      het_snps: hetSnps,
+      baf_summary: bafSummary,
+      bias_correction: biasCorrection,
       coverage_stats: {
         median: median,
         mean: mean,
-        class: coverageClass
+        class: coverageClass,
+        ...(targets && {
+          on_target_reads: targetReads.on,
+          off_target_reads: targetReads.off,
+          on_target_fraction: targetReads.on + targetReads.off > 0 ? targetReads.on / (targetReads.on + targetReads.off) : 0,
+          on_target_windows: mergedWindows.length
+        })
       },
       worker_count: results.length
     };
@@ -452,6 +577,245 @@ export function usePyodidePool() {
     };
   };
 
+  /**
+   * Call variants in parallel across the worker pool
+   * Chromosomes with reads (BAI mapped counts) are queued longest-first; each idle worker
+   * takes the next one, so short contigs fill the gaps left by chr1/chr2. Per-chromosome
+   * results are merged into one list sorted like the single-threaded caller (chromosome, position).
+   * A region, a single chromosome or a BAM without an index runs on one worker: without a BAI
+   * every per-chromosome task would decode the file from the start.
+   * @param {File|Blob} bamData - BAM file (streamed by each worker via Blob.slice)
+   * @param {Object} options - Same options as useVariantCaller.callVariants
+   * @param {Function} [options.onProgress] - Called with { message, progress, stage } as chromosomes finish
+   */
+  const callVariantsParallel = async (bamData, options = {}) => {
+    if (!poolReady.value) {
+      throw new Error('Worker pool not ready. Call initializePool() first.');
+    }
+
+    const { onProgress, ...workerOptions } = options;
+    const reportProgress = (message, progress, stage = 'calling') => {
+      if (onProgress) onProgress({ message, progress, stage });
+    };
+
+    const runSingleWorker = async () => {
+      const result = await processVariantWorker(workers[0].worker, bamData, workerOptions, 0);
+      result.method = 'pyodide-python-parallel';
+      result.worker_count = 1;
+      return result;
+    };
+
+    if (options.region || options.chromosomes?.length === 1) {
+      console.log(`Single region/chromosome requested, using single worker`);
+      return runSingleWorker();
+    }
+
+    if (!options.indexFile) {
+      console.log(`No BAM index, calling variants in a single pass on one worker`);
+      return runSingleWorker();
+    }
+
+    reportProgress('Reading BAM header...', 5, 'parsing');
+    const header = await readBamHeader(workers[0].worker, bamData, options.indexFile);
+
+    const requested = header.references
+      .filter(ref => !options.chromosomes || options.chromosomes.includes(ref.name));
+
+    if (requested.length === 0) {
+      throw new Error('None of the requested chromosomes are present in the BAM header');
+    }
+
+    // Skip contigs the index reports as empty (most of the ~195 hg38 alt/decoy contigs)
+    const queue = requested
+      .filter(ref => ref.mapped === null || ref.mapped > 0)
+      .sort((a, b) => b.length - a.length);
+
+    if (queue.length === 0) {
+      throw new Error('The BAM index reports no mapped reads on the requested chromosomes');
+    }
+    if (queue.length < requested.length) {
+      console.log(`  Skipping ${requested.length - queue.length} contigs with no mapped reads`);
+    }
+
+    const totalChromosomes = queue.length;
+    const workerCount = Math.min(WORKER_COUNT, totalChromosomes);
+    console.log(`🧬 Calling variants on ${totalChromosomes} chromosomes across ${workerCount} workers...`);
+
+    const chromResults = new Map();
+    let aborted = false;
+
+    // Each worker pulls the next chromosome until the queue is empty or another worker failed
+    const runWorker = async (workerIndex) => {
+      while (!aborted && queue.length > 0) {
+        const chrom = queue.shift();
+        let result;
+        try {
+          result = await processVariantWorker(workers[workerIndex].worker, bamData, {
+            ...workerOptions,
+            chromosomes: [chrom.name]
+          }, workerIndex);
+        } catch (err) {
+          aborted = true;
+          throw err;
+        }
+
+        chromResults.set(chrom.name, result);
+        const done = chromResults.size;
+        reportProgress(
+          `Called ${chrom.name} (${done}/${totalChromosomes} chromosomes)`,
+          10 + Math.round((done / totalChromosomes) * 85)
+        );
+      }
+    };
+
+    await Promise.all(Array.from({ length: workerCount }, (_, i) => runWorker(i)));
+
+    console.log(`✓ All workers completed, merging variant calls...`);
+
+    // Merge in header order so chromosomes_processed matches a single-threaded run
+    const results = header.references
+      .filter(ref => chromResults.has(ref.name))
+      .map(ref => chromResults.get(ref.name));
+
+    return mergeVariantResults(results, workerCount);
+  };
+
+  /**
+   * Send one request to a worker and resolve with the matching '<type>-response' result
+   */
+  const runWorkerTask = (worker, type, payload) => {
+    return new Promise((resolve, reject) => {
+      const messageId = ++nextWorkerId;
+
+      const onMessage = (event) => {
+        const { type: responseType, id, result, error } = event.data;
+
+        if (id === messageId) {
+          worker.removeEventListener('message', onMessage);
+
+          if (error) {
+            reject(new Error(error));
+          } else if (responseType === `${type}-response`) {
+            resolve(result);
+          }
+        }
+      };
+
+      worker.addEventListener('message', onMessage);
+      worker.postMessage({ type, id: messageId, payload });
+    });
+  };
+
+  /**
+   * Read the BAM header (references + sample name) on a worker
+   * With a BAI, each reference also carries its mapped read count (null when unknown)
+   */
+  const readBamHeader = (worker, bamData, indexFile = null) => {
+    return runWorkerTask(worker, 'read-bam-header', { fileData: bamData, options: { indexFile } });
+  };
+
+  /**
+   * Annotate variants from a GTF/GFF3 gene model on the first pool worker
+   * (same contract as usePyodide.annotateVariants)
+   */
+  const annotateVariants = async (variants, options = {}) => {
+    if (!poolReady.value) {
+      throw new Error('Worker pool not ready. Call initializePool() first.');
+    }
+    return runWorkerTask(workers[0].worker, 'annotate-variants', { variants, options });
+  };
+
+  /**
+   * Call variants for the chromosomes in options.chromosomes on one worker
+   */
+  const processVariantWorker = (worker, bamData, options, workerIndex) => {
+    return new Promise((resolve, reject) => {
+      const messageId = ++nextWorkerId;
+      const chromList = options.region || options.chromosomes?.join(', ') || 'all';
+
+      const timeout = setTimeout(() => {
+        worker.removeEventListener('message', onMessage);
+        reject(new Error(`Worker ${workerIndex} timeout calling variants on ${chromList}`));
+      }, VARIANT_TASK_TIMEOUT);
+
+      const onMessage = (event) => {
+        const { type, id, result, error } = event.data;
+
+        if (id === messageId) {
+          worker.removeEventListener('message', onMessage);
+          clearTimeout(timeout);
+
+          if (error) {
+            console.error(`Worker ${workerIndex} error:`, error);
+            reject(new Error(error));
+          } else if (type === 'call-variants-response') {
+            console.log(`✓ Worker ${workerIndex} completed ${chromList}: ${result.total_variants} variants`);
+            resolve(result);
+          }
+        }
+      };
+
+      worker.addEventListener('message', onMessage);
+
+      // File/Blob inputs are structured-cloned as references, not copies of the data
+      worker.postMessage({
+        type: 'call-variants',
+        id: messageId,
+        payload: {
+          fileData: bamData,
+          options
+        }
+      });
+    });
+  };
+
+  /**
+   * Merge per-chromosome variant calling results into one result object
+   * (same shape as a single call_variants_from_bam run)
+   */
+  const mergeVariantResults = (results, workerCount) => {
+    const variants = results.flatMap(result => result.variants || []);
+
+    // Same ordering as the Python caller: chromosome name, then position
+    variants.sort((a, b) => (a.chrom < b.chrom ? -1 : a.chrom > b.chrom ? 1 : a.pos - b.pos));
+
+    const first = results[0] || {};
+    let somaticCounts = null;
+    if (first.paired) {
+      somaticCounts = { somatic: 0, germline: 0, loh: 0, unknown: 0 };
+      results.forEach(result => {
+        Object.entries(result.somatic_counts || {}).forEach(([status, count]) => {
+          somaticCounts[status] = (somaticCounts[status] || 0) + count;
+        });
+      });
+    }
+
+    // Phase sets never span chromosomes, so the per-chromosome tallies add up
+    let phasing = null;
+    if (first.phasing) {
+      phasing = { ...first.phasing, phase_sets: 0, phased: 0, conflicts: 0 };
+      results.forEach(result => {
+        ['phase_sets', 'phased', 'conflicts'].forEach(key => {
+          phasing[key] += result.phasing?.[key] || 0;
+        });
+      });
+    }
+
+    console.log(`  Merged ${variants.length.toLocaleString()} variants from ${results.length} chromosomes`);
+
+    return {
+      ...first,
+      variants,
+      total_variants: variants.length,
+      somatic_counts: somaticCounts,
+      phasing,
+      callable_bases: results.reduce((sum, result) => sum + (result.callable_bases || 0), 0),
+      chromosomes_processed: results.flatMap(result => result.chromosomes_processed || []),
+      method: 'pyodide-python-parallel',
+      worker_count: workerCount
+    };
+  };
+
   /**
    * Cleanup worker pool
    */
@@ -472,6 +836,8 @@ export function usePyodidePool() {
     totalWorkers,
     initializePool,
     analyzeBamParallel,
+    callVariantsParallel,
+    annotateVariants,
     cleanup
   };
 }
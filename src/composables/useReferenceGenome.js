@@ -0,0 +1,121 @@
+/**
+ * Composable for the reference genome (FASTA + samtools faidx .fai) stored in OPFS
+ * The files are saved once under fixed names and reused across sessions; workers
+ * stream the FASTA with random access, so the genome is never loaded into memory
+ */
+
+import { ref } from 'vue';
+import { opfsManager } from '../utils/opfs-manager.js';
+
+const REFERENCE_FASTA = 'reference.fa';
+const REFERENCE_FAI = 'reference.fa.fai';
+const REFERENCE_INFO = 'reference-info.json';
+
+// Shared across views so every page sees the same stored reference
+const referenceInfo = ref(null);
+const isLoading = ref(false);
+
+export function useReferenceGenome() {
+  /**
+   * Load stored reference metadata from OPFS (null when no reference is stored)
+   */
+  const refreshReference = async () => {
+    isLoading.value = true;
+    try {
+      const hasFiles = await opfsManager.fileExists(REFERENCE_FASTA) &&
+        await opfsManager.fileExists(REFERENCE_FAI) &&
+        await opfsManager.fileExists(REFERENCE_INFO);
+
+      if (!hasFiles) {
+        referenceInfo.value = null;
+        return null;
+      }
+
+      const info = await opfsManager.readFile(REFERENCE_INFO);
+      referenceInfo.value = JSON.parse(await info.text());
+      return referenceInfo.value;
+    } catch (err) {
+      console.error('Failed to load reference genome info:', err);
+      referenceInfo.value = null;
+      return null;
+    } finally {
+      isLoading.value = false;
+    }
+  };
+
+  /**
+   * Save a reference FASTA and its .fai index to OPFS
+   * @param {File} fastaFile - Uncompressed FASTA (bgzipped FASTA is not supported)
+   * @param {File} faiFile - samtools faidx index for the FASTA
+   */
+  const saveReference = async (fastaFile, faiFile) => {
+    if (!fastaFile || !faiFile) {
+      throw new Error('Both the reference FASTA and its .fai index are required');
+    }
+
+    if (/\.(gz|bgz)$/i.test(fastaFile.name)) {
+      throw new Error('Compressed FASTA is not supported - please provide an uncompressed .fa/.fasta file');
+    }
+
+    // Validate the index before copying a multi-GB FASTA into storage
+    const faiText = await faiFile.text();
+    const contigs = faiText.split('\n')
+      .map(line => line.trim().split('\t'))
+      .filter(fields => fields.length >= 5 && fields[0]);
+
+    if (contigs.length === 0) {
+      throw new Error(`${faiFile.name} is not a valid FASTA index (.fai)`);
+    }
+
+    await opfsManager.writeFile(REFERENCE_FASTA, fastaFile);
+    await opfsManager.writeFile(REFERENCE_FAI, faiFile);
+
+    const info = {
+      fileName: fastaFile.name,
+      size: fastaFile.size,
+      contigs: contigs.map(fields => ({ name: fields[0], length: parseInt(fields[1], 10) })),
+      timestamp: Date.now()
+    };
+    await opfsManager.writeFile(REFERENCE_INFO, JSON.stringify(info));
+
+    referenceInfo.value = info;
+    console.log(`✓ Reference genome ${fastaFile.name} saved to OPFS (${contigs.length} sequences)`);
+    return info;
+  };
+
+  /**
+   * Get the stored reference as worker options
+   * @returns {Promise<Object|null>} { referenceFile, referenceIndexFile, referenceName } or null
+   */
+  const getReferenceFiles = async () => {
+    const info = referenceInfo.value || await refreshReference();
+    if (!info) return null;
+
+    return {
+      referenceFile: await opfsManager.readFile(REFERENCE_FASTA),
+      referenceIndexFile: await opfsManager.readFile(REFERENCE_FAI),
+      referenceName: info.fileName
+    };
+  };
+
+  /**
+   * Remove the stored reference from OPFS
+   */
+  const clearReference = async () => {
+    for (const fileName of [REFERENCE_FASTA, REFERENCE_FAI, REFERENCE_INFO]) {
+      if (await opfsManager.fileExists(fileName)) {
+        await opfsManager.deleteFile(fileName);
+      }
+    }
+    referenceInfo.value = null;
+  };
+
+  return {
+    referenceInfo,
+    isLoading,
+    refreshReference,
+    saveReference,
+    getReferenceFiles,
+    clearReference
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Composable for the COSMIC SBS96 signature matrix used for signature fitting
+ * The bundled matrix (src/data/cosmic-sbs96.json, built with `npm run build:cosmic`) can be
+ * replaced by importing a COSMIC SBS text file, which is parsed once and stored in OPFS.
+ * The repository ships the matrix without signatures (COSMIC licence terms), so fitting
+ * needs one of the two
+ */
+
+import { ref, computed } from 'vue';
+import { opfsManager } from '../utils/opfs-manager.js';
+import { parseCosmicMatrix } from '../utils/signatures.js';
+import bundledMatrix from '../data/cosmic-sbs96.json';
+
+const IMPORTED_MATRIX = 'cosmic-sbs96.json';
+
+// Shared across views so every page sees the same matrix
+const matrix = ref(bundledMatrix);
+const isLoading = ref(false);
+
+export function useSignatureMatrix() {
+  const isImported = computed(() => matrix.value !== bundledMatrix);
+  const signatureNames = computed(() => Object.keys(matrix.value.signatures || {}));
+
+  /**
+   * Load an imported matrix from OPFS (falls back to the bundled one)
+   */
+  const refreshMatrix = async () => {
+    isLoading.value = true;
+    try {
+      if (await opfsManager.fileExists(IMPORTED_MATRIX)) {
+        matrix.value = JSON.parse(await (await opfsManager.readFile(IMPORTED_MATRIX)).text());
+      } else {
+        matrix.value = bundledMatrix;
+      }
+      return matrix.value;
+    } catch (err) {
+      console.error('Failed to load signature matrix:', err);
+      matrix.value = bundledMatrix;
+      return matrix.value;
+    } finally {
+      isLoading.value = false;
+    }
+  };
+
+  /**
+   * Parse a COSMIC SBS matrix file (e.g. COSMIC_v3.4_SBS_GRCh38.txt) and store it in OPFS
+   * @param {File} file - Tab-separated matrix with a Type column of SBS96 channels
+   */
+  const importMatrix = async (file) => {
+    if (!file) {
+      throw new Error('No signature matrix file selected');
+    }
+
+    const parsed = parseCosmicMatrix(await file.text(), {
+      source: 'COSMIC Mutational Signatures (SBS)',
+      version: file.name.match(/_v([\d.]+)_/)?.[1] || null,
+      genome_build: file.name.match(/(GRCh\d+|mm\d+|rn\d+)/)?.[1] || null,
+      file: file.name
+    });
+
+    await opfsManager.writeFile(IMPORTED_MATRIX, JSON.stringify(parsed));
+    matrix.value = parsed;
+    console.log(`✓ Imported ${Object.keys(parsed.signatures).length} signatures from ${file.name}`);
+    return parsed;
+  };
+
+  /**
+   * Remove the imported matrix and go back to the bundled one
+   */
+  const clearMatrix = async () => {
+    if (await opfsManager.fileExists(IMPORTED_MATRIX)) {
+      await opfsManager.deleteFile(IMPORTED_MATRIX);
+    }
+    matrix.value = bundledMatrix;
+  };
+
+  return {
+    matrix,
+    isImported,
+    signatureNames,
+    isLoading,
+    refreshMatrix,
+    importMatrix,
+    clearMatrix
+  };
+}
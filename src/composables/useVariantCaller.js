@@ -5,22 +5,104 @@
 
 import { useGlobalPyodide } from './usePyodide.js';
 
+/**
+ * Default soft-filter thresholds
+ * FS/SOR follow the GATK hard-filter recommendations; FFPE and oxidation artifacts
+ * also cluster near read ends and in poorly mapped reads
+ */
+export const DEFAULT_SOFT_FILTERS = {
+  maxFsSnv: 60,
+  maxFsIndel: 200,
+  maxSorSnv: 3,
+  maxSorIndel: 10,
+  minMedianAltPos: 5,
+  minMeanMapq: 40
+};
+
+/**
+ * Consequence annotation fields written to the VCF CSQ INFO field (Ensembl VEP layout)
+ */
+export const CSQ_FIELDS = [
+  'Allele', 'Consequence', 'IMPACT', 'SYMBOL', 'Gene', 'Feature', 'BIOTYPE',
+  'EXON', 'INTRON', 'HGVSc', 'HGVSp', 'STRAND', 'CANONICAL'
+];
+
+/**
+ * Percent-encode characters that would break a CSQ value (VCF 4.3 reserved characters and '|')
+ */
+const encodeCsqValue = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[%,;=|\s]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+};
+
+// FILTER tags owned by applySoftFilters; any other tag (e.g. from an imported VCF) is kept
+const SOFT_FILTER_TAGS = ['strand_bias', 'read_position', 'low_mapq'];
+
+/**
+ * Tag variants with soft FILTER values from their strand / read-position / MAPQ metrics
+ * Returns new variant objects with a `filter` array (empty = PASS); variants without
+ * metrics (older results) are never tagged by these rules
+ * @param {Array} variants - Variants from callVariants
+ * @param {Object} [thresholds] - Overrides for DEFAULT_SOFT_FILTERS
+ * @returns {Array} Variants with `filter` set
+ */
+export function applySoftFilters(variants, thresholds = {}) {
+  const t = { ...DEFAULT_SOFT_FILTERS, ...thresholds };
+
+  return variants.map(variant => {
+    const filter = (variant.filter || []).filter(tag => !SOFT_FILTER_TAGS.includes(tag));
+    const isSnv = variant.type === 'SNV';
+
+    if (variant.fs !== undefined) {
+      if (variant.fs > (isSnv ? t.maxFsSnv : t.maxFsIndel) || variant.sor > (isSnv ? t.maxSorSnv : t.maxSorIndel)) {
+        filter.push('strand_bias');
+      }
+    }
+    if (variant.median_alt_pos !== undefined && variant.median_alt_pos !== null && variant.median_alt_pos < t.minMedianAltPos) {
+      filter.push('read_position');
+    }
+    if (variant.mean_mapq !== undefined && variant.mean_mapq !== null && variant.mean_mapq < t.minMeanMapq) {
+      filter.push('low_mapq');
+    }
+
+    return { ...variant, filter };
+  });
+}
+
 export function useVariantCaller() {
   const pyodide = useGlobalPyodide();
 
   /**
    * Call variants from BAM file
-   * @param {ArrayBuffer} bamData - BAM file data
+   * @param {File|Blob|FileSystemFileHandle} bamData - BAM file (streamed in the worker via Blob.slice)
    * @param {Object} options - Variant calling options
+   * @param {File|Blob} [options.indexFile] - BAI index (enables seeking to chromosomes/regions)
+   * @param {string} [options.region] - Region to call, e.g. 'chr7' or 'chr7:55019017-55211628'
+   * @param {File|Blob} [options.referenceFile] - Reference FASTA used for REF alleles
+   * @param {File|Blob} [options.referenceIndexFile] - .fai index for the reference FASTA
+   * @param {File|Blob} [options.normalFile] - Matched normal BAM (enables paired somatic mode)
+   * @param {File|Blob} [options.normalIndexFile] - BAI index for the normal BAM
+   * @param {number} [options.minNormalDepth] - Minimum normal depth to classify a site (default 8)
+   * @param {number} [options.somaticPValue] - Fisher's exact test threshold for somatic/LOH (default 0.05)
+   * @param {File|Blob} [options.targetsFile] - Target BED (exome/panel); only padded targets are called
+   * @param {number} [options.targetPadding] - Bases added on each side of every BED interval (default 0)
+   * @param {Object} [options.pool] - Ready usePyodidePool instance; chromosomes are then called in parallel
+   * @param {Function} [options.onProgress] - Progress callback (parallel runs and annotation)
+   * @param {File|Blob} [options.geneModelFile] - GTF/GFF3 transcript model; adds gene/HGVS/consequence annotations
+   * @param {string} [options.geneModelName] - Display name of the gene model
    * @returns {Promise<Object>} Variant calling results
    */
   const callVariants = async (bamData, options = {}) => {
-    if (!pyodide.isReady.value) {
+    const useParallel = Boolean(options.pool?.poolReady.value);
+
+    if (!useParallel && !pyodide.isReady.value) {
       throw new Error('Python environment not ready. Please wait for initialization to complete.');
     }
 
-    console.log('🧬 Starting variant calling with Python...');
-    console.log(`BAM file size: ${(bamData.byteLength / 1024 / 1024).toFixed(2)} MB`);
+    console.log(`🧬 Starting ${options.normalFile ? 'paired tumor-normal ' : ''}variant calling with Python...`);
+    if (bamData.size !== undefined) {
+      console.log(`BAM file size: ${(bamData.size / 1024 / 1024).toFixed(2)} MB`);
+    }
 
     const filters = {
       minDepth: options.minDepth || 10,
@@ -28,22 +110,143 @@ export function useVariantCaller() {
       minMappingQuality: options.minMappingQuality || 20,
       minVariantReads: options.minVariantReads || 3,
       minAlleleFreq: options.minAlleleFreq || 0.05,
-      chromosomes: options.chromosomes || null
+      chromosomes: options.chromosomes || null,
+      region: options.region || null,
+      minNormalDepth: options.minNormalDepth || 8,
+      somaticPValue: options.somaticPValue || 0.05,
+      targetPadding: options.targetsFile ? (options.targetPadding ?? 0) : null
     };
 
     console.log('Variant calling filters:', filters);
 
-    // Use the callVariants method from pyodide composable
-    const result = await pyodide.callVariants(bamData, filters);
+    const workerOptions = {
+      ...filters,
+      indexFile: options.indexFile || null,
+      referenceFile: options.referenceFile || null,
+      referenceIndexFile: options.referenceIndexFile || null,
+      referenceName: options.referenceName || null,
+      normalFile: options.normalFile || null,
+      normalIndexFile: options.normalIndexFile || null,
+      targetsFile: options.targetsFile || null
+    };
+
+    // Spread chromosomes across the worker pool when available, else use the single pyodide worker
+    const result = useParallel
+      ? await options.pool.callVariantsParallel(bamData, { ...workerOptions, onProgress: options.onProgress })
+      : await pyodide.callVariants(bamData, workerOptions);
     console.log(`✓ Variant calling complete: ${result.total_variants} variants found`);
 
+    // Gene / transcript / HGVS / consequence from the gene model (protein changes use the reference)
+    if (options.geneModelFile && result.variants.length > 0) {
+      options.onProgress?.({ message: 'Annotating variant consequences...', progress: 96, stage: 'annotating' });
+      const annotator = useParallel ? options.pool : pyodide;
+      const annotation = await annotator.annotateVariants(result.variants, {
+        geneModelFile: options.geneModelFile,
+        geneModelName: options.geneModelName || null,
+        referenceFile: options.referenceFile || null,
+        referenceIndexFile: options.referenceIndexFile || null,
+        referenceName: options.referenceName || null
+      });
+      result.variants = annotation.variants;
+      result.annotation = annotation.summary;
+      console.log(`✓ Annotated ${annotation.summary.annotated} variants with ${annotation.summary.transcripts} transcripts`);
+    }
+
     return result;
   };
 
+  /**
+   * Measure read depth over small loci (e.g. hotspot sites) with the variant caller's read/base filters
+   * Lets a site without a call be reported as covered (negative) rather than unknown
+   * @param {File|Blob|FileSystemFileHandle} bamData - BAM file (streamed in the worker)
+   * @param {Array} loci - [{id, chrom, start, end}] with 1-based inclusive coordinates
+   * @param {Object} [options] - { indexFile, minBaseQuality, minMappingQuality }
+   * @returns {Promise<Object>} {id: {chrom, start, end, contig_found, min, max, mean, median}}
+   */
+  const measureLocusDepth = async (bamData, loci, options = {}) => {
+    if (!pyodide.isReady.value) {
+      throw new Error('Python environment not ready. Please wait for initialization to complete.');
+    }
+
+    return pyodide.measureDepth(bamData, loci, {
+      indexFile: options.indexFile || null,
+      minBaseQuality: options.minBaseQuality || 20,
+      minMappingQuality: options.minMappingQuality || 20
+    });
+  };
+
+  /**
+   * Detect fusions of catalogue driver genes (ALK, ROS1, RET, NTRK1-3) from split and discordant reads
+   * @param {File|Blob|FileSystemFileHandle} bamData - BAM file (streamed in the worker)
+   * @param {Object} catalog - Fusion gene catalogue (see src/data/fusion-genes.json)
+   * @param {Object} [options] - { indexFile, minSupport, minMappingQuality, geneModelFile, geneModelName }
+   * @returns {Promise<Object>} {fusions, genes, reads_scanned, parameters, ...}
+   */
+  const callFusions = async (bamData, catalog, options = {}) => {
+    if (!pyodide.isReady.value) {
+      throw new Error('Python environment not ready. Please wait for initialization to complete.');
+    }
+
+    const result = await pyodide.callFusions(bamData, catalog, {
+      indexFile: options.indexFile || null,
+      minSupport: options.minSupport || 3,
+      minMappingQuality: options.minMappingQuality || 20,
+      geneModelFile: options.geneModelFile || null,
+      geneModelName: options.geneModelName || null
+    });
+    console.log(`✓ Fusion detection complete: ${result.fusions.length} candidate fusions`);
+    return result;
+  };
+
+  /**
+   * Score microsatellite instability (MSI-H / MSS) from repeat-length distributions
+   * Paired against a matched normal when normalFile is given, otherwise the unpaired model
+   * @param {File|Blob|FileSystemFileHandle} bamData - Tumor BAM file (streamed in the worker)
+   * @param {Object} catalog - MSI locus catalogue (see src/data/msi-loci.json)
+   * @param {Object} [options] - { indexFile, normalFile, normalIndexFile, referenceFile, referenceIndexFile, referenceName, minReads, minMappingQuality }
+   * @returns {Promise<Object>} {status, score, model, unstable_loci, evaluable_loci, loci, ...}
+   */
+  const scoreMsi = async (bamData, catalog, options = {}) => {
+    if (!pyodide.isReady.value) {
+      throw new Error('Python environment not ready. Please wait for initialization to complete.');
+    }
+
+    const result = await pyodide.scoreMsi(bamData, catalog, {
+      indexFile: options.indexFile || null,
+      normalFile: options.normalFile || null,
+      normalIndexFile: options.normalIndexFile || null,
+      referenceFile: options.referenceFile || null,
+      referenceIndexFile: options.referenceIndexFile || null,
+      referenceName: options.referenceName || null,
+      minReads: options.minReads || 20,
+      minMappingQuality: options.minMappingQuality || 20
+    });
+    console.log(`✓ MSI scoring complete: ${result.status} (${result.unstable_loci}/${result.evaluable_loci} loci unstable)`);
+    return result;
+  };
+
+  /**
+   * Format a genotype sample column (GT:GQ:PL:AD:DP)
+   * Variants from older results without genotype fields get a no-call
+   */
+  const formatSampleColumn = (genotype, gq, pl, refCount, altCount, depth) => {
+    if (!genotype) {
+      return `./.:.:.:${refCount},${altCount}:${depth}`;
+    }
+    return `${genotype}:${gq ?? '.'}:${pl ? pl.join(',') : '.'}:${refCount},${altCount}:${depth}`;
+  };
+
   /**
    * Format variants to VCF format
    * @param {Array} variants - Array of variant objects
    * @param {Object} metadata - Additional metadata for VCF header
+   * @param {Array<{name: string, length: number}>} [metadata.contigs] - BAM references for ##contig lines
+   * @param {string} [metadata.sampleName] - Tumor/sample column name (defaults to 'SAMPLE')
+   * @param {string} [metadata.normalSampleName] - Normal column name in paired mode (defaults to 'NORMAL')
+   * @param {Object} [metadata.softFilters] - Thresholds behind the soft FILTER tags (see applySoftFilters)
+   * @param {Object} [metadata.targets] - Target BED summary ({name, intervals, bases, padding}) when calls were restricted
+   * @param {Object} [metadata.annotation] - Gene model summary ({gene_model, ...}); annotated variants get a CSQ field
+   * @param {string} [metadata.filterExpression] - Filter expression the exported variants were selected with
    * @returns {string} VCF formatted string
    */
   const formatToVCF = (variants, metadata = {}) => {
@@ -53,11 +256,52 @@ export function useVariantCaller() {
     vcfLines.push('##fileformat=VCFv4.2');
     vcfLines.push(`##fileDate=${new Date().toISOString().split('T')[0].replace(/-/g, '')}`);
     vcfLines.push('##source=lungseq-analyzer-pyodide');
+    if (metadata.reference) {
+      vcfLines.push(`##reference=${metadata.reference}`);
+    }
+    if (metadata.targets) {
+      vcfLines.push(`##targets=${metadata.targets.name || 'targets.bed'} (${metadata.targets.intervals} intervals, ${metadata.targets.bases} bp, padding ${metadata.targets.padding} bp)`);
+    }
+    if (metadata.filterExpression) {
+      vcfLines.push(`##filterExpression=${metadata.filterExpression}`);
+    }
+    for (const contig of metadata.contigs || []) {
+      vcfLines.push(`##contig=<ID=${contig.name},length=${contig.length}>`);
+    }
     vcfLines.push('##INFO=<ID=DP,Number=1,Type=Integer,Description="Total Depth">');
     vcfLines.push('##INFO=<ID=AF,Number=A,Type=Float,Description="Allele Frequency">');
     vcfLines.push('##INFO=<ID=AC,Number=A,Type=Integer,Description="Allele Count">');
     vcfLines.push('##INFO=<ID=RC,Number=1,Type=Integer,Description="Reference Count">');
-    vcfLines.push('##INFO=<ID=VT,Number=1,Type=String,Description="Variant Type (SNV, INS, DEL)">');
+    vcfLines.push('##INFO=<ID=VT,Number=1,Type=String,Description="Variant Type (SNV, INS, DEL, MNV, COMPLEX)">');
+    vcfLines.push('##INFO=<ID=SB,Number=4,Type=Integer,Description="Strand counts: ref forward, ref reverse, alt forward, alt reverse">');
+    vcfLines.push('##INFO=<ID=FS,Number=1,Type=Float,Description="Phred-scaled Fisher\'s exact test p-value for strand bias">');
+    vcfLines.push('##INFO=<ID=SOR,Number=1,Type=Float,Description="Symmetric odds ratio of the strand table">');
+    vcfLines.push('##INFO=<ID=MPOS,Number=1,Type=Float,Description="Median distance of alt bases from the nearest read end">');
+    vcfLines.push('##INFO=<ID=MMQ,Number=1,Type=Float,Description="Mean mapping quality of alt-supporting reads">');
+
+    // Paired tumor-normal annotations
+    const paired = variants.some(v => v.somatic_status !== undefined);
+    if (paired) {
+      vcfLines.push('##INFO=<ID=NDP,Number=1,Type=Integer,Description="Normal Depth">');
+      vcfLines.push('##INFO=<ID=NAF,Number=A,Type=Float,Description="Normal Allele Frequency">');
+      vcfLines.push('##INFO=<ID=NAC,Number=A,Type=Integer,Description="Normal Allele Count">');
+      vcfLines.push('##INFO=<ID=SS,Number=1,Type=String,Description="Somatic Status (somatic, germline, loh, unknown)">');
+      vcfLines.push('##INFO=<ID=SPV,Number=1,Type=Float,Description="Fisher\'s exact test p-value, tumor vs normal">');
+      vcfLines.push('##INFO=<ID=SOMATIC,Number=0,Type=Flag,Description="Somatic mutation">');
+    }
+
+    // Consequence annotations, one CSQ entry per overlapping transcript
+    const annotated = variants.some(v => v.annotations !== undefined);
+    if (annotated) {
+      const source = metadata.annotation?.gene_model ? ` from ${metadata.annotation.gene_model}` : '';
+      vcfLines.push(`##INFO=<ID=CSQ,Number=.,Type=String,Description="Consequence annotations${source}. Format: ${CSQ_FIELDS.join('|')}">`);
+    }
+
+    // Soft filters (records keep their data, FILTER carries the failing tags)
+    const soft = { ...DEFAULT_SOFT_FILTERS, ...(metadata.softFilters || {}) };
+    vcfLines.push(`##FILTER=<ID=strand_bias,Description="FS > ${soft.maxFsSnv} or SOR > ${soft.maxSorSnv} (SNV); FS > ${soft.maxFsIndel} or SOR > ${soft.maxSorIndel} (indel)">`);
+    vcfLines.push(`##FILTER=<ID=read_position,Description="Median alt position from read end < ${soft.minMedianAltPos}">`);
+    vcfLines.push(`##FILTER=<ID=low_mapq,Description="Mean alt read mapping quality < ${soft.minMeanMapq}">`);
 
     // Add filter metadata if available
     if (metadata.filters) {
@@ -67,8 +311,25 @@ export function useVariantCaller() {
       vcfLines.push(`##FILTER=<ID=min_af,Description="Minimum allele frequency ${metadata.filters.min_allele_freq}">`);
     }
 
-    // Column header
-    vcfLines.push('#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO');
+    // Genotype fields (diploid likelihoods from base qualities)
+    vcfLines.push('##FORMAT=<ID=GT,Number=1,Type=String,Description="Genotype">');
+    vcfLines.push('##FORMAT=<ID=GQ,Number=1,Type=Integer,Description="Genotype Quality">');
+    vcfLines.push('##FORMAT=<ID=PL,Number=G,Type=Integer,Description="Phred-scaled genotype likelihoods for 0/0, 0/1, 1/1">');
+    vcfLines.push('##FORMAT=<ID=AD,Number=R,Type=Integer,Description="Allelic depths for the ref and alt alleles">');
+    vcfLines.push('##FORMAT=<ID=DP,Number=1,Type=Integer,Description="Read depth">');
+
+    // Read-backed phasing: phased GT plus the phase set it belongs to
+    const phased = variants.some(v => v.phase_set !== undefined && v.phase_set !== null);
+    if (phased) {
+      vcfLines.push('##FORMAT=<ID=PS,Number=1,Type=Integer,Description="Phase set (position of the first variant in the set); GT is phased within a set">');
+    }
+
+    // Column header (tumor then normal sample in paired mode)
+    const sampleColumns = [metadata.sampleName || (paired ? 'TUMOR' : 'SAMPLE')];
+    if (paired) {
+      sampleColumns.push(metadata.normalSampleName || 'NORMAL');
+    }
+    vcfLines.push(['#CHROM', 'POS', 'ID', 'REF', 'ALT', 'QUAL', 'FILTER', 'INFO', 'FORMAT', ...sampleColumns].join('\t'));
 
     // Variant lines
     for (const variant of variants) {
@@ -78,17 +339,86 @@ export function useVariantCaller() {
         `AC=${variant.alt_count}`,
         `RC=${variant.ref_count}`,
         `VT=${variant.type}`
-      ].join(';');
+      ];
+
+      if (variant.strand_counts) {
+        info.push(`SB=${variant.strand_counts.join(',')}`);
+      }
+      if (variant.fs !== undefined && variant.fs !== null) {
+        info.push(`FS=${variant.fs.toFixed(3)}`);
+      }
+      if (variant.sor !== undefined && variant.sor !== null) {
+        info.push(`SOR=${variant.sor.toFixed(3)}`);
+      }
+      if (variant.median_alt_pos !== undefined && variant.median_alt_pos !== null) {
+        info.push(`MPOS=${variant.median_alt_pos}`);
+      }
+      if (variant.mean_mapq !== undefined && variant.mean_mapq !== null) {
+        info.push(`MMQ=${variant.mean_mapq}`);
+      }
+
+      if (variant.somatic_status !== undefined) {
+        info.push(
+          `NDP=${variant.normal_depth}`,
+          `NAF=${variant.normal_allele_freq.toFixed(4)}`,
+          `NAC=${variant.normal_alt_count}`,
+          `SS=${variant.somatic_status}`
+        );
+        if (variant.somatic_p_value !== null && variant.somatic_p_value !== undefined) {
+          info.push(`SPV=${variant.somatic_p_value.toExponential(3)}`);
+        }
+        if (variant.somatic_status === 'somatic') {
+          info.push('SOMATIC');
+        }
+      }
+
+      if (variant.annotations?.length) {
+        // Allele as VEP writes it: anchor base dropped, '-' for a deletion
+        const allele = variant.ref.length === 1 && variant.alt.length === 1
+          ? variant.alt
+          : variant.alt.slice(1) || '-';
+        const entries = variant.annotations.map(a => [
+          allele,
+          a.consequences.join('&'),
+          a.impact,
+          a.gene,
+          a.gene_id,
+          a.transcript,
+          a.biotype,
+          a.exon,
+          a.intron,
+          a.hgvs_c ? `${a.transcript}:${a.hgvs_c}` : '',
+          a.hgvs_p ? `${a.transcript}:${a.hgvs_p}` : '',
+          a.strand === '-' ? -1 : 1,
+          a.canonical ? 'YES' : ''
+        ].map(encodeCsqValue).join('|'));
+        info.push(`CSQ=${entries.join(',')}`);
+      }
+
+      // Only the tumor/sample reads are phased, so the normal column carries no phase set
+      const hasPhase = variant.phase_set !== undefined && variant.phase_set !== null;
+      const samples = [
+        formatSampleColumn(variant.phased_genotype || variant.genotype, variant.gq, variant.pl, variant.ref_count, variant.alt_count, variant.depth) +
+          (hasPhase ? `:${variant.phase_set}` : '')
+      ];
+      if (paired) {
+        samples.push(formatSampleColumn(
+          variant.normal_genotype, variant.normal_gq, variant.normal_pl,
+          variant.normal_ref_count, variant.normal_alt_count, variant.normal_depth
+        ) + (hasPhase ? ':.' : ''));
+      }
 
       vcfLines.push([
         variant.chrom,
         variant.pos,
-        '.',  // ID
+        variant.id || '.',
         variant.ref,
         variant.alt,
-        variant.qual.toFixed(2),
-        'PASS',  // FILTER
-        info
+        variant.qual !== null && variant.qual !== undefined ? variant.qual.toFixed(2) : '.',
+        variant.filter?.length ? variant.filter.join(';') : 'PASS',  // FILTER
+        info.join(';'),
+        hasPhase ? 'GT:GQ:PL:AD:DP:PS' : 'GT:GQ:PL:AD:DP',
+        ...samples
       ].join('\t'));
     }
 
@@ -97,6 +427,10 @@ export function useVariantCaller() {
 
   return {
     callVariants,
+    measureLocusDepth,
+    callFusions,
+    scoreMsi,
+    applySoftFilters,
     formatToVCF,
     isReady: pyodide.isReady,
     isInitializing: pyodide.isInitializing,
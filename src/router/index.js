@@ -18,6 +18,16 @@ const router = createRouter({
       name: 'VariantCalling',
       component: () => import('../views/VariantCalling.vue')
     },
+    {
+      path: '/hotspots',
+      name: 'HotspotReport',
+      component: () => import('../views/HotspotReport.vue')
+    },
+    {
+      path: '/fusions',
+      name: 'FusionReport',
+      component: () => import('../views/FusionReport.vue')
+    },
     {
       path: '/cnv-analysis',
       name: 'CNVAnalysis',
@@ -5,6 +5,9 @@
  * Supports multi-threaded parallel processing
  */
 
+import { reconcileStructuralVariants } from '../utils/structural-variants.js';
+import { estimatePurityPloidy, assignAbsoluteCopyNumber } from '../utils/purity-ploidy.js';
+
 class AnalysisService {
   constructor() {
     this.pyodide = null;
@@ -49,11 +52,37 @@ class AnalysisService {
                               this.pyodidePool?.poolReady.value &&
                               fileSizeMB > 50; // Use parallel for files > 50MB
 
-    if (shouldUseParallel) {
-      return await this.analyzeCNVParallel(bamFile, options);
-    } else {
-      return await this.analyzeCNVSingleThreaded(bamFile, options);
+    const result = shouldUseParallel
+      ? await this.analyzeCNVParallel(bamFile, options)
+      : await this.analyzeCNVSingleThreaded(bamFile, options);
+
+    // SV calls are checked against the final CNV segments (after the worker merge)
+    if (result.structural_variants) {
+      const reconciled = reconcileStructuralVariants(result.structural_variants, result.cnvs, result.windowSize);
+      result.structural_variants = reconciled.structural_variants;
+      result.cnvs = reconciled.cnvs;
+      console.log(`✓ ${result.structural_variants.length} structural variants reconciled with ${result.cnvs.length} CNV segments`);
     }
+
+    // Absolute copy numbers need the whole-genome picture, so the fit runs on the merged windows.
+    // B-allele fractions from this BAM win over het SNPs passed in from earlier variant calls,
+    // and any BAF run is fitted so its allele-specific (LOH / CN-LOH) calls exist.
+    if ((options.estimatePurity || result.het_snps) && result.coverageData?.length) {
+      const fromBam = result.het_snps?.length > 0;
+      const fit = estimatePurityPloidy(result.coverageData, {
+        hetSnps: fromBam ? result.het_snps : (options.hetSnps || []),
+        snpSource: fromBam ? `bam-${result.baf_summary.mode}` : (options.snpSource || null)
+      });
+      if (fit.error) {
+        console.warn(`Purity/ploidy not estimated: ${fit.error}`);
+      } else {
+        result.cnvs = assignAbsoluteCopyNumber(result.cnvs, fit.segments);
+        console.log(`✓ Purity ${fit.purity}, ploidy ${fit.ploidy} (${fit.model}, fit ${fit.goodness_of_fit}%)`);
+      }
+      result.purity_ploidy = fit;
+    }
+
+    return result;
   }
 
   /**
@@ -65,15 +94,39 @@ class AnalysisService {
     }
 
     console.log('🔧 Using single-threaded Pyodide for CNV analysis');
-    console.log('Reading BAM file into memory...');
-    const arrayBuffer = await bamFile.arrayBuffer();
-
-    console.log(`Analyzing BAM file (${(arrayBuffer.byteLength / 1024 / 1024).toFixed(2)} MB) with Python...`);
+    console.log(`Streaming BAM file (${(bamFile.size / 1024 / 1024).toFixed(2)} MB) to Python...`);
+    if (options.indexFile) {
+      console.log('Using BAI index for region queries');
+    }
+    if (options.targetsFile) {
+      console.log(`Restricting coverage to BED targets (${options.targetPadding ?? 0} bp padding)`);
+    }
+    if (options.referenceFile && options.gcCorrection !== false) {
+      console.log('Correcting GC bias against the reference genome');
+    }
+    if (options.maskFile) {
+      console.log(`Masking windows with ${options.maskFile.name || 'the mask BED'}`);
+    }
 
-    // Call Python BAM analysis
-    const result = await this.pyodide.analyzeBam(arrayBuffer, {
+    // Call Python BAM analysis (the worker pulls BGZF blocks from the File on demand)
+    const result = await this.pyodide.analyzeBam(bamFile, {
       windowSize: options.windowSize || 10000,
-      chromosome: options.chromosome || null
+      chromosome: options.chromosome || null,
+      region: options.region || null,
+      indexFile: options.indexFile || null,
+      targetsFile: options.targetsFile || null,
+      targetPadding: options.targetPadding ?? 0,
+      callStructuralVariants: options.callStructuralVariants || false,
+      svMinSupport: options.svMinSupport || 3,
+      collectBaf: options.collectBaf || false,
+      bafSites: options.bafSites || null,
+      gcCorrection: options.gcCorrection ?? true,
+      referenceFile: options.referenceFile || null,
+      referenceIndexFile: options.referenceIndexFile || null,
+      referenceName: options.referenceName || null,
+      maskFile: options.maskFile || null,
+      minMappability: options.minMappability ?? null,
+      maxMaskedFraction: options.maxMaskedFraction ?? 0.5
     });
 
     // Add method identifier to result
@@ -94,15 +147,27 @@ class AnalysisService {
     }
 
     console.log(`🚀 Using multi-threaded worker pool (${this.pyodidePool.totalWorkers.value} workers) for CNV analysis`);
-    console.log('Reading BAM file into memory...');
-    const arrayBuffer = await bamFile.arrayBuffer();
-
-    console.log(`Analyzing BAM file (${(arrayBuffer.byteLength / 1024 / 1024).toFixed(2)} MB) with ${this.pyodidePool.totalWorkers.value} workers...`);
+    console.log(`Analyzing BAM file (${(bamFile.size / 1024 / 1024).toFixed(2)} MB) with ${this.pyodidePool.totalWorkers.value} workers...`);
 
-    // Call parallel BAM analysis
-    const result = await this.pyodidePool.analyzeBamParallel(arrayBuffer, {
+    // Call parallel BAM analysis (each worker streams its own slices of the same File)
+    const result = await this.pyodidePool.analyzeBamParallel(bamFile, {
       windowSize: options.windowSize || 10000,
-      chromosome: options.chromosome || null
+      chromosome: options.chromosome || null,
+      region: options.region || null,
+      indexFile: options.indexFile || null,
+      targetsFile: options.targetsFile || null,
+      targetPadding: options.targetPadding ?? 0,
+      callStructuralVariants: options.callStructuralVariants || false,
+      svMinSupport: options.svMinSupport || 3,
+      collectBaf: options.collectBaf || false,
+      bafSites: options.bafSites || null,
+      gcCorrection: options.gcCorrection ?? true,
+      referenceFile: options.referenceFile || null,
+      referenceIndexFile: options.referenceIndexFile || null,
+      referenceName: options.referenceName || null,
+      maskFile: options.maskFile || null,
+      minMappability: options.minMappability ?? null,
+      maxMaskedFraction: options.maxMaskedFraction ?? 0.5
     });
 
     return result;
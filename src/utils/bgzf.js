@@ -0,0 +1,139 @@
+/**
+ * BGZF (blocked gzip) writer, the compression used by bgzip/htslib
+ *
+ * Data is split into independent gzip members of at most 64 KiB uncompressed, each carrying
+ * its compressed size in a 'BC' extra field. A position in the file is addressed by a virtual
+ * offset: (compressed offset of the block << 16) | offset inside the uncompressed block.
+ */
+
+import pako from 'pako';
+
+// htslib fills blocks to 0xff00 bytes so the compressed block always fits in 64 KiB
+const BLOCK_DATA_SIZE = 0xff00;
+
+// Empty block that terminates every BGZF file
+export const BGZF_EOF = new Uint8Array([
+  0x1f, 0x8b, 0x08, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00, 0xff, 0x06, 0x00, 0x42, 0x43, 0x02, 0x00,
+  0x1b, 0x00, 0x03, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00
+]);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Compress one block of at most BLOCK_DATA_SIZE bytes into a BGZF member
+ */
+function compressBlock(data) {
+  const deflated = pako.deflateRaw(data, { level: 6 });
+  const blockSize = 18 + deflated.length + 8;
+  const block = new Uint8Array(blockSize);
+  const view = new DataView(block.buffer);
+
+  // gzip header with the BC extra subfield (BSIZE = total block size - 1)
+  block.set([0x1f, 0x8b, 0x08, 0x04, 0, 0, 0, 0, 0, 0xff, 6, 0, 0x42, 0x43, 2, 0]);
+  view.setUint16(16, blockSize - 1, true);
+  block.set(deflated, 18);
+  view.setUint32(18 + deflated.length, crc32(data), true);
+  view.setUint32(22 + deflated.length, data.length, true);
+  return block;
+}
+
+/**
+ * Virtual offset as a BigInt (compressed offsets exceed 32 bits once shifted)
+ */
+export const virtualOffset = (blockOffset, withinBlock) => (BigInt(blockOffset) << 16n) | BigInt(withinBlock);
+
+/**
+ * Incremental BGZF writer
+ * write() returns the virtual offset at which the written bytes start, which is what
+ * tabix/CSI indexes record for each line
+ */
+export class BgzfWriter {
+  constructor() {
+    this.blocks = [];
+    this.compressedOffset = 0;
+    this.buffer = new Uint8Array(BLOCK_DATA_SIZE);
+    this.bufferLength = 0;
+    this.encoder = new TextEncoder();
+  }
+
+  /** Virtual offset of the next byte to be written */
+  get offset() {
+    return virtualOffset(this.compressedOffset, this.bufferLength);
+  }
+
+  /**
+   * Append text or bytes
+   * @param {string|Uint8Array} data
+   * @returns {bigint} Virtual offset of the first written byte
+   */
+  write(data) {
+    const bytes = typeof data === 'string' ? this.encoder.encode(data) : data;
+    const start = this.offset;
+
+    // A full block is flushed straight away, so the offset after a write is always the
+    // start of the next byte (and lines ending on a block boundary index cleanly)
+    let position = 0;
+    while (position < bytes.length) {
+      const take = Math.min(BLOCK_DATA_SIZE - this.bufferLength, bytes.length - position);
+      this.buffer.set(bytes.subarray(position, position + take), this.bufferLength);
+      this.bufferLength += take;
+      position += take;
+      if (this.bufferLength === BLOCK_DATA_SIZE) this.flush();
+    }
+    return start;
+  }
+
+  /** Compress the buffered data into a block */
+  flush() {
+    if (this.bufferLength === 0) return;
+    const block = compressBlock(this.buffer.subarray(0, this.bufferLength));
+    this.blocks.push(block);
+    this.compressedOffset += block.length;
+    this.bufferLength = 0;
+  }
+
+  /**
+   * Flush and append the EOF marker
+   * @returns {Uint8Array} The complete BGZF file
+   */
+  finish() {
+    this.flush();
+    this.blocks.push(BGZF_EOF);
+    const out = new Uint8Array(this.compressedOffset + BGZF_EOF.length);
+    let offset = 0;
+    for (const block of this.blocks) {
+      out.set(block, offset);
+      offset += block.length;
+    }
+    return out;
+  }
+}
+
+/**
+ * BGZF-compress a whole buffer or string
+ * @param {string|Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function bgzfCompress(data) {
+  const writer = new BgzfWriter();
+  writer.write(data);
+  return writer.finish();
+}
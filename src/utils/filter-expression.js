@@ -0,0 +1,512 @@
+/**
+ * bcftools-style filter expressions over variant records
+ *
+ *   AF>0.1 && DP>=50 && FS<60 && gene in ["EGFR","KRAS"]
+ *
+ * Supported syntax:
+ *   - logic:       && || ! (also & | and 'and' / 'or' / 'not'), parentheses
+ *   - comparison:  == = != < <= > >=, ~ and !~ (regular expression, "pattern/i" for case-insensitive)
+ *   - membership:  x in [..], x not in [..]
+ *   - arithmetic:  + - * /
+ *   - literals:    numbers, "strings" or 'strings', true, false, null, [lists]
+ *   - functions:   abs(x), len(x), lower(x), upper(x), exists(x)
+ *
+ * Identifiers are VCF-style aliases (AF, DP, QUAL, FILTER, TYPE, ...) or any variant field
+ * by name, including dotted paths into arrays (annotations.consequence). Fields holding several
+ * values match when any value does, like bcftools vector fields; != and !~ are the negations
+ * (no value matches). A comparison against a missing value is false.
+ */
+
+// VCF / bcftools names -> variant fields
+export const FILTER_FIELD_ALIASES = {
+  CHROM: 'chrom',
+  POS: 'pos',
+  ID: 'id',
+  REF: 'ref',
+  ALT: 'alt',
+  QUAL: 'qual',
+  DP: 'depth',
+  AF: 'allele_freq',
+  VAF: 'allele_freq',
+  RC: 'ref_count',
+  AC: 'alt_count',
+  GT: 'genotype',
+  GQ: 'gq',
+  FS: 'fs',
+  SOR: 'sor',
+  MPOS: 'median_alt_pos',
+  MMQ: 'mean_mapq',
+  MQ: 'mean_mapq',
+  NDP: 'normal_depth',
+  NAF: 'normal_allele_freq',
+  NAC: 'normal_alt_count',
+  SS: 'somatic_status',
+  STATUS: 'somatic_status',
+  SPV: 'somatic_p_value',
+  GENE: 'gene',
+  CSQ: 'consequence',
+  CONSEQUENCE: 'consequence',
+  IMPACT: 'impact',
+  HGVSC: 'hgvs_c',
+  HGVSP: 'hgvs_p',
+  TRANSCRIPT: 'transcript',
+  PS: 'phase_set',
+  PGT: 'phased_genotype'
+};
+
+// Fields with computed values (FILTER is PASS when no tag is set, TYPE also answers to snp/indel)
+const COMPUTED_FIELDS = {
+  FILTER: (variant) => (variant.filter?.length ? variant.filter : ['PASS']),
+  TYPE: (variant) => {
+    const type = variant.type;
+    if (type === 'SNV') return ['SNV', 'snp', 'snv'];
+    if (type === 'INS' || type === 'DEL') return [type, 'indel', type.toLowerCase()];
+    if (type === 'MNV') return ['MNV', 'mnp', 'mnv'];
+    return type ? [type, type.toLowerCase(), 'other'] : null;
+  },
+  AD: (variant) => [variant.ref_count, variant.alt_count]
+};
+
+const FUNCTIONS = {
+  abs: (x) => (typeof x === 'number' ? Math.abs(x) : null),
+  len: (x) => (x === null || x === undefined ? null : (Array.isArray(x) || typeof x === 'string' ? x.length : null)),
+  lower: (x) => (typeof x === 'string' ? x.toLowerCase() : Array.isArray(x) ? x.map(v => (typeof v === 'string' ? v.toLowerCase() : v)) : null),
+  upper: (x) => (typeof x === 'string' ? x.toUpperCase() : Array.isArray(x) ? x.map(v => (typeof v === 'string' ? v.toUpperCase() : v)) : null),
+  exists: (x) => x !== null && x !== undefined && !(Array.isArray(x) && x.length === 0)
+};
+
+const syntaxError = (message, position) => {
+  const error = new Error(`${message} (at position ${position + 1})`);
+  error.position = position;
+  return error;
+};
+
+/**
+ * Split an expression into tokens
+ * @returns {Array<{type: string, value: *, position: number}>}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    const two = text.slice(i, i + 2);
+
+    if (['&&', '||', '==', '!=', '<=', '>=', '!~'].includes(two)) {
+      tokens.push({ type: 'op', value: two, position: start });
+      i += 2;
+    } else if ('&|=<>~!+-*/()[],'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch, position: start });
+      i++;
+    } else if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== ch) {
+        if (text[i] === '\\' && i + 1 < text.length) i++;
+        value += text[i++];
+      }
+      if (i >= text.length) throw syntaxError('Unterminated string', start);
+      i++;
+      tokens.push({ type: 'string', value, position: start });
+    } else if (/[0-9.]/.test(ch)) {
+      const match = text.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      if (!match) throw syntaxError(`Unexpected character '${ch}'`, start);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: start });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/);
+      const word = match[0];
+      const lower = word.toLowerCase();
+      if (lower === 'and' || lower === 'or' || lower === 'not' || lower === 'in') {
+        tokens.push({ type: 'op', value: lower, position: start });
+      } else if (lower === 'true' || lower === 'false') {
+        tokens.push({ type: 'literal', value: lower === 'true', position: start });
+      } else if (lower === 'null') {
+        tokens.push({ type: 'literal', value: null, position: start });
+      } else {
+        tokens.push({ type: 'identifier', value: word, position: start });
+      }
+      i += word.length;
+    } else {
+      throw syntaxError(`Unexpected character '${ch}'`, start);
+    }
+  }
+
+  tokens.push({ type: 'end', value: null, position: text.length });
+  return tokens;
+}
+
+const COMPARISON_OPS = ['==', '=', '!=', '<', '<=', '>', '>=', '~', '!~'];
+
+/**
+ * Parse an expression into an AST
+ * @param {string} text
+ * @returns {Object} AST node ({type: 'or'|'and'|'not'|'compare'|'in'|'arith'|'neg'|'call'|'field'|'literal'|'list', ...})
+ */
+export function parseFilterExpression(text) {
+  if (!text || !text.trim()) {
+    throw syntaxError('Empty expression', 0);
+  }
+
+  const tokens = tokenize(text);
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOp = (...values) => peek().type === 'op' && values.includes(peek().value);
+  const next = () => tokens[index++];
+  const expect = (value) => {
+    if (!isOp(value)) {
+      const token = peek();
+      throw syntaxError(`Expected '${value}' but found ${token.type === 'end' ? 'end of expression' : `'${token.value}'`}`, token.position);
+    }
+    return next();
+  };
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (isOp('||', '|', 'or')) {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isOp('&&', '&', 'and')) {
+      next();
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (isOp('!', 'not') && !(tokens[index + 1]?.type === 'op' && tokens[index + 1].value === 'in')) {
+      next();
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parseAdditive();
+
+    if (isOp(...COMPARISON_OPS)) {
+      const op = next().value;
+      return { type: 'compare', op: op === '=' ? '==' : op, left, right: parseAdditive() };
+    }
+    if (isOp('in')) {
+      next();
+      return { type: 'in', negate: false, left, right: parseAdditive() };
+    }
+    if (isOp('not', '!') && tokens[index + 1]?.type === 'op' && tokens[index + 1].value === 'in') {
+      next();
+      next();
+      return { type: 'in', negate: true, left, right: parseAdditive() };
+    }
+    return left;
+  };
+
+  const parseAdditive = () => {
+    let node = parseMultiplicative();
+    while (isOp('+', '-')) {
+      const op = next().value;
+      node = { type: 'arith', op, left: node, right: parseMultiplicative() };
+    }
+    return node;
+  };
+
+  const parseMultiplicative = () => {
+    let node = parseUnary();
+    while (isOp('*', '/')) {
+      const op = next().value;
+      node = { type: 'arith', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOp('-')) {
+      next();
+      return { type: 'neg', operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+
+    if (token.type === 'number' || token.type === 'string' || token.type === 'literal') {
+      next();
+      return { type: 'literal', value: token.value, position: token.position };
+    }
+    if (isOp('(')) {
+      next();
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    if (isOp('[')) {
+      next();
+      const items = [];
+      if (!isOp(']')) {
+        items.push(parseAdditive());
+        while (isOp(',')) {
+          next();
+          items.push(parseAdditive());
+        }
+      }
+      expect(']');
+      return { type: 'list', items };
+    }
+    if (token.type === 'identifier') {
+      next();
+      if (isOp('(')) {
+        const name = token.value.toLowerCase();
+        if (!FUNCTIONS[name]) throw syntaxError(`Unknown function '${token.value}'`, token.position);
+        next();
+        const args = isOp(')') ? [] : [parseOr()];
+        expect(')');
+        if (args.length !== 1) throw syntaxError(`${name}() takes one argument`, token.position);
+        return { type: 'call', name, args };
+      }
+      return { type: 'field', name: token.value, position: token.position };
+    }
+
+    throw syntaxError(token.type === 'end' ? 'Unexpected end of expression' : `Unexpected '${token.value}'`, token.position);
+  };
+
+  const ast = parseOr();
+  if (peek().type !== 'end') {
+    throw syntaxError(`Unexpected '${peek().value}'`, peek().position);
+  }
+  return ast;
+}
+
+/**
+ * Collect the field nodes of an AST
+ */
+function fieldNodes(node, out = []) {
+  if (!node) return out;
+  if (node.type === 'field') out.push(node);
+  for (const child of [node.left, node.right, node.operand, ...(node.items || []), ...(node.args || [])]) {
+    if (child) fieldNodes(child, out);
+  }
+  return out;
+}
+
+/**
+ * Value getter for an identifier: computed field, alias, or variant path
+ */
+function fieldGetter(name) {
+  const upper = name.toUpperCase();
+  if (COMPUTED_FIELDS[upper]) return COMPUTED_FIELDS[upper];
+
+  const path = (FILTER_FIELD_ALIASES[upper] || name).split('.');
+  return (variant) => {
+    let values = [variant];
+    for (const key of path) {
+      values = values.flatMap(value => {
+        const child = value?.[key];
+        return Array.isArray(child) && path.length > 1 ? child : [child];
+      });
+    }
+    return path.length > 1 ? values.filter(v => v !== undefined && v !== null) : values[0];
+  };
+}
+
+const isMissing = (value) => value === null || value === undefined;
+
+function compareScalar(op, a, b) {
+  if (isMissing(a) || isMissing(b)) return false;
+  switch (op) {
+    case '==': return typeof a === 'number' || typeof b === 'number' ? Number(a) === Number(b) : String(a) === String(b);
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    default: return false;
+  }
+}
+
+const regexCache = new Map();
+function toRegex(pattern) {
+  if (!regexCache.has(pattern)) {
+    const insensitive = pattern.endsWith('/i');
+    regexCache.set(pattern, new RegExp(insensitive ? pattern.slice(0, -2) : pattern, insensitive ? 'i' : ''));
+  }
+  return regexCache.get(pattern);
+}
+
+// Patterns taken from field values may be invalid; those never match
+const safeRegex = (pattern) => {
+  try {
+    return toRegex(pattern);
+  } catch {
+    return null;
+  }
+};
+
+// Vector semantics: true when any left value matches any right value
+const anyPair = (a, b, test) => {
+  const left = Array.isArray(a) ? a : [a];
+  const right = Array.isArray(b) ? b : [b];
+  return left.some(x => right.some(y => test(x, y)));
+};
+
+const truthy = (value) => !isMissing(value) && value !== false && value !== 0 && value !== '' &&
+  !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Turn an AST into an evaluation function
+ */
+function compileNode(node) {
+  switch (node.type) {
+    case 'literal': {
+      const value = node.value;
+      return () => value;
+    }
+    case 'list': {
+      const items = node.items.map(compileNode);
+      return (v) => items.map(item => item(v)).flat();
+    }
+    case 'field':
+      return fieldGetter(node.name);
+    case 'call': {
+      const fn = FUNCTIONS[node.name];
+      const arg = compileNode(node.args[0]);
+      return (v) => fn(arg(v));
+    }
+    case 'neg': {
+      const operand = compileNode(node.operand);
+      return (v) => {
+        const value = operand(v);
+        return typeof value === 'number' ? -value : null;
+      };
+    }
+    case 'arith': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return (v) => {
+        const a = left(v);
+        const b = right(v);
+        if (typeof a !== 'number' || typeof b !== 'number') return null;
+        if (node.op === '+') return a + b;
+        if (node.op === '-') return a - b;
+        if (node.op === '*') return a * b;
+        return b === 0 ? null : a / b;
+      };
+    }
+    case 'compare': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      const { op } = node;
+      if (op === '~' || op === '!~') {
+        if (node.right.type === 'literal' && typeof node.right.value === 'string') {
+          try {
+            toRegex(node.right.value);
+          } catch {
+            throw syntaxError(`Invalid regular expression "${node.right.value}"`, node.right.position);
+          }
+        }
+        const match = (v) => anyPair(left(v), right(v), (a, b) =>
+          !isMissing(a) && typeof b === 'string' && safeRegex(b)?.test(String(a))
+        );
+        return op === '~' ? match : (v) => !match(v);
+      }
+      if (op === '!=') {
+        return (v) => {
+          const a = left(v);
+          return !isMissing(a) && !(Array.isArray(a) && a.length === 0) && !anyPair(a, right(v), (x, y) => compareScalar('==', x, y));
+        };
+      }
+      return (v) => anyPair(left(v), right(v), (a, b) => compareScalar(op, a, b));
+    }
+    case 'in': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return (v) => {
+        const a = left(v);
+        if (isMissing(a) || (Array.isArray(a) && a.length === 0)) return false;
+        const found = anyPair(a, right(v), (x, y) => compareScalar('==', x, y));
+        return node.negate ? !found : found;
+      };
+    }
+    case 'not': {
+      const operand = compileNode(node.operand);
+      return (v) => !truthy(operand(v));
+    }
+    case 'and': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return (v) => truthy(left(v)) && truthy(right(v));
+    }
+    case 'or': {
+      const left = compileNode(node.left);
+      const right = compileNode(node.right);
+      return (v) => truthy(left(v)) || truthy(right(v));
+    }
+    default:
+      throw new Error(`Unknown expression node '${node.type}'`);
+  }
+}
+
+/**
+ * Fields a set of variants can be filtered on (aliases, computed fields and variant keys)
+ * @param {Array} variants - Sample of variants to collect keys from
+ * @returns {Set<string>}
+ */
+export function availableFilterFields(variants = []) {
+  const fields = new Set([...Object.keys(FILTER_FIELD_ALIASES), ...Object.keys(COMPUTED_FIELDS)]);
+  for (const variant of variants.slice(0, 500)) {
+    for (const [key, value] of Object.entries(variant)) {
+      fields.add(key);
+      if (Array.isArray(value) && value[0] && typeof value[0] === 'object') {
+        Object.keys(value[0]).forEach(child => fields.add(`${key}.${child}`));
+      }
+    }
+  }
+  return fields;
+}
+
+const isKnownField = (name, fields) => fields.has(name) || fields.has(name.toUpperCase());
+
+/**
+ * Compile an expression into a predicate
+ * @param {string} text - Filter expression
+ * @param {Object} [options]
+ * @param {Set<string>} [options.fields] - Known fields; unknown identifiers are rejected
+ * @returns {(variant: Object) => boolean}
+ */
+export function compileFilter(text, options = {}) {
+  const ast = parseFilterExpression(text);
+
+  if (options.fields) {
+    const unknown = fieldNodes(ast).find(node => !isKnownField(node.name, options.fields));
+    if (unknown) {
+      throw syntaxError(`Unknown field '${unknown.name}'`, unknown.position);
+    }
+  }
+
+  const evaluate = compileNode(ast);
+  return (variant) => truthy(evaluate(variant));
+}
+
+/**
+ * Validate an expression for the UI
+ * @returns {{valid: boolean, error: string|null, position: number|null}}
+ */
+export function validateFilterExpression(text, fields = null) {
+  try {
+    compileFilter(text, { fields });
+    return { valid: true, error: null, position: null };
+  } catch (err) {
+    return { valid: false, error: err.message, position: err.position ?? null };
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * Match variant calls against a hotspot catalogue (see src/data/nsclc-hotspots.json)
+ *
+ * A hotspot is a 1-based inclusive locus plus optional allele constraints (`match`):
+ *   types    - variant types that count (SNV / INS / DEL)
+ *   ref/alts - exact alleles for point mutations
+ *   inframe  - indel length must be a multiple of 3
+ *   windows  - sub-intervals the variant must touch (e.g. splice regions of an exon)
+ *   impacts  - annotation impacts that count (only checked for annotated variants)
+ *   hgvs_p   - protein changes that count on the hotspot gene, wherever the variant was called
+ *              (catches hotspots called against another genome build)
+ *
+ * Each hotspot is reported as detected, not_detected (depth >= min depth, no matching call)
+ * or no_call (depth too low, depth not measured, or the locus was not part of the run)
+ */
+
+export const HOTSPOT_STATUS = {
+  DETECTED: 'detected',
+  NOT_DETECTED: 'not_detected',
+  NO_CALL: 'no_call'
+};
+
+const DEPTH_STATS = ['min', 'median', 'mean', 'max'];
+
+/**
+ * Contig name without the 'chr' prefix (chrM == MT) for comparisons across files
+ */
+const normalizeContig = (chrom) => {
+  const name = String(chrom).replace(/^chr/i, '');
+  return name === 'M' ? 'MT' : name;
+};
+
+/**
+ * Reference interval touched by a variant (1-based inclusive)
+ * Indels include the anchor base, so an insertion right before a locus still touches it
+ */
+const variantSpan = (variant) => ({
+  start: variant.pos,
+  end: variant.pos + Math.max(variant.ref.length, 1) - 1
+});
+
+const overlaps = (span, start, end) => span.start <= end && span.end >= start;
+
+/**
+ * Check a hotspot catalogue and return a list of problems (empty = valid)
+ * @param {Object} catalog - Parsed catalogue JSON
+ * @returns {string[]} Human-readable validation errors
+ */
+export function validateCatalog(catalog) {
+  const errors = [];
+
+  if (!catalog || typeof catalog !== 'object') {
+    return ['Catalogue must be a JSON object'];
+  }
+  if (!catalog.name) errors.push('Missing catalogue name');
+  if (!catalog.version) errors.push('Missing catalogue version');
+  if (!Array.isArray(catalog.hotspots) || catalog.hotspots.length === 0) {
+    errors.push('Catalogue needs a non-empty hotspots array');
+    return errors;
+  }
+
+  const ids = new Set();
+  catalog.hotspots.forEach((hotspot, i) => {
+    const where = `hotspots[${i}]${hotspot?.id ? ` (${hotspot.id})` : ''}`;
+    if (!hotspot?.id) {
+      errors.push(`${where}: missing id`);
+    } else if (ids.has(hotspot.id)) {
+      errors.push(`${where}: duplicate id`);
+    } else {
+      ids.add(hotspot.id);
+    }
+    if (!hotspot?.gene) errors.push(`${where}: missing gene`);
+    if (!hotspot?.chrom) errors.push(`${where}: missing chrom`);
+    if (!Number.isInteger(hotspot?.start) || !Number.isInteger(hotspot?.end) || hotspot.start < 1 || hotspot.end < hotspot.start) {
+      errors.push(`${where}: start/end must be 1-based integers with start <= end`);
+    }
+    if (hotspot?.depth_stat && !DEPTH_STATS.includes(hotspot.depth_stat)) {
+      errors.push(`${where}: depth_stat must be one of ${DEPTH_STATS.join(', ')}`);
+    }
+    const windows = hotspot?.match?.windows;
+    if (windows && (!Array.isArray(windows) || windows.some(w => !Array.isArray(w) || w.length !== 2 || w[0] > w[1]))) {
+      errors.push(`${where}: match.windows must be [start, end] pairs`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Loci to measure depth over, one per hotspot
+ * @returns {Array} [{id, chrom, start, end}]
+ */
+export function hotspotLoci(catalog) {
+  return catalog.hotspots.map(({ id, chrom, start, end }) => ({ id, chrom, start, end }));
+}
+
+/**
+ * Whether a variant satisfies a hotspot's allele constraints
+ */
+export function variantMatchesHotspot(variant, hotspot) {
+  const match = hotspot.match || {};
+
+  // Protein-level match on the hotspot gene (independent of coordinates)
+  if (match.hgvs_p?.length && variant.annotations?.some(a => a.gene === hotspot.gene && match.hgvs_p.includes(a.hgvs_p))) {
+    return true;
+  }
+
+  if (normalizeContig(variant.chrom) !== normalizeContig(hotspot.chrom)) return false;
+
+  const span = variantSpan(variant);
+  if (!overlaps(span, hotspot.start, hotspot.end)) return false;
+  if (match.windows && !match.windows.some(([start, end]) => overlaps(span, start, end))) return false;
+
+  if (match.types && !match.types.includes(variant.type)) return false;
+  if (match.ref && variant.ref !== match.ref) return false;
+  if (match.alts && !match.alts.includes(variant.alt)) return false;
+  if (match.inframe && Math.abs(variant.ref.length - variant.alt.length) % 3 !== 0) return false;
+  if (match.impacts && variant.impact && !match.impacts.includes(variant.impact)) return false;
+
+  return true;
+}
+
+/**
+ * Whether the variant calling run covered the hotspot at all (chromosome list / region)
+ * @returns {string|null} Reason the locus was not called, or null
+ */
+function notCalledReason(hotspot, run) {
+  const contig = normalizeContig(hotspot.chrom);
+
+  if (run.calledChromosomes?.length && !run.calledChromosomes.some(c => normalizeContig(c) === contig)) {
+    return 'Chromosome not included in the run';
+  }
+
+  const region = run.region?.match(/^([^:]+):([\d,]+)-([\d,]+)$/);
+  if (region) {
+    const [, chrom, start, end] = region;
+    if (normalizeContig(chrom) !== contig ||
+        !overlaps({ start: hotspot.start, end: hotspot.end }, parseInt(start.replace(/,/g, ''), 10), parseInt(end.replace(/,/g, ''), 10))) {
+      return 'Outside the called region';
+    }
+  } else if (run.region && normalizeContig(run.region) !== contig) {
+    return 'Outside the called region';
+  }
+
+  return null;
+}
+
+/**
+ * Report every catalogue hotspot as detected / not detected / no-call
+ * @param {Array} variants - Variant calls (with soft `filter` tags when available)
+ * @param {Object} catalog - Hotspot catalogue
+ * @param {Object} [options]
+ * @param {Object} [options.depths] - Measured depth per hotspot id (from measureLocusDepth)
+ * @param {number} [options.minDepth] - Depth needed to call a hotspot negative (default catalog.min_depth)
+ * @param {string[]} [options.calledChromosomes] - Chromosomes processed by the variant calling run
+ * @param {string} [options.region] - Region the run was restricted to
+ * @returns {Array} One row per hotspot: {hotspot, status, reason, depth, vaf, variants}
+ */
+export function matchHotspots(variants, catalog, options = {}) {
+  const minDepth = options.minDepth ?? catalog.min_depth ?? 50;
+  const depths = options.depths || null;
+
+  return catalog.hotspots.map(hotspot => {
+    const matches = variants
+      .filter(v => variantMatchesHotspot(v, hotspot))
+      .sort((a, b) => (a.filter?.length || 0) - (b.filter?.length || 0) || b.allele_freq - a.allele_freq);
+
+    const measured = depths?.[hotspot.id];
+    const locusDepth = measured?.[hotspot.depth_stat || 'min'] ?? null;
+
+    if (matches.length > 0) {
+      // Best evidence first: PASS before soft-filtered calls, then highest VAF
+      const best = matches[0];
+      return {
+        hotspot,
+        status: HOTSPOT_STATUS.DETECTED,
+        reason: best.filter?.length ? `Flagged: ${best.filter.join(', ')}` : null,
+        depth: best.depth,
+        vaf: best.allele_freq,
+        locusDepth,
+        variants: matches
+      };
+    }
+
+    const row = { hotspot, depth: locusDepth, vaf: null, locusDepth, variants: [] };
+
+    const skipped = notCalledReason(hotspot, options);
+    if (skipped) {
+      return { ...row, status: HOTSPOT_STATUS.NO_CALL, reason: skipped };
+    }
+    if (!measured) {
+      return { ...row, status: HOTSPOT_STATUS.NO_CALL, reason: 'Depth not measured' };
+    }
+    if (!measured.contig_found) {
+      return { ...row, status: HOTSPOT_STATUS.NO_CALL, reason: `${hotspot.chrom} not in BAM` };
+    }
+    if (locusDepth === null) {
+      return { ...row, status: HOTSPOT_STATUS.NO_CALL, reason: 'Not evaluable: depth unavailable' };
+    }
+    if (locusDepth < minDepth) {
+      return { ...row, status: HOTSPOT_STATUS.NO_CALL, reason: `Depth ${locusDepth} < ${minDepth}` };
+    }
+
+    return { ...row, status: HOTSPOT_STATUS.NOT_DETECTED, reason: null, vaf: 0 };
+  });
+}
@@ -0,0 +1,492 @@
+/**
+ * Mutation Annotation Format (MAF) writer and reader
+ *
+ * MAF is the tab-separated format used by GDC, cBioPortal and maftools. Unlike VCF it has no
+ * anchor base: deletions are written as REF -> '-', insertions as '-' -> ALT between the two
+ * flanking positions. Columns follow the GDC MAF specification (the 34 standard TCGA columns
+ * followed by the GDC annotation and read-count columns).
+ */
+
+import { readLines } from './vcf-parser.js';
+
+export const MAF_VERSION = '2.4';
+
+export const MAF_COLUMNS = [
+  'Hugo_Symbol', 'Entrez_Gene_Id', 'Center', 'NCBI_Build', 'Chromosome', 'Start_Position', 'End_Position',
+  'Strand', 'Variant_Classification', 'Variant_Type', 'Reference_Allele', 'Tumor_Seq_Allele1', 'Tumor_Seq_Allele2',
+  'dbSNP_RS', 'dbSNP_Val_Status', 'Tumor_Sample_Barcode', 'Matched_Norm_Sample_Barcode', 'Match_Norm_Seq_Allele1',
+  'Match_Norm_Seq_Allele2', 'Tumor_Validation_Allele1', 'Tumor_Validation_Allele2', 'Match_Norm_Validation_Allele1',
+  'Match_Norm_Validation_Allele2', 'Verification_Status', 'Validation_Status', 'Mutation_Status', 'Sequencing_Phase',
+  'Sequence_Source', 'Validation_Method', 'Score', 'BAM_File', 'Sequencer', 'Tumor_Sample_UUID', 'Matched_Norm_Sample_UUID',
+  'HGVSc', 'HGVSp', 'HGVSp_Short', 'Transcript_ID', 'Exon_Number', 't_depth', 't_ref_count', 't_alt_count',
+  'n_depth', 'n_ref_count', 'n_alt_count', 'Allele', 'Gene', 'Feature', 'Feature_type', 'One_Consequence',
+  'Consequence', 'IMPACT', 'BIOTYPE', 'CANONICAL', 'FILTER'
+];
+
+// Sequence Ontology term -> MAF Variant_Classification (the vcf2maf mapping)
+const SO_TO_CLASSIFICATION = {
+  transcript_ablation: 'Splice_Site',
+  exon_loss_variant: 'Splice_Site',
+  splice_acceptor_variant: 'Splice_Site',
+  splice_donor_variant: 'Splice_Site',
+  stop_gained: 'Nonsense_Mutation',
+  stop_lost: 'Nonstop_Mutation',
+  start_lost: 'Translation_Start_Site',
+  initiator_codon_variant: 'Translation_Start_Site',
+  missense_variant: 'Missense_Mutation',
+  coding_sequence_variant: 'Missense_Mutation',
+  protein_altering_variant: 'Missense_Mutation',
+  splice_region_variant: 'Splice_Region',
+  synonymous_variant: 'Silent',
+  stop_retained_variant: 'Silent',
+  incomplete_terminal_codon_variant: 'Silent',
+  NMD_transcript_variant: 'Silent',
+  mature_miRNA_variant: 'RNA',
+  non_coding_transcript_exon_variant: 'RNA',
+  non_coding_transcript_variant: 'RNA',
+  '5_prime_UTR_variant': "5'UTR",
+  '3_prime_UTR_variant': "3'UTR",
+  intron_variant: 'Intron',
+  upstream_gene_variant: "5'Flank",
+  downstream_gene_variant: "3'Flank",
+  intergenic_variant: 'IGR',
+  regulatory_region_variant: 'IGR',
+  TF_binding_site_variant: 'IGR'
+};
+
+// Variant_Classification -> the SO term the app uses when a MAF carries no consequence column
+const CLASSIFICATION_TO_SO = {
+  Missense_Mutation: 'missense_variant',
+  Nonsense_Mutation: 'stop_gained',
+  Nonstop_Mutation: 'stop_lost',
+  Silent: 'synonymous_variant',
+  Frame_Shift_Del: 'frameshift_variant',
+  Frame_Shift_Ins: 'frameshift_variant',
+  In_Frame_Del: 'inframe_deletion',
+  In_Frame_Ins: 'inframe_insertion',
+  Splice_Site: 'splice_donor_variant',
+  Splice_Region: 'splice_region_variant',
+  Translation_Start_Site: 'start_lost',
+  "5'UTR": '5_prime_UTR_variant',
+  "3'UTR": '3_prime_UTR_variant',
+  "5'Flank": 'upstream_gene_variant',
+  "3'Flank": 'downstream_gene_variant',
+  Intron: 'intron_variant',
+  RNA: 'non_coding_transcript_exon_variant',
+  IGR: 'intergenic_variant'
+};
+
+const CLASSIFICATION_IMPACT = {
+  Frame_Shift_Del: 'HIGH', Frame_Shift_Ins: 'HIGH', Nonsense_Mutation: 'HIGH', Nonstop_Mutation: 'HIGH',
+  Splice_Site: 'HIGH', Translation_Start_Site: 'HIGH',
+  Missense_Mutation: 'MODERATE', In_Frame_Del: 'MODERATE', In_Frame_Ins: 'MODERATE',
+  Silent: 'LOW', Splice_Region: 'LOW'
+};
+
+const AA_ONE_LETTER = {
+  Ala: 'A', Arg: 'R', Asn: 'N', Asp: 'D', Cys: 'C', Gln: 'Q', Glu: 'E', Gly: 'G', His: 'H', Ile: 'I',
+  Leu: 'L', Lys: 'K', Met: 'M', Phe: 'F', Pro: 'P', Ser: 'S', Thr: 'T', Trp: 'W', Tyr: 'Y', Val: 'V',
+  Ter: '*', Xaa: 'X', Sec: 'U'
+};
+
+/**
+ * p.Leu858Arg -> p.L858R
+ */
+export function shortHgvsp(hgvsp) {
+  if (!hgvsp) return '';
+  return hgvsp.replace(/[A-Z][a-z]{2}/g, aa => AA_ONE_LETTER[aa] || aa);
+}
+
+/**
+ * MAF coordinates and alleles of an anchored (VCF-style) variant
+ * @returns {{start: number, end: number, ref: string, alt: string, type: string}}
+ */
+export function toMafAlleles(variant) {
+  let { pos, ref, alt } = variant;
+
+  // Drop the shared leading bases (the VCF anchor)
+  while (ref.length > 0 && alt.length > 0 && ref[0] === alt[0] && (ref.length > 1 || alt.length > 1)) {
+    ref = ref.slice(1);
+    alt = alt.slice(1);
+    pos++;
+  }
+
+  if (ref.length === 0) {
+    // Insertion between pos - 1 and pos
+    return { start: pos - 1, end: pos, ref: '-', alt, type: 'INS' };
+  }
+  if (alt.length === 0) {
+    return { start: pos, end: pos + ref.length - 1, ref, alt: '-', type: 'DEL' };
+  }
+  if (ref.length === alt.length) {
+    const type = { 1: 'SNP', 2: 'DNP', 3: 'TNP' }[ref.length] || 'ONP';
+    return { start: pos, end: pos + ref.length - 1, ref, alt, type };
+  }
+  // Complex substitution: classified by the longer allele, as vcf2maf does
+  return { start: pos, end: pos + ref.length - 1, ref, alt, type: ref.length > alt.length ? 'DEL' : 'INS' };
+}
+
+/**
+ * MAF Variant_Classification of a variant from its most severe consequence
+ */
+export function variantClassification(variant, mafType) {
+  const consequence = variant.consequence;
+  if (!consequence) return 'Targeted_Region';
+
+  if (consequence === 'frameshift_variant') {
+    return mafType === 'DEL' ? 'Frame_Shift_Del' : 'Frame_Shift_Ins';
+  }
+  if (consequence === 'inframe_insertion' || consequence === 'inframe_deletion') {
+    return mafType === 'DEL' ? 'In_Frame_Del' : 'In_Frame_Ins';
+  }
+  if (consequence === 'protein_altering_variant' && (mafType === 'INS' || mafType === 'DEL')) {
+    return mafType === 'DEL' ? 'In_Frame_Del' : 'In_Frame_Ins';
+  }
+  return SO_TO_CLASSIFICATION[consequence] || 'Targeted_Region';
+}
+
+const MUTATION_STATUS = { somatic: 'Somatic', germline: 'Germline', loh: 'LOH', unknown: 'Unknown' };
+
+/**
+ * Format variants as a MAF
+ * @param {Array} variants - Variants (with soft `filter` tags when available)
+ * @param {Object} [metadata]
+ * @param {string} [metadata.tumorSampleBarcode] - Tumor_Sample_Barcode (defaults to 'TUMOR')
+ * @param {string} [metadata.normalSampleBarcode] - Matched_Norm_Sample_Barcode (paired runs)
+ * @param {string} [metadata.center] - Sequencing center
+ * @param {string} [metadata.ncbiBuild] - Genome build (defaults to 'GRCh38')
+ * @param {string} [metadata.filterExpression] - Filter expression the rows were selected with (written as a comment)
+ * @returns {string} MAF text
+ */
+export function formatToMAF(variants, metadata = {}) {
+  const tumorBarcode = metadata.tumorSampleBarcode || 'TUMOR';
+  const normalBarcode = metadata.normalSampleBarcode || '';
+  const lines = [`#version ${MAF_VERSION}`];
+  if (metadata.filterExpression) {
+    lines.push(`#filter_expression ${metadata.filterExpression}`);
+  }
+  lines.push(MAF_COLUMNS.join('\t'));
+
+  for (const variant of variants) {
+    const maf = toMafAlleles(variant);
+    const classification = variantClassification(variant, maf.type);
+    const homozygous = variant.genotype === '1/1' || variant.genotype === '1|1';
+    const paired = variant.somatic_status !== undefined;
+    const normalHom = variant.normal_genotype === '1/1' || variant.normal_genotype === '1|1';
+    const normalHet = variant.normal_genotype === '0/1' || variant.normal_genotype === '0|1' || variant.normal_genotype === '1|0';
+    const top = variant.annotations?.find(a => a.transcript === variant.transcript) || null;
+
+    const row = {
+      Hugo_Symbol: variant.gene || 'Unknown',
+      Entrez_Gene_Id: 0,
+      Center: metadata.center || '.',
+      NCBI_Build: metadata.ncbiBuild || 'GRCh38',
+      Chromosome: variant.chrom,
+      Start_Position: maf.start,
+      End_Position: maf.end,
+      Strand: '+',
+      Variant_Classification: classification,
+      Variant_Type: maf.type,
+      Reference_Allele: maf.ref,
+      Tumor_Seq_Allele1: homozygous ? maf.alt : maf.ref,
+      Tumor_Seq_Allele2: maf.alt,
+      dbSNP_RS: variant.id?.startsWith('rs') ? variant.id.split(';')[0] : '',
+      Tumor_Sample_Barcode: variant.tumor_sample_barcode || tumorBarcode,
+      Matched_Norm_Sample_Barcode: paired ? normalBarcode : '',
+      Match_Norm_Seq_Allele1: paired ? (normalHom ? maf.alt : maf.ref) : '',
+      Match_Norm_Seq_Allele2: paired ? (normalHom || normalHet ? maf.alt : maf.ref) : '',
+      Mutation_Status: paired ? MUTATION_STATUS[variant.somatic_status] || 'Unknown' : '',
+      Score: variant.qual ?? '',
+      HGVSc: variant.hgvs_c || '',
+      HGVSp: variant.hgvs_p || '',
+      HGVSp_Short: shortHgvsp(variant.hgvs_p),
+      Transcript_ID: variant.transcript || '',
+      Exon_Number: top?.exon || '',
+      t_depth: variant.depth,
+      t_ref_count: variant.ref_count,
+      t_alt_count: variant.alt_count,
+      n_depth: paired ? variant.normal_depth : '',
+      n_ref_count: paired ? variant.normal_ref_count : '',
+      n_alt_count: paired ? variant.normal_alt_count : '',
+      Allele: maf.alt,
+      Gene: top?.gene_id || '',
+      Feature: variant.transcript || '',
+      Feature_type: variant.transcript ? 'Transcript' : '',
+      One_Consequence: variant.consequence || '',
+      Consequence: top?.consequences?.join(';') || variant.consequence || '',
+      IMPACT: variant.impact || '',
+      BIOTYPE: top?.biotype || '',
+      CANONICAL: top?.canonical ? 'YES' : '',
+      FILTER: variant.filter?.length ? variant.filter.join(';') : 'PASS'
+    };
+
+    lines.push(MAF_COLUMNS.map(column => String(row[column] ?? '').replace(/[\t\n]/g, ' ')).join('\t'));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+const toInt = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) ? null : n;
+};
+
+/**
+ * Map one MAF row to the app's variant shape
+ * MAFs carry no anchor base, so indels get 'N' as the VCF anchor unless the GDC vcf_pos /
+ * vcf_region columns give the original VCF representation
+ */
+export function mafRowToVariant(row) {
+  const mafRef = row.Reference_Allele || '-';
+  const mafAlt = row.Tumor_Seq_Allele2 && row.Tumor_Seq_Allele2 !== mafRef
+    ? row.Tumor_Seq_Allele2
+    : row.Tumor_Seq_Allele1 || '-';
+  const start = toInt(row.Start_Position);
+
+  let pos = start;
+  let ref = mafRef;
+  let alt = mafAlt;
+  const vcfRegion = row.vcf_region?.split(':');
+  if (vcfRegion?.length >= 5 && toInt(vcfRegion[1]) !== null && /^[ACGTN]+$/i.test(vcfRegion[3])) {
+    pos = toInt(vcfRegion[1]);
+    ref = vcfRegion[3];
+    alt = vcfRegion[4].split(',')[0];
+  } else if (mafRef === '-') {
+    ref = 'N';
+    alt = `N${mafAlt}`;
+  } else if (mafAlt === '-') {
+    pos = start - 1;
+    ref = `N${mafRef}`;
+    alt = 'N';
+  }
+
+  const mafType = row.Variant_Type;
+  const type = mafType === 'SNP' ? 'SNV'
+    : mafType === 'INS' || mafType === 'DEL' ? (ref.length === 1 || alt.length === 1 ? mafType : 'COMPLEX')
+    : 'MNV';
+
+  const depth = toInt(row.t_depth);
+  const refCount = toInt(row.t_ref_count);
+  const altCount = toInt(row.t_alt_count);
+  const readDepth = depth ?? (refCount !== null && altCount !== null ? refCount + altCount : null);
+
+  const classification = row.Variant_Classification;
+  const consequences = (row.Consequence || row.One_Consequence || CLASSIFICATION_TO_SO[classification] || '')
+    .split(/[;,&]/).filter(Boolean);
+  // Targeted_Region rows (unannotated calls) keep no consequence rather than a made-up one
+  const consequence = row.One_Consequence || consequences[0] || null;
+  const impact = row.IMPACT || CLASSIFICATION_IMPACT[classification] || 'MODIFIER';
+  const gene = row.Hugo_Symbol && row.Hugo_Symbol !== 'Unknown' ? row.Hugo_Symbol : null;
+  const transcript = row.Transcript_ID || row.Feature || null;
+
+  const variant = {
+    chrom: row.Chromosome,
+    pos,
+    id: row.dbSNP_RS && row.dbSNP_RS !== 'novel' ? row.dbSNP_RS : null,
+    ref,
+    alt,
+    type,
+    context: null,
+    depth: readDepth ?? 0,
+    ref_count: refCount ?? 0,
+    alt_count: altCount ?? 0,
+    allele_freq: readDepth ? (altCount ?? 0) / readDepth : 0,
+    qual: row.Score && !Number.isNaN(parseFloat(row.Score)) ? parseFloat(row.Score) : null,
+    genotype: row.Tumor_Seq_Allele1 && row.Tumor_Seq_Allele1 === row.Tumor_Seq_Allele2 && row.Tumor_Seq_Allele1 !== mafRef ? '1/1' : '0/1',
+    gq: null,
+    pl: null,
+    filter: row.FILTER && row.FILTER !== 'PASS' && row.FILTER !== '.' ? row.FILTER.split(/[;,]/) : [],
+    tumor_sample_barcode: row.Tumor_Sample_Barcode || null,
+    variant_classification: classification || null,
+    annotations: gene || transcript ? [{
+      gene,
+      gene_id: row.Gene || null,
+      transcript,
+      biotype: row.BIOTYPE || null,
+      strand: null,
+      consequence,
+      consequences: consequences.length > 0 ? consequences : [consequence || 'intergenic_variant'],
+      impact,
+      hgvs_c: row.HGVSc || null,
+      hgvs_p: row.HGVSp || row.HGVSp_Short || null,
+      exon: row.Exon_Number || null,
+      intron: null,
+      canonical: row.CANONICAL === 'YES'
+    }] : [],
+    gene,
+    transcript,
+    hgvs_c: row.HGVSc || null,
+    hgvs_p: row.HGVSp || row.HGVSp_Short || null,
+    consequence,
+    impact
+  };
+
+  if (row.Matched_Norm_Sample_Barcode && (row.n_depth || row.n_alt_count)) {
+    const nDepth = toInt(row.n_depth);
+    const nRef = toInt(row.n_ref_count);
+    const nAlt = toInt(row.n_alt_count);
+    const normalDepth = nDepth ?? (nRef !== null && nAlt !== null ? nRef + nAlt : 0);
+    variant.normal_depth = normalDepth;
+    variant.normal_ref_count = nRef ?? 0;
+    variant.normal_alt_count = nAlt ?? 0;
+    variant.normal_allele_freq = normalDepth ? (nAlt ?? 0) / normalDepth : 0;
+    variant.normal_genotype = './.';
+    variant.normal_gq = null;
+    variant.normal_pl = null;
+    const status = (row.Mutation_Status || 'Somatic').toLowerCase();
+    variant.somatic_status = ['somatic', 'germline', 'loh'].includes(status) ? status : 'unknown';
+    variant.somatic_p_value = null;
+  }
+
+  return variant;
+}
+
+/**
+ * Read the header of a MAF (comment lines and column names) and its sample barcodes
+ * @param {File|Blob|string} source - MAF or MAF.gz
+ * @returns {Promise<{version: string|null, comments: string[], columns: string[], samples: string[], records: number}>}
+ */
+export async function scanMAF(source) {
+  const comments = [];
+  let columns = null;
+  const samples = new Set();
+  let barcodeIndex = -1;
+  let records = 0;
+
+  for await (const line of readLines(source)) {
+    if (line.startsWith('#')) {
+      comments.push(line);
+    } else if (!columns) {
+      columns = line.split('\t');
+      barcodeIndex = columns.indexOf('Tumor_Sample_Barcode');
+    } else {
+      records++;
+      if (barcodeIndex >= 0) samples.add(line.split('\t', barcodeIndex + 1)[barcodeIndex]);
+    }
+  }
+
+  if (!columns || !columns.includes('Hugo_Symbol') || !columns.includes('Start_Position')) {
+    throw new Error('Not a MAF file: missing Hugo_Symbol / Start_Position columns');
+  }
+
+  const version = comments.find(c => c.startsWith('#version'))?.split(/\s+/)[1] || null;
+  return { version, comments, columns, samples: [...samples], records };
+}
+
+/**
+ * Import a MAF (e.g. a GDC open-access masked somatic MAF) into the variant calling results shape
+ * @param {File|Blob|string} source - MAF or MAF.gz
+ * @param {Object} [options]
+ * @param {string} [options.name] - File name recorded in the results
+ * @param {string} [options.sample] - Tumor_Sample_Barcode to load (all samples when omitted)
+ * @param {boolean} [options.passOnly=false] - Drop rows with a non-PASS FILTER
+ * @param {Function} [options.onProgress] - Progress callback ({message, progress, stage})
+ * @returns {Promise<Object>} Results compatible with callVariants plus `source: 'maf'` and a `maf` summary
+ */
+export async function importMAF(source, options = {}) {
+  const report = (message, progress) => options.onProgress?.({ message, progress, stage: 'import' });
+
+  const variants = [];
+  const chromosomes = new Set();
+  const samples = new Set();
+  const normals = new Set();
+  const skipped = { other_sample: 0, filtered: 0, invalid: 0 };
+  let columns = null;
+  let version = null;
+  let records = 0;
+
+  for await (const line of readLines(source, (read, total) => report(`Parsing MAF... ${Math.round((read / total) * 100)}%`, Math.round((read / total) * 95)))) {
+    if (line.startsWith('#')) {
+      if (line.startsWith('#version')) version = line.split(/\s+/)[1] || null;
+      continue;
+    }
+    if (!columns) {
+      columns = line.split('\t');
+      if (!columns.includes('Hugo_Symbol') || !columns.includes('Start_Position')) {
+        throw new Error('Not a MAF file: missing Hugo_Symbol / Start_Position columns');
+      }
+      continue;
+    }
+
+    records++;
+    const fields = line.split('\t');
+    const row = Object.fromEntries(columns.map((column, i) => [column, fields[i] ?? '']));
+    samples.add(row.Tumor_Sample_Barcode);
+
+    if (options.sample && row.Tumor_Sample_Barcode !== options.sample) {
+      skipped.other_sample++;
+      continue;
+    }
+    if (!row.Chromosome || toInt(row.Start_Position) === null) {
+      skipped.invalid++;
+      continue;
+    }
+
+    const variant = mafRowToVariant(row);
+    if (options.passOnly && variant.filter.length > 0) {
+      skipped.filtered++;
+      continue;
+    }
+    if (row.Matched_Norm_Sample_Barcode) normals.add(row.Matched_Norm_Sample_Barcode);
+    chromosomes.add(variant.chrom);
+    variants.push(variant);
+  }
+
+  if (!columns) {
+    throw new Error('Empty MAF file');
+  }
+
+  const paired = variants.some(v => v.somatic_status !== undefined);
+  // Rows without normal counts still need the paired fields the views read
+  if (paired) {
+    for (const v of variants) {
+      if (v.somatic_status === undefined) {
+        Object.assign(v, {
+          normal_depth: 0, normal_ref_count: 0, normal_alt_count: 0, normal_allele_freq: 0,
+          normal_genotype: './.', normal_gq: null, normal_pl: null, somatic_status: 'unknown', somatic_p_value: null
+        });
+      }
+    }
+  }
+
+  report(`Imported ${variants.length.toLocaleString()} variants`, 100);
+  console.log(`✓ Imported ${variants.length} variants from ${records} MAF rows (${samples.size} samples)`);
+
+  const annotated = variants.filter(v => v.annotations.length > 0).length;
+  const results = {
+    source: 'maf',
+    variants,
+    total_variants: variants.length,
+    chromosomes_processed: [...chromosomes],
+    contigs: [],
+    reference: null,
+    sample_name: options.sample || (samples.size === 1 ? [...samples][0] : null),
+    normal_sample_name: normals.size === 1 ? [...normals][0] : null,
+    paired,
+    filters: null,
+    region: null,
+    targets: null,
+    annotation: {
+      gene_model: 'MAF',
+      format: 'MAF',
+      annotated,
+      reference: null
+    },
+    maf: {
+      file_name: options.name || source?.name || null,
+      version,
+      samples: [...samples],
+      records,
+      skipped
+    }
+  };
+
+  if (paired) {
+    results.somatic_counts = variants.reduce((counts, v) => {
+      counts[v.somatic_status] = (counts[v.somatic_status] || 0) + 1;
+      return counts;
+    }, {});
+  }
+
+  return results;
+}
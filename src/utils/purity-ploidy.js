@@ -0,0 +1,529 @@
+/**
+ * Tumor purity / ploidy estimation and absolute copy number (ASCAT-style grid fit)
+ *
+ * The coverage windows are segmented on log2 ratio, then every (purity p, ploidy psi) on a grid
+ * is scored by assigning each segment the integer state (total n, minor allele) that best explains
+ *   - its depth ratio:          R = (p*n + 2(1-p)) / (p*psi + 2(1-p))
+ *   - its het SNP allele ratio: B = (p*major + (1-p)) / (p*n + 2(1-p))   (major-allele fraction)
+ * Ratios are rescaled so the autosomal, window-weighted mean is 1, which makes psi the average
+ * tumor copy number. Without het SNPs only the depth ratio is fitted and purity and ploidy
+ * trade off against each other, so the fit is reported as coverage-only.
+ *
+ * Segments break on log2 ratio and, where het SNPs are dense enough, on mirrored BAF, so
+ * copy-neutral LOH gets its own segment. Each segment's (major, minor) state then gives its
+ * allele-specific call: CN-LOH (two copies of one allele, the germline copy number, whatever
+ * the tumor ploidy), LOH (minor 0 at any other total) or allelic imbalance (both alleles
+ * present, unequal).
+ *
+ * Sex chromosomes are left out of the fit (one X in male samples) but still get copy numbers.
+ */
+
+export const DEFAULT_PURITY_OPTIONS = {
+  purityRange: [0.1, 1.0],
+  ploidyRange: [1.5, 5.0],
+  maxCopyNumber: 8,
+  segmentThreshold: 5,   // t-statistic needed to split a segment
+  minSegmentWindows: 3,
+  minLog2Difference: 0.08, // smallest step kept by the segmenter (~ one copy at 20% purity)
+  minBafDifference: 0.05,
+  minSegmentSnps: 5,
+  minSnpDepth: 20,
+  minHetAlleleFreq: 0.1,
+  maxHetAlleleFreq: 0.9
+};
+
+// Tie-break towards diploid between equally good coverage-only solutions
+const PLOIDY_PRIOR_WEIGHT = 0.005;
+// Over-dispersion of allele counts beyond binomial sampling
+const BAF_EXTRA_VARIANCE = 0.03 * 0.03;
+const SEX_CHROMOSOMES = new Set(['X', 'Y', 'chrX', 'chrY']);
+
+export const ALLELE_STATE_LABELS = {
+  balanced: 'Balanced',
+  allelic_imbalance: 'Allelic imbalance',
+  loh: 'LOH',
+  cn_loh: 'CN-LOH'
+};
+
+// CN-LOH is copy-neutral relative to the germline (2+0), not to the tumor ploidy
+export const ALLELE_STATE_HINTS = {
+  balanced: 'Both alleles present in equal copy numbers',
+  allelic_imbalance: 'Both alleles present in unequal copy numbers',
+  loh: 'One allele lost (minor copy number 0) at any total other than 2',
+  cn_loh: 'Two copies of one allele (2+0), copy-neutral relative to the germline even in non-diploid tumors'
+};
+
+/**
+ * Heterozygous SNP allele fractions from stored variant calls
+ *
+ * Paired runs use the normal genotype (any SNV that is het in the normal); tumor-only runs fall
+ * back to tumor VAF within [minHetAlleleFreq, maxHetAlleleFreq], which also admits somatic SNVs
+ * and misses SNPs with complete LOH at high purity.
+ * @param {Array} variants - Variant calls (chrom, pos, type, depth, allele_freq, normal_*)
+ * @returns {{snps: Array<{chrom, pos, baf, depth}>, source: string}}
+ */
+export function hetSnpsFromVariants(variants, options = {}) {
+  const o = { ...DEFAULT_PURITY_OPTIONS, ...options };
+  const paired = variants.some(v => v.normal_depth !== undefined);
+
+  const snps = [];
+  for (const v of variants) {
+    if (v.type !== 'SNV' || !(v.depth >= o.minSnpDepth)) continue;
+    const hetFraction = paired ? v.normal_allele_freq : v.allele_freq;
+    if (paired && !(v.normal_depth >= o.minSnpDepth)) continue;
+    if (!(hetFraction >= o.minHetAlleleFreq && hetFraction <= o.maxHetAlleleFreq)) continue;
+    snps.push({ chrom: v.chrom, pos: v.pos, baf: v.allele_freq, depth: v.depth });
+  }
+
+  return { snps, source: paired ? 'normal-het-snvs' : 'tumor-het-snvs' };
+}
+
+/**
+ * Recursive binary segmentation of a series into piecewise-constant runs
+ * @param {number[]} values
+ * @param {Object} options - { sigma, threshold, minSize, minDifference }
+ * @returns {Array<[number, number]>} Half-open [start, end) index ranges in order
+ */
+export function segmentSeries(values, options = {}) {
+  const sigma = options.sigma ?? robustNoise(values);
+  const threshold = options.threshold ?? DEFAULT_PURITY_OPTIONS.segmentThreshold;
+  const minSize = options.minSize ?? DEFAULT_PURITY_OPTIONS.minSegmentWindows;
+  const minDifference = options.minDifference ?? 0;
+
+  const prefix = new Float64Array(values.length + 1);
+  for (let i = 0; i < values.length; i++) prefix[i + 1] = prefix[i] + values[i];
+
+  const segments = [];
+  const stack = [[0, values.length]];
+  while (stack.length) {
+    const [start, end] = stack.pop();
+    let best = null;
+
+    if (sigma > 0 && end - start >= 2 * minSize) {
+      const total = prefix[end] - prefix[start];
+      for (let k = start + minSize; k <= end - minSize; k++) {
+        const nLeft = k - start;
+        const nRight = end - k;
+        const meanLeft = (prefix[k] - prefix[start]) / nLeft;
+        const meanRight = (total - (prefix[k] - prefix[start])) / nRight;
+        const difference = Math.abs(meanLeft - meanRight);
+        const t = difference / (sigma * Math.sqrt(1 / nLeft + 1 / nRight));
+        if (difference >= minDifference && t > threshold && (!best || t > best.t)) {
+          best = { k, t };
+        }
+      }
+    }
+
+    if (best) {
+      // Right half pushed first so segments come off the stack left to right
+      stack.push([best.k, end], [start, best.k]);
+    } else {
+      segments.push([start, end]);
+    }
+  }
+  return segments;
+}
+
+/**
+ * Fit purity and ploidy to coverage windows (and optional het SNP allele fractions)
+ * @param {Array} windows - coverageData windows {chromosome, start, end, coverage, normalized}
+ * @param {Object} options - DEFAULT_PURITY_OPTIONS overrides plus { hetSnps, snpSource }
+ * @returns {Object} {purity, ploidy, goodness_of_fit, model, segments, alternatives, ...} or {error}
+ */
+export function estimatePurityPloidy(windows, options = {}) {
+  const o = { ...DEFAULT_PURITY_OPTIONS, ...options };
+  const warnings = [];
+
+  const hetSnps = options.hetSnps || [];
+  const segments = segmentCoverage(windows, hetSnps, o);
+  if (!segments.length) {
+    return { error: 'No covered windows to fit' };
+  }
+
+  const snpCount = assignSnps(segments, hetSnps, o.minSegmentSnps);
+
+  const fitted = segments.filter(s => !SEX_CHROMOSOMES.has(s.chromosome));
+  if (!fitted.length) {
+    return { error: 'Purity and ploidy need autosomal coverage' };
+  }
+  const totalWindows = fitted.reduce((sum, s) => sum + s.num_windows, 0);
+  const meanRatio = fitted.reduce((sum, s) => sum + s.raw_ratio * s.num_windows, 0) / totalWindows;
+  for (const s of segments) s.ratio = s.raw_ratio / meanRatio;
+
+  const ratioSd = robustNoise(windows.filter(w => w.coverage > 0).map(w => w.normalized / meanRatio));
+  const withBaf = fitted.some(s => s.baf !== null);
+  if (!withBaf) {
+    warnings.push('No heterozygous SNPs: purity and ploidy are confounded in a coverage-only fit');
+  }
+  if (fitted.length < 3) {
+    warnings.push(`Only ${fitted.length} autosomal segment(s); analyse whole chromosomes for a stable fit`);
+  }
+
+  // Coarse grid, then a finer pass around the best coarse point
+  const coarse = scoreGrid(fitted, ratioSd, totalWindows, o,
+    gridValues(o.purityRange[0], o.purityRange[1], 0.02), gridValues(o.ploidyRange[0], o.ploidyRange[1], 0.1));
+  const top = coarse.best;
+  const fine = scoreGrid(fitted, ratioSd, totalWindows, o,
+    gridValues(Math.max(o.purityRange[0], top.purity - 0.02), Math.min(o.purityRange[1], top.purity + 0.02), 0.005),
+    gridValues(Math.max(o.ploidyRange[0], top.psi - 0.1), Math.min(o.ploidyRange[1], top.psi + 0.1), 0.02));
+  const best = fine.best.cost <= top.cost ? fine.best : top;
+
+  const states = segments.map(s => bestState(s, best.purity, best.psi, ratioSd, o.maxCopyNumber));
+  const autosomal = segments.map((s, i) => ({ s, state: states[i] })).filter(({ s }) => !SEX_CHROMOSOMES.has(s.chromosome));
+  const ploidy = autosomal.reduce((sum, { s, state }) => sum + state.total * s.num_windows, 0) / totalWindows;
+  const baseline = Math.round(ploidy);
+
+  const allelicSummary = Object.fromEntries(Object.keys(ALLELE_STATE_LABELS).map(key => [key, { segments: 0, bases: 0 }]));
+  const outSegments = segments.map((s, i) => {
+    const state = states[i];
+    const copyNumber = continuousCopyNumber(s.ratio, best.purity, best.psi);
+    const alleleState = s.baf !== null ? allelicState(state) : null;
+    if (alleleState) {
+      allelicSummary[alleleState].segments++;
+      allelicSummary[alleleState].bases += s.end - s.start;
+    }
+    return {
+      chromosome: s.chromosome,
+      start: s.start,
+      end: s.end,
+      num_windows: s.num_windows,
+      log2_ratio: round(Math.log2(Math.max(s.ratio, 1e-3)), 3),
+      snps: s.snps,
+      baf: s.baf !== null ? round(s.baf, 3) : null,
+      copy_number: round(Math.max(copyNumber, 0), 2),
+      total_cn: state.total,
+      major_cn: s.baf !== null ? state.total - state.minor : null,
+      minor_cn: s.baf !== null ? state.minor : null,
+      state: copyNumberState(state.total, baseline),
+      allele_state: alleleState
+    };
+  });
+
+  const alternatives = coarse.minima
+    .filter(m => Math.abs(m.purity - best.purity) > 0.05 || Math.abs(m.psi - best.psi) > 0.25)
+    .slice(0, 4)
+    .map(m => ({
+      purity: round(m.purity, 2),
+      ploidy: round(m.psi, 2),
+      relative_cost: round(m.cost / best.cost, 2)
+    }));
+
+  return {
+    purity: round(best.purity, 3),
+    ploidy: round(ploidy, 2),
+    goodness_of_fit: round(goodnessOfFit(fitted, best.purity, best.psi, states.filter((_, i) => !SEX_CHROMOSOMES.has(segments[i].chromosome))), 1),
+    model: withBaf ? 'coverage+baf' : 'coverage',
+    snp_count: snpCount,
+    snp_source: hetSnps.length ? (options.snpSource || 'provided') : null,
+    ratio_sd: round(ratioSd, 3),
+    segments: outSegments,
+    allelic_summary: allelicSummary,
+    alternatives,
+    warnings,
+    parameters: {
+      purity_range: o.purityRange,
+      ploidy_range: o.ploidyRange,
+      max_copy_number: o.maxCopyNumber,
+      min_segment_snps: o.minSegmentSnps
+    }
+  };
+}
+
+/**
+ * Annotate CNV calls with the absolute copy number of the fitted segment covering most of them
+ * @returns {Array} New CNV objects with absoluteCopyNumber (and minor/major/alleleState when BAF was fitted)
+ */
+export function assignAbsoluteCopyNumber(cnvs, segments) {
+  return cnvs.map(cnv => {
+    let best = null;
+    let bestOverlap = 0;
+    for (const seg of segments) {
+      if (seg.chromosome !== cnv.chromosome) continue;
+      const overlap = Math.min(cnv.end, seg.end) - Math.max(cnv.start, seg.start);
+      if (overlap > bestOverlap) {
+        best = seg;
+        bestOverlap = overlap;
+      }
+    }
+    if (!best) return { ...cnv, absoluteCopyNumber: null };
+    return {
+      ...cnv,
+      absoluteCopyNumber: best.total_cn,
+      majorCopyNumber: best.major_cn,
+      minorCopyNumber: best.minor_cn,
+      alleleState: best.allele_state
+    };
+  });
+}
+
+/**
+ * Per chromosome: log2-ratio segments, split again at BAF breakpoints that leave at least
+ * minSegmentWindows windows on both sides of every boundary
+ */
+function segmentCoverage(windows, hetSnps, o) {
+  const byChrom = new Map();
+  for (const w of windows) {
+    // Zero-depth windows are unmappable gaps; normal-cell reads keep real deletions above zero
+    if (!(w.coverage > 0) || !(w.normalized > 0)) continue;
+    if (!byChrom.has(w.chromosome)) byChrom.set(w.chromosome, []);
+    byChrom.get(w.chromosome).push(w);
+  }
+
+  const allLog2 = [];
+  for (const list of byChrom.values()) {
+    list.sort((a, b) => a.start - b.start);
+    for (const w of list) allLog2.push(Math.log2(w.normalized));
+  }
+  const sigma = robustNoise(allLog2);
+
+  const snpsByChrom = new Map();
+  for (const snp of hetSnps) {
+    if (!snpsByChrom.has(snp.chrom)) snpsByChrom.set(snp.chrom, []);
+    snpsByChrom.get(snp.chrom).push(snp);
+  }
+  const allMirrored = [];
+  for (const list of snpsByChrom.values()) {
+    list.sort((a, b) => a.pos - b.pos);
+    for (const snp of list) allMirrored.push(Math.max(snp.baf, 1 - snp.baf));
+  }
+  const bafSigma = robustNoise(allMirrored);
+
+  const segments = [];
+  for (const [chromosome, list] of byChrom) {
+    const log2 = list.map(w => Math.log2(w.normalized));
+    const ranges = segmentSeries(log2, {
+      sigma,
+      threshold: o.segmentThreshold,
+      minSize: o.minSegmentWindows,
+      minDifference: o.minLog2Difference
+    });
+
+    const snps = snpsByChrom.get(chromosome) || [];
+    if (snps.length >= 2 * o.minSegmentSnps) {
+      const mirrored = snps.map(snp => Math.max(snp.baf, 1 - snp.baf));
+      const bafRanges = segmentSeries(mirrored, {
+        sigma: bafSigma,
+        threshold: o.segmentThreshold,
+        minSize: o.minSegmentSnps,
+        minDifference: o.minBafDifference
+      });
+      const boundaries = [0, ...ranges.map(([, b]) => b)];
+      for (const [k] of bafRanges.slice(1)) {
+        // Breakpoint halfway between the flanking SNPs (1-based) -> first window starting after it
+        const position = (snps[k - 1].pos + snps[k].pos) / 2 - 1;
+        const index = list.findIndex(w => (w.start + w.end) / 2 >= position);
+        if (index > 0 && boundaries.every(b => Math.abs(b - index) >= o.minSegmentWindows)) {
+          boundaries.push(index);
+        }
+      }
+      boundaries.sort((a, b) => a - b);
+      ranges.splice(0, ranges.length, ...boundaries.slice(1).map((b, i) => [boundaries[i], b]));
+    }
+
+    for (const [a, b] of ranges) {
+      let sum = 0;
+      for (let i = a; i < b; i++) sum += list[i].normalized;
+      segments.push({
+        chromosome,
+        start: list[a].start,
+        end: list[b - 1].end,
+        num_windows: b - a,
+        raw_ratio: sum / (b - a),
+        ratio: null,
+        snps: 0,
+        baf: null,
+        snp_depth: null
+      });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Mean mirrored BAF (major-allele fraction) and depth per segment
+ * @returns {number} SNPs that fell inside a segment
+ */
+function assignSnps(segments, snps, minSnps) {
+  const byChrom = new Map();
+  for (const s of segments) {
+    if (!byChrom.has(s.chromosome)) byChrom.set(s.chromosome, []);
+    byChrom.get(s.chromosome).push({ seg: s, mirrored: 0, depth: 0 });
+  }
+
+  let assigned = 0;
+  for (const snp of snps) {
+    const list = byChrom.get(snp.chrom);
+    if (!list) continue;
+    const pos0 = snp.pos - 1;
+    let lo = 0;
+    let hi = list.length - 1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      const seg = list[mid].seg;
+      if (pos0 < seg.start) hi = mid - 1;
+      else if (pos0 >= seg.end) lo = mid + 1;
+      else {
+        list[mid].seg.snps++;
+        list[mid].mirrored += Math.max(snp.baf, 1 - snp.baf);
+        list[mid].depth += snp.depth;
+        assigned++;
+        break;
+      }
+    }
+  }
+
+  for (const list of byChrom.values()) {
+    for (const acc of list) {
+      if (acc.seg.snps >= minSnps) {
+        acc.seg.baf = acc.mirrored / acc.seg.snps;
+        acc.seg.snp_depth = acc.depth / acc.seg.snps;
+      }
+    }
+  }
+  return assigned;
+}
+
+function scoreGrid(segments, ratioSd, totalWindows, o, purities, ploidies) {
+  const grid = purities.map(purity => ploidies.map(psi => {
+    let cost = 0;
+    for (const s of segments) cost += bestState(s, purity, psi, ratioSd, o.maxCopyNumber).cost;
+    cost += PLOIDY_PRIOR_WEIGHT * totalWindows * (psi - 2) ** 2;
+    return { purity, psi, cost };
+  }));
+
+  let best = null;
+  const minima = [];
+  for (let i = 0; i < grid.length; i++) {
+    for (let j = 0; j < grid[i].length; j++) {
+      const cell = grid[i][j];
+      if (!best || cell.cost < best.cost) best = cell;
+      let isMinimum = true;
+      for (let di = -1; di <= 1 && isMinimum; di++) {
+        for (let dj = -1; dj <= 1; dj++) {
+          const neighbour = grid[i + di]?.[j + dj];
+          if (neighbour && neighbour !== cell && neighbour.cost < cell.cost) {
+            isMinimum = false;
+            break;
+          }
+        }
+      }
+      if (isMinimum) minima.push(cell);
+    }
+  }
+  minima.sort((a, b) => a.cost - b.cost);
+  return { best, minima };
+}
+
+/**
+ * Integer (total, minor) state with the lowest chi-square for one segment
+ */
+function bestState(segment, purity, psi, ratioSd, maxCopyNumber) {
+  const normal = 2 * (1 - purity);
+  const denominator = purity * psi + normal;
+  const ratioVariance = Math.max(ratioSd * ratioSd, 1e-6);
+
+  let best = null;
+  for (let total = 0; total <= maxCopyNumber; total++) {
+    const tumorCopies = purity * total + normal;
+    const expectedRatio = tumorCopies / denominator;
+    const ratioCost = segment.num_windows * (segment.ratio - expectedRatio) ** 2 / ratioVariance;
+
+    if (segment.baf === null) {
+      if (!best || ratioCost < best.cost) best = { total, minor: Math.floor(total / 2), cost: ratioCost };
+      continue;
+    }
+
+    for (let minor = 0; minor <= Math.floor(total / 2); minor++) {
+      const major = total - minor;
+      const expectedBaf = foldedMean((purity * major + (1 - purity)) / tumorCopies, segment.snp_depth);
+      const bafVariance = 0.25 / segment.snp_depth + BAF_EXTRA_VARIANCE;
+      const cost = ratioCost + segment.snps * (segment.baf - expectedBaf) ** 2 / bafVariance;
+      if (!best || cost < best.cost) best = { total, minor, cost };
+    }
+  }
+  return best;
+}
+
+/**
+ * Expected mirrored allele fraction max(f, 1-f) when f ~ N(b, b(1-b)/depth):
+ * balanced SNPs read above 0.5 once sampling noise is folded
+ */
+function foldedMean(b, depth) {
+  const sigma = Math.sqrt(b * (1 - b) / depth);
+  const mu = b - 0.5;
+  if (sigma === 0) return 0.5 + Math.abs(mu);
+  const folded = sigma * Math.sqrt(2 / Math.PI) * Math.exp(-(mu * mu) / (2 * sigma * sigma)) +
+    mu * (1 - 2 * normalCdf(-mu / sigma));
+  return 0.5 + folded;
+}
+
+function normalCdf(x) {
+  // Abramowitz & Stegun 7.1.26
+  const z = Math.abs(x) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * z);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-z * z);
+  return x >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+function continuousCopyNumber(ratio, purity, psi) {
+  const normal = 2 * (1 - purity);
+  return (ratio * (purity * psi + normal) - normal) / purity;
+}
+
+/**
+ * 100% when every segment's continuous copy number sits on its integer state, 0% when all
+ * are half a copy away (window-weighted)
+ */
+function goodnessOfFit(segments, purity, psi, states) {
+  let distance = 0;
+  let weight = 0;
+  segments.forEach((s, i) => {
+    const offset = Math.abs(continuousCopyNumber(s.ratio, purity, psi) - states[i].total);
+    distance += Math.min(offset, 0.5) * s.num_windows;
+    weight += s.num_windows;
+  });
+  return 100 * (1 - 2 * distance / weight);
+}
+
+function allelicState(state) {
+  const major = state.total - state.minor;
+  if (state.total === 0) return null;
+  if (state.minor === 0) return state.total === 2 ? 'cn_loh' : 'loh';
+  return major > state.minor ? 'allelic_imbalance' : 'balanced';
+}
+
+function copyNumberState(total, baseline) {
+  if (total === 0) return 'homozygous_deletion';
+  if (total < baseline) return 'loss';
+  if (total >= 2 * baseline + 1) return 'amplification';
+  if (total > baseline) return 'gain';
+  return 'neutral';
+}
+
+/**
+ * Window-to-window noise: MAD of first differences, scaled to a normal SD
+ */
+function robustNoise(values) {
+  if (values.length < 3) return 0;
+  const diffs = [];
+  for (let i = 1; i < values.length; i++) diffs.push(values[i] - values[i - 1]);
+  const center = median(diffs);
+  return 1.4826 * median(diffs.map(d => Math.abs(d - center))) / Math.SQRT2;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function gridValues(from, to, step) {
+  const values = [];
+  for (let v = from; v <= to + step / 2; v += step) values.push(round(v, 4));
+  return values;
+}
+
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
@@ -0,0 +1,313 @@
+/**
+ * SBS96 mutational spectra and COSMIC signature fitting
+ *
+ * SNVs are folded onto the pyrimidine strand (C or T reference base) and classified by their
+ * trinucleotide context into the 96 single base substitution channels used by COSMIC.
+ * Signature exposures are the non-negative least squares fit of the spectrum against the
+ * signature matrix (Lawson-Hanson active set), refitted without minor contributors.
+ */
+
+export const SBS_SUBSTITUTIONS = ['C>A', 'C>G', 'C>T', 'T>A', 'T>C', 'T>G'];
+
+// COSMIC plot colours per substitution class
+export const SBS_COLORS = {
+  'C>A': '#03BCEE',
+  'C>G': '#010101',
+  'C>T': '#E32926',
+  'T>A': '#CAC9C9',
+  'T>C': '#A1CE63',
+  'T>G': '#EBC6C4'
+};
+
+const BASES = ['A', 'C', 'G', 'T'];
+const COMPLEMENT = { A: 'T', C: 'G', G: 'C', T: 'A' };
+
+// Channel order used everywhere in the app: substitution class, then 5' base, then 3' base
+export const SBS96_CHANNELS = SBS_SUBSTITUTIONS.flatMap(sub =>
+  BASES.flatMap(five => BASES.map(three => `${five}[${sub}]${three}`))
+);
+
+const CHANNEL_INDEX = new Map(SBS96_CHANNELS.map((channel, i) => [channel, i]));
+
+// Proposed aetiologies (COSMIC) of the signatures most often seen in lung cancer
+export const SIGNATURE_AETIOLOGY = {
+  SBS1: 'Clock-like (5-methylcytosine deamination)',
+  SBS2: 'APOBEC cytidine deaminase',
+  SBS3: 'Homologous recombination deficiency',
+  SBS4: 'Tobacco smoking',
+  SBS5: 'Clock-like',
+  SBS13: 'APOBEC cytidine deaminase',
+  SBS18: 'Reactive oxygen species damage',
+  SBS40: 'Unknown (clock-like correlated)',
+  SBS92: 'Tobacco smoking'
+};
+
+// Fits on fewer SNVs than this are too noisy to interpret
+export const MIN_SIGNATURE_MUTATIONS = 50;
+
+const reverseComplement = (seq) => seq.split('').reverse().map(b => COMPLEMENT[b] || 'N').join('');
+
+/**
+ * SBS96 channel label for an SNV, or null when the context is missing or inconsistent
+ * @param {string} ref - Reference base
+ * @param {string} alt - Alternate base
+ * @param {string} context - Reference trinucleotide centred on the SNV
+ */
+export function sbs96Channel(ref, alt, context) {
+  if (!context || context.length !== 3 || context[1] !== ref || ref === alt) return null;
+
+  if (ref === 'G' || ref === 'A') {
+    context = reverseComplement(context);
+    ref = COMPLEMENT[ref];
+    alt = COMPLEMENT[alt];
+  }
+
+  const channel = `${context[0]}[${ref}>${alt}]${context[2]}`;
+  return CHANNEL_INDEX.has(channel) ? channel : null;
+}
+
+/**
+ * Build the 96-channel spectrum of the SNVs in a variant calling result
+ * @param {Array} variants - Variants (with soft `filter` tags when available)
+ * @param {Object} [options]
+ * @param {boolean} [options.passOnly=true] - Skip soft-filtered calls
+ * @param {boolean} [options.somaticOnly=true] - In paired runs, only count somatic calls
+ * @returns {{counts: number[], total: number, skipped: {filtered: number, not_somatic: number, no_context: number}}}
+ */
+export function buildSpectrum(variants, options = {}) {
+  const { passOnly = true, somaticOnly = true } = options;
+  const counts = new Array(96).fill(0);
+  const skipped = { filtered: 0, not_somatic: 0, no_context: 0 };
+
+  for (const variant of variants) {
+    if (variant.type !== 'SNV') continue;
+    if (passOnly && variant.filter?.length) {
+      skipped.filtered++;
+      continue;
+    }
+    if (somaticOnly && variant.somatic_status && variant.somatic_status !== 'somatic') {
+      skipped.not_somatic++;
+      continue;
+    }
+
+    const channel = sbs96Channel(variant.ref, variant.alt, variant.context);
+    if (channel === null) {
+      skipped.no_context++;
+      continue;
+    }
+    counts[CHANNEL_INDEX.get(channel)]++;
+  }
+
+  return { counts, total: counts.reduce((a, b) => a + b, 0), skipped };
+}
+
+/**
+ * Parse a COSMIC signature matrix (tab-separated: Type column of SBS96 labels, one column per signature)
+ * The SigProfiler reference CSV (Type "C>A" + SubType "ACA" columns) is accepted as well
+ * @param {string} text - e.g. COSMIC_v3.4_SBS_GRCh38.txt or sigProfiler_SBS_signatures_2019_05_22.csv
+ * @param {Object} [meta] - Extra metadata (source, version, genome_build)
+ * @returns {Object} { ...meta, channels, signatures: {SBSn: number[96] in SBS96_CHANNELS order} }
+ */
+export function parseCosmicMatrix(text, meta = {}) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() && !line.startsWith('#'));
+  if (lines.length < 97) {
+    throw new Error(`Expected 96 channel rows, found ${Math.max(lines.length - 1, 0)}`);
+  }
+
+  const delimiter = lines[0].includes('\t') ? '\t' : ',';
+  const header = lines[0].split(delimiter).map(h => h.trim());
+  const split = header[1] === 'SubType';
+  const names = header.slice(split ? 2 : 1);
+  if (names.length === 0) {
+    throw new Error('No signature columns in the matrix header');
+  }
+
+  // SigProfiler CSV: Type "C>A" + SubType "ACA" -> A[C>A]A
+  const channelOf = (fields) => {
+    if (!split) return fields[0].trim();
+    const context = fields[1].trim();
+    return `${context[0]}[${fields[0].trim()}]${context[2]}`;
+  };
+
+  const signatures = Object.fromEntries(names.map(name => [name, new Array(96).fill(null)]));
+  for (const line of lines.slice(1)) {
+    const fields = line.split(delimiter);
+    const channel = channelOf(fields);
+    const index = CHANNEL_INDEX.get(channel);
+    if (index === undefined) {
+      throw new Error(`Unknown SBS96 channel "${channel}"`);
+    }
+    names.forEach((name, i) => {
+      const value = parseFloat(fields[i + (split ? 2 : 1)]);
+      signatures[name][index] = Number.isFinite(value) ? value : 0;
+    });
+  }
+
+  const missing = SBS96_CHANNELS.filter((_, i) => signatures[names[0]][i] === null);
+  if (missing.length > 0) {
+    throw new Error(`Matrix is missing channels: ${missing.slice(0, 5).join(', ')}${missing.length > 5 ? '...' : ''}`);
+  }
+
+  return { ...meta, channels: SBS96_CHANNELS, signatures };
+}
+
+/**
+ * Solve a small dense linear system (Gaussian elimination with partial pivoting)
+ */
+function solveLinear(matrix, rhs) {
+  const n = rhs.length;
+  const a = matrix.map((row, i) => [...row, rhs[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    if (Math.abs(a[col][col]) < 1e-12) continue;
+
+    for (let row = col + 1; row < n; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+    }
+  }
+
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    if (Math.abs(a[row][row]) < 1e-12) continue;
+    let sum = a[row][n];
+    for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+    x[row] = sum / a[row][row];
+  }
+  return x;
+}
+
+/**
+ * Non-negative least squares: minimise ||A x - b|| subject to x >= 0 (Lawson-Hanson)
+ * @param {number[][]} columns - Columns of A (one array per signature)
+ * @param {number[]} b - Target vector
+ * @returns {number[]} x
+ */
+export function nnls(columns, b, maxIterations = 500) {
+  const n = columns.length;
+  const dot = (u, v) => u.reduce((sum, value, i) => sum + value * v[i], 0);
+  const AtA = columns.map(ci => columns.map(cj => dot(ci, cj)));
+  const Atb = columns.map(ci => dot(ci, b));
+  const tolerance = 1e-10 * Math.max(1, ...Atb.map(Math.abs));
+
+  const x = new Array(n).fill(0);
+  const passive = new Set();
+  const gradient = () => Atb.map((value, i) => value - dot(AtA[i], x));
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const w = gradient();
+    let best = -1;
+    for (let j = 0; j < n; j++) {
+      if (!passive.has(j) && w[j] > tolerance && (best < 0 || w[j] > w[best])) best = j;
+    }
+    if (best < 0) break;
+    passive.add(best);
+
+    // Inner loop: keep the unconstrained solution on the passive set feasible
+    while (true) {
+      const p = [...passive];
+      const zp = solveLinear(p.map(i => p.map(j => AtA[i][j])), p.map(i => Atb[i]));
+      if (zp.every(value => value > 0)) {
+        p.forEach((j, k) => { x[j] = zp[k]; });
+        break;
+      }
+
+      let alpha = Infinity;
+      p.forEach((j, k) => {
+        if (zp[k] <= 0) alpha = Math.min(alpha, x[j] / (x[j] - zp[k]));
+      });
+      p.forEach((j, k) => {
+        x[j] += alpha * (zp[k] - x[j]);
+        if (x[j] <= tolerance) {
+          x[j] = 0;
+          passive.delete(j);
+        }
+      });
+      if (passive.size === 0) break;
+    }
+  }
+
+  return x;
+}
+
+const cosineSimilarity = (u, v) => {
+  const dot = u.reduce((sum, value, i) => sum + value * v[i], 0);
+  const norm = Math.sqrt(u.reduce((s, x) => s + x * x, 0) * v.reduce((s, x) => s + x * x, 0));
+  return norm > 0 ? dot / norm : 0;
+};
+
+/**
+ * Fit a spectrum against a signature matrix
+ * Signatures contributing less than minContribution of the mutations are dropped and the
+ * remaining ones refitted, which avoids spreading noise over dozens of signatures
+ * @param {number[]} counts - SBS96 counts in SBS96_CHANNELS order
+ * @param {Object} matrix - Parsed signature matrix ({signatures: {name: number[96]}})
+ * @param {Object} [options]
+ * @param {string[]} [options.signatures] - Restrict the fit to these signatures
+ * @param {number} [options.minContribution=0.05] - Minimum fraction of mutations to keep a signature
+ * @returns {Object} { exposures: [{signature, mutations, fraction, aetiology}], cosine, reconstructed,
+ *   mutations, tobacco, apobec, warnings }
+ */
+export function fitSignatures(counts, matrix, options = {}) {
+  const { minContribution = 0.05 } = options;
+  const total = counts.reduce((a, b) => a + b, 0);
+  let names = (options.signatures || Object.keys(matrix.signatures)).filter(name => matrix.signatures[name]);
+
+  if (names.length === 0) {
+    throw new Error('No COSMIC signatures available - import a COSMIC SBS96 matrix first');
+  }
+  if (total === 0) {
+    throw new Error('No SNVs with trinucleotide context - call variants with a reference FASTA');
+  }
+
+  let exposures = nnls(names.map(name => matrix.signatures[name]), counts);
+
+  const kept = names.filter((_, i) => exposures[i] / total >= minContribution);
+  if (kept.length > 0 && kept.length < names.length) {
+    names = kept;
+    exposures = nnls(names.map(name => matrix.signatures[name]), counts);
+  }
+
+  const reconstructed = counts.map((_, channel) =>
+    names.reduce((sum, name, i) => sum + exposures[i] * matrix.signatures[name][channel], 0)
+  );
+  const fitted = exposures.reduce((a, b) => a + b, 0);
+
+  const result = names
+    .map((signature, i) => ({
+      signature,
+      mutations: Math.round(exposures[i] * 10) / 10,
+      fraction: fitted > 0 ? exposures[i] / fitted : 0,
+      aetiology: SIGNATURE_AETIOLOGY[signature] || null
+    }))
+    .filter(e => e.mutations > 0)
+    .sort((a, b) => b.mutations - a.mutations);
+
+  const share = (...signatures) => result
+    .filter(e => signatures.includes(e.signature))
+    .reduce((sum, e) => sum + e.fraction, 0);
+
+  const warnings = [];
+  if (total < MIN_SIGNATURE_MUTATIONS) {
+    warnings.push(`Only ${total} SNVs - signature exposures below ${MIN_SIGNATURE_MUTATIONS} mutations are unreliable`);
+  }
+  const cosine = cosineSimilarity(counts, reconstructed);
+  if (cosine < 0.9) {
+    warnings.push(`Reconstruction cosine similarity ${cosine.toFixed(2)} < 0.90 - the fit explains the spectrum poorly`);
+  }
+
+  return {
+    exposures: result,
+    cosine,
+    reconstructed,
+    mutations: total,
+    tobacco: share('SBS4', 'SBS92'),
+    apobec: share('SBS2', 'SBS13'),
+    warnings
+  };
+}
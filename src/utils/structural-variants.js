@@ -0,0 +1,247 @@
+/**
+ * Structural variant calls from the coverage pass: merging worker results, reconciliation with
+ * CNV segments and symbolic-allele VCF output
+ *
+ * SV positions are 1-based with POS the base before the event and END its last base (VCF);
+ * CNV segments are 0-based half-open windows. A deletion or duplication spanning at least two
+ * windows should show up as a depth change, so it is checked against the overlapping segments;
+ * balanced events (inversions, translocations) are only checked for a CNV boundary at a
+ * breakpoint, which marks them as unbalanced.
+ */
+
+import { naturalContigCompare } from './tabix.js';
+
+// Share of the SV that a CNV segment has to cover to support (or contradict) it
+const MIN_CNV_OVERLAP = 0.5;
+
+const CNV_TYPE_FOR_SV = { DEL: 'deletion', DUP: 'amplification' };
+
+export const SV_CNV_STATUS_LABELS = {
+  supported: 'CNV supported',
+  conflicting: 'CNV conflicts',
+  unsupported: 'no CNV',
+  below_resolution: 'below CNV resolution',
+  cnv_boundary: 'CNV at breakpoint',
+  balanced: 'balanced'
+};
+
+/**
+ * Combine the SV calls of several workers
+ * Each contig is scanned by one worker, so only translocations can be called twice (once from
+ * each end); those duplicates are collapsed to the call with the most support.
+ * @param {Array<Array<Object>>} callLists - structural_variants of each worker
+ * @param {number} [window=1000] - Breakpoints this close are the same junction
+ */
+export function mergeStructuralVariants(callLists, window = 1000) {
+  const merged = [];
+  for (const call of callLists.flat()) {
+    const duplicate = call.svtype === 'BND' && merged.find(other =>
+      other.svtype === 'BND' &&
+      other.ct === call.ct &&
+      other.chrom === call.chrom &&
+      other.mate_chrom === call.mate_chrom &&
+      Math.abs(other.pos - call.pos) <= window &&
+      Math.abs(other.mate_pos - call.mate_pos) <= window
+    );
+    if (!duplicate) {
+      merged.push(call);
+    } else if (call.supporting_fragments > duplicate.supporting_fragments) {
+      merged[merged.indexOf(duplicate)] = call;
+    }
+  }
+  return merged.sort((a, b) => naturalContigCompare(a.chrom, b.chrom) || a.pos - b.pos);
+}
+
+/**
+ * Overlap of a 0-based half-open interval with a CNV segment, in bases
+ */
+function overlapBases(start, end, cnv) {
+  return Math.max(0, Math.min(end, cnv.end) - Math.max(start, cnv.start));
+}
+
+/**
+ * CNV segments with a boundary within one window of a breakpoint
+ */
+function cnvsAtBreakpoint(cnvs, chrom, pos, windowSize) {
+  return cnvs.filter(cnv =>
+    cnv.chromosome === chrom &&
+    (Math.abs(cnv.start - pos) <= windowSize || Math.abs(cnv.end - pos) <= windowSize)
+  );
+}
+
+/**
+ * Reconcile SV calls with CNV segments
+ * Each SV gets cnv_status (see SV_CNV_STATUS_LABELS) and, when a segment overlaps it or sits at
+ * a breakpoint, cnv_segment; each CNV gets the ids of the SVs that support it or end at one of
+ * its boundaries in structural_variants.
+ * @param {Array<Object>} svs - SV calls
+ * @param {Array<Object>} cnvs - CNV segments ({chromosome, start, end, type, copyNumber})
+ * @param {number} windowSize - Coverage window size (bp)
+ * @returns {{structural_variants: Array<Object>, cnvs: Array<Object>}} annotated copies
+ */
+export function reconcileStructuralVariants(svs, cnvs, windowSize) {
+  const segments = (cnvs || []).map(cnv => ({ ...cnv, structural_variants: [] }));
+  const link = (segment, sv) => {
+    if (!segment.structural_variants.includes(sv.id)) segment.structural_variants.push(sv.id);
+  };
+  const describe = (segment, fraction) => ({
+    chromosome: segment.chromosome,
+    start: segment.start,
+    end: segment.end,
+    type: segment.type,
+    copyNumber: segment.copyNumber,
+    ...(fraction !== undefined && { overlap: fraction })
+  });
+
+  const calls = (svs || []).map(sv => {
+    const call = { ...sv };
+
+    if (CNV_TYPE_FOR_SV[sv.svtype]) {
+      const length = sv.end - sv.pos;
+      const overlaps = segments
+        .filter(segment => segment.chromosome === sv.chrom)
+        .map(segment => ({ segment, fraction: overlapBases(sv.pos, sv.end, segment) / length }))
+        .filter(o => o.fraction > 0)
+        .sort((a, b) => b.fraction - a.fraction);
+      const matching = overlaps.filter(o => o.segment.type === CNV_TYPE_FOR_SV[sv.svtype]);
+      const matchedFraction = matching.reduce((sum, o) => sum + o.fraction, 0);
+      const opposing = overlaps.filter(o => o.segment.type !== CNV_TYPE_FOR_SV[sv.svtype]);
+      const opposedFraction = opposing.reduce((sum, o) => sum + o.fraction, 0);
+
+      if (matchedFraction >= MIN_CNV_OVERLAP) {
+        call.cnv_status = 'supported';
+        call.cnv_segment = describe(matching[0].segment, Math.min(1, matchedFraction));
+        matching.forEach(o => link(o.segment, sv));
+      } else if (opposedFraction >= MIN_CNV_OVERLAP) {
+        call.cnv_status = 'conflicting';
+        call.cnv_segment = describe(opposing[0].segment, Math.min(1, opposedFraction));
+      } else {
+        call.cnv_status = length < 2 * windowSize ? 'below_resolution' : 'unsupported';
+        if (overlaps.length) call.cnv_segment = describe(overlaps[0].segment, overlaps[0].fraction);
+      }
+      return call;
+    }
+
+    // Inversions and translocations: a depth change at either breakpoint means the event is unbalanced
+    const mateChrom = sv.svtype === 'BND' ? sv.mate_chrom : sv.chrom;
+    const matePos = sv.svtype === 'BND' ? sv.mate_pos : sv.end;
+    const atBreakpoint = [
+      ...cnvsAtBreakpoint(segments, sv.chrom, sv.pos, windowSize),
+      ...cnvsAtBreakpoint(segments, mateChrom, matePos, windowSize)
+    ];
+    call.cnv_status = atBreakpoint.length ? 'cnv_boundary' : 'balanced';
+    if (atBreakpoint.length) {
+      call.cnv_segment = describe(atBreakpoint[0]);
+      atBreakpoint.forEach(segment => link(segment, sv));
+    }
+    return call;
+  });
+
+  // Deletions and duplications that end at a segment boundary also back it
+  for (const sv of calls) {
+    if (!CNV_TYPE_FOR_SV[sv.svtype]) continue;
+    for (const pos of [sv.pos, sv.end]) {
+      cnvsAtBreakpoint(segments, sv.chrom, pos, windowSize)
+        .filter(segment => segment.type === CNV_TYPE_FOR_SV[sv.svtype])
+        .forEach(segment => link(segment, sv));
+    }
+  }
+
+  return { structural_variants: calls, cnvs: segments };
+}
+
+/**
+ * Breakend ALT for one end of a junction (VCF 4.2 section 5.4)
+ * @param {string} ct - Junction type, first digit for this end: 3 = sequence kept before it, 5 = after
+ */
+function breakendAlt(ct, mateChrom, matePos) {
+  const [local, mate] = ct.split('to');
+  const bracket = mate === '5' ? '[' : ']';
+  const target = `${bracket}${mateChrom}:${matePos}${bracket}`;
+  return local === '3' ? `N${target}` : `${target}N`;
+}
+
+/**
+ * Format SV calls as a sites-only VCF with symbolic alleles (<DEL>, <DUP>, <INV>) and
+ * breakend pairs for translocations
+ * REF is N: the CNV pass runs without a reference genome.
+ * @param {Array<Object>} svs - SV calls (reconciled or not)
+ * @param {Object} [metadata]
+ * @param {Array<{name: string, length: number}>} [metadata.contigs] - BAM references for ##contig lines
+ * @param {Object} [metadata.parameters] - min_support / min_mapping_quality / min_size of the run
+ * @param {string} [metadata.sampleName] - Recorded in ##sample
+ */
+export function formatStructuralVariantsVCF(svs, metadata = {}) {
+  const lines = [
+    '##fileformat=VCFv4.2',
+    `##fileDate=${new Date().toISOString().split('T')[0].replace(/-/g, '')}`,
+    '##source=lungseq-analyzer-pyodide'
+  ];
+  if (metadata.sampleName) {
+    lines.push(`##sample=${metadata.sampleName}`);
+  }
+  if (metadata.parameters) {
+    const p = metadata.parameters;
+    lines.push(`##svCalling=min_support=${p.min_support},min_mapping_quality=${p.min_mapping_quality},min_size=${p.min_size}`);
+  }
+  for (const contig of metadata.contigs || []) {
+    lines.push(`##contig=<ID=${contig.name},length=${contig.length}>`);
+  }
+  lines.push(
+    '##ALT=<ID=DEL,Description="Deletion">',
+    '##ALT=<ID=DUP,Description="Tandem duplication">',
+    '##ALT=<ID=INV,Description="Inversion">',
+    '##INFO=<ID=SVTYPE,Number=1,Type=String,Description="Type of structural variant">',
+    '##INFO=<ID=END,Number=1,Type=Integer,Description="End position of the structural variant">',
+    '##INFO=<ID=SVLEN,Number=1,Type=Integer,Description="Difference in length between REF and ALT alleles">',
+    '##INFO=<ID=CIPOS,Number=2,Type=Integer,Description="Confidence interval around POS for imprecise variants">',
+    '##INFO=<ID=CIEND,Number=2,Type=Integer,Description="Confidence interval around END for imprecise variants">',
+    '##INFO=<ID=IMPRECISE,Number=0,Type=Flag,Description="Imprecise structural variation">',
+    '##INFO=<ID=MATEID,Number=1,Type=String,Description="ID of mate breakend">',
+    '##INFO=<ID=CT,Number=1,Type=String,Description="Connection type: 3to5, 5to3, 3to3 or 5to5">',
+    '##INFO=<ID=SR,Number=1,Type=Integer,Description="Split-read supporting fragments">',
+    '##INFO=<ID=PE,Number=1,Type=Integer,Description="Discordant-pair supporting fragments (without split reads)">',
+    '##INFO=<ID=CNV,Number=1,Type=String,Description="Reconciliation with read-depth CNV segments (supported, conflicting, unsupported, below_resolution, cnv_boundary, balanced)">',
+    '#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO'
+  );
+
+  const support = sv => [
+    `SR=${sv.split_reads}`,
+    `PE=${sv.discordant_pairs}`,
+    ...(sv.cnv_status ? [`CNV=${sv.cnv_status}`] : [])
+  ];
+  const imprecise = (ci, tag) => (ci ? [`${tag}=${ci.join(',')}`] : []);
+
+  for (const sv of svs) {
+    if (sv.svtype === 'BND') {
+      const [mateCt0, mateCt1] = sv.ct.split('to');
+      const ends = [
+        { id: `${sv.id}_1`, mate: `${sv.id}_2`, chrom: sv.chrom, pos: sv.pos, ct: sv.ct, mateChrom: sv.mate_chrom, matePos: sv.mate_pos, ci: sv.cipos },
+        { id: `${sv.id}_2`, mate: `${sv.id}_1`, chrom: sv.mate_chrom, pos: sv.mate_pos, ct: `${mateCt1}to${mateCt0}`, mateChrom: sv.chrom, matePos: sv.pos, ci: sv.ciend }
+      ];
+      for (const end of ends) {
+        const info = [
+          'SVTYPE=BND',
+          `MATEID=${end.mate}`,
+          `CT=${end.ct}`,
+          ...(sv.precise ? [] : ['IMPRECISE', ...imprecise(end.ci, 'CIPOS')]),
+          ...support(sv)
+        ];
+        lines.push([end.chrom, end.pos, end.id, 'N', breakendAlt(end.ct, end.mateChrom, end.matePos), '.', 'PASS', info.join(';')].join('\t'));
+      }
+      continue;
+    }
+
+    const info = [
+      `SVTYPE=${sv.svtype}`,
+      `END=${sv.end}`,
+      `SVLEN=${sv.svlen}`,
+      `CT=${sv.ct}`,
+      ...(sv.precise ? [] : ['IMPRECISE', ...imprecise(sv.cipos, 'CIPOS'), ...imprecise(sv.ciend, 'CIEND')]),
+      ...support(sv)
+    ];
+    lines.push([sv.chrom, sv.pos, sv.id, 'N', `<${sv.svtype}>`, '.', 'PASS', info.join(';')].join('\t'));
+  }
+
+  return lines.join('\n') + '\n';
+}
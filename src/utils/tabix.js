@@ -0,0 +1,265 @@
+/**
+ * Coordinate-sorted, BGZF-compressed VCF with a tabix (.tbi) index
+ *
+ * Records are sorted in contig order (the ##contig header order, then natural chromosome
+ * order for contigs the header does not list), written through a BgzfWriter and indexed
+ * with the UCSC binning scheme (14-bit minimum bins, 5 levels) plus a 16 kb linear index,
+ * following the tabix format in the htslib specification.
+ */
+
+import { BgzfWriter, bgzfCompress } from './bgzf.js';
+
+const TBI_FORMAT_VCF = 2;
+const MIN_SHIFT = 14;
+const PSEUDO_BIN = 37450;
+
+/**
+ * Natural chromosome order: 1..22, X, Y, M/MT, then everything else alphabetically
+ * (the 'chr' prefix is ignored)
+ */
+export function naturalContigCompare(a, b) {
+  const rank = (name) => {
+    const bare = name.replace(/^chr/i, '');
+    if (/^\d+$/.test(bare)) return [0, parseInt(bare, 10), ''];
+    const special = { X: 1, Y: 2, M: 3, MT: 3 }[bare.toUpperCase()];
+    return special ? [1, special, ''] : [2, 0, name];
+  };
+  const ra = rank(a);
+  const rb = rank(b);
+  return ra[0] - rb[0] || ra[1] - rb[1] || ra[2].localeCompare(rb[2]);
+}
+
+/**
+ * Comparator for contig names: listed contigs first in their given order, the rest naturally
+ * @param {string[]} [order] - Preferred contig order (e.g. from ##contig lines)
+ */
+export function contigComparator(order = []) {
+  const index = new Map(order.map((name, i) => [name, i]));
+  return (a, b) => {
+    const ia = index.get(a);
+    const ib = index.get(b);
+    if (ia !== undefined && ib !== undefined) return ia - ib;
+    if (ia !== undefined) return -1;
+    if (ib !== undefined) return 1;
+    return naturalContigCompare(a, b);
+  };
+}
+
+/**
+ * Sort the records of a VCF text by contig order, then position
+ * @param {string} text - VCF text (header + records)
+ * @param {string[]} [contigOrder] - Preferred contig order; defaults to the ##contig lines
+ * @returns {{header: string[], records: string[]}}
+ */
+export function sortVcf(text, contigOrder = null) {
+  const header = [];
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    (line.startsWith('#') ? header : records).push(line);
+  }
+
+  const order = contigOrder || header
+    .filter(line => line.startsWith('##contig=<'))
+    .map(line => line.match(/ID=([^,>]+)/)?.[1])
+    .filter(Boolean);
+  const compareContigs = contigComparator(order);
+
+  const keyed = records.map(line => {
+    const first = line.indexOf('\t');
+    const second = line.indexOf('\t', first + 1);
+    return { line, chrom: line.slice(0, first), pos: parseInt(line.slice(first + 1, second), 10) };
+  });
+  // Array.prototype.sort is stable, so records at the same position keep their order
+  keyed.sort((a, b) => (a.chrom === b.chrom ? 0 : compareContigs(a.chrom, b.chrom)) || a.pos - b.pos);
+
+  return { header, records: keyed.map(k => k.line) };
+}
+
+/**
+ * UCSC bin of a 0-based half-open interval
+ */
+export function reg2bin(beg, end) {
+  end -= 1;
+  if (beg >> 14 === end >> 14) return ((1 << 15) - 1) / 7 + (beg >> 14);
+  if (beg >> 17 === end >> 17) return ((1 << 12) - 1) / 7 + (beg >> 17);
+  if (beg >> 20 === end >> 20) return ((1 << 9) - 1) / 7 + (beg >> 20);
+  if (beg >> 23 === end >> 23) return ((1 << 6) - 1) / 7 + (beg >> 23);
+  if (beg >> 26 === end >> 26) return ((1 << 3) - 1) / 7 + (beg >> 26);
+  return 0;
+}
+
+/**
+ * 0-based [beg, end) span of a VCF record (INFO END for symbolic alleles, otherwise REF length)
+ */
+function recordSpan(line) {
+  const fields = line.split('\t', 8);
+  const beg = parseInt(fields[1], 10) - 1;
+  let end = beg + Math.max(fields[3].length, 1);
+  const endTag = fields[7]?.match(/(?:^|;)END=(\d+)/);
+  if (endTag && fields[4].startsWith('<')) {
+    end = Math.max(end, parseInt(endTag[1], 10));
+  }
+  return { chrom: fields[0], beg, end };
+}
+
+/**
+ * Little-endian byte sink for the index
+ */
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  push(bytes) {
+    this.chunks.push(bytes);
+    this.length += bytes.length;
+  }
+
+  int32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setInt32(0, value, true);
+    this.push(bytes);
+  }
+
+  uint32(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value, true);
+    this.push(bytes);
+  }
+
+  uint64(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigUint64(0, BigInt(value), true);
+    this.push(bytes);
+  }
+
+  toBytes() {
+    const out = new Uint8Array(this.length);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return out;
+  }
+}
+
+/**
+ * Serialise a tabix index for a VCF
+ * @param {Array<{name: string, bins: Map, linear: bigint[], first: bigint, last: bigint, count: number}>} refs
+ */
+function serializeTabix(refs) {
+  const out = new ByteWriter();
+  const encoder = new TextEncoder();
+  const names = encoder.encode(refs.map(ref => `${ref.name}\0`).join(''));
+
+  out.push(encoder.encode('TBI\x01'));
+  out.int32(refs.length);
+  out.int32(TBI_FORMAT_VCF);
+  out.int32(1); // col_seq
+  out.int32(2); // col_beg
+  out.int32(0); // col_end (derived from REF / END)
+  out.int32('#'.charCodeAt(0)); // meta character
+  out.int32(0); // lines to skip
+  out.int32(names.length);
+  out.push(names);
+
+  for (const ref of refs) {
+    out.int32(ref.bins.size + 1);
+    for (const [bin, chunks] of [...ref.bins.entries()].sort((a, b) => a[0] - b[0])) {
+      out.uint32(bin);
+      out.int32(chunks.length);
+      for (const chunk of chunks) {
+        out.uint64(chunk.beg);
+        out.uint64(chunk.end);
+      }
+    }
+
+    // Pseudo-bin: file span of the contig and its record counts (mapped, unmapped)
+    out.uint32(PSEUDO_BIN);
+    out.int32(2);
+    out.uint64(ref.first);
+    out.uint64(ref.last);
+    out.uint64(ref.count);
+    out.uint64(0);
+
+    out.int32(ref.linear.length);
+    for (const offset of ref.linear) {
+      out.uint64(offset);
+    }
+  }
+
+  out.uint64(0); // records without coordinates
+  return out.toBytes();
+}
+
+/**
+ * Sort, BGZF-compress and tabix-index a VCF
+ * @param {string} text - VCF text
+ * @param {Object} [options]
+ * @param {string[]} [options.contigOrder] - Contig order for sorting (defaults to ##contig lines)
+ * @returns {{vcf: Uint8Array, tbi: Uint8Array, records: number, contigs: string[]}}
+ */
+export function createIndexedVcf(text, options = {}) {
+  const { header, records } = sortVcf(text, options.contigOrder);
+  const writer = new BgzfWriter();
+  writer.write(header.map(line => `${line}\n`).join(''));
+  // Start records in a fresh block so the header never shares one with the first contig
+  writer.flush();
+
+  const refs = [];
+  let ref = null;
+
+  for (const line of records) {
+    const { chrom, beg, end } = recordSpan(line);
+    const start = writer.write(`${line}\n`);
+    const stop = writer.offset;
+
+    if (!ref || ref.name !== chrom) {
+      ref = { name: chrom, bins: new Map(), linear: [], first: start, last: stop, count: 0 };
+      refs.push(ref);
+    }
+    ref.last = stop;
+    ref.count++;
+
+    // Bin chunks, merged while consecutive records stay in the same compressed block
+    const bin = reg2bin(beg, end);
+    const chunks = ref.bins.get(bin);
+    const last = chunks?.[chunks.length - 1];
+    if (last && last.end >> 16n === start >> 16n) {
+      last.end = stop;
+    } else if (chunks) {
+      chunks.push({ beg: start, end: stop });
+    } else {
+      ref.bins.set(bin, [{ beg: start, end: stop }]);
+    }
+
+    // Linear index: smallest offset of a record overlapping each 16 kb window
+    const firstWindow = beg >> MIN_SHIFT;
+    const lastWindow = (end - 1) >> MIN_SHIFT;
+    for (let w = firstWindow; w <= lastWindow; w++) {
+      if (ref.linear[w] === undefined) ref.linear[w] = start;
+    }
+  }
+
+  // Empty windows take the offset of the nearest indexed window to their left (or the first record)
+  for (const r of refs) {
+    let previous = r.first;
+    for (let w = 0; w < r.linear.length; w++) {
+      if (r.linear[w] === undefined) {
+        r.linear[w] = previous;
+      } else {
+        previous = r.linear[w];
+      }
+    }
+  }
+
+  return {
+    vcf: writer.finish(),
+    tbi: bgzfCompress(serializeTabix(refs)),
+    records: records.length,
+    contigs: refs.map(r => r.name)
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Tumor mutational burden (TMB): eligible somatic mutations per megabase of callable territory
+ *
+ * Counted: PASS SNVs and indels at or above the VAF / alt-read thresholds.
+ * Excluded where the data allows it:
+ *   - germline: matched-normal calls other than 'somatic' (paired runs), or optionally the
+ *     heterozygous/homozygous VAF heuristic in tumor-only runs
+ *   - synonymous: annotated variants whose consequence is synonymous_variant
+ *
+ * Territory is either the callable bases from the run (positions in the called targets/region
+ * with depth >= min depth), the target BED size, or a manually entered panel size.
+ */
+
+export const TMB_HIGH_THRESHOLD = 10; // mut/Mb, the FDA pembrolizumab TMB-high cut-off
+
+// Panels smaller than this give unstable TMB estimates
+const MIN_RELIABLE_TERRITORY = 1e6;
+
+export const DEFAULT_TMB_OPTIONS = {
+  territorySource: 'auto', // 'auto' | 'depth' | 'bed' | 'manual'
+  manualTerritoryMb: null,
+  minAlleleFreq: 0.05,
+  minAltReads: 3,
+  excludeLikelyGermline: false // tumor-only VAF heuristic (0.4-0.6 or >= 0.9)
+};
+
+/**
+ * Callable territory in bases for the chosen source
+ * @returns {{bases: number|null, source: string}}
+ */
+export function tmbTerritory(results, options = {}) {
+  const o = { ...DEFAULT_TMB_OPTIONS, ...options };
+
+  if (o.territorySource === 'manual') {
+    return { bases: o.manualTerritoryMb > 0 ? Math.round(o.manualTerritoryMb * 1e6) : null, source: 'manual' };
+  }
+  if (o.territorySource === 'bed') {
+    return { bases: results.targets?.bases ?? null, source: 'bed' };
+  }
+  if (o.territorySource === 'depth' || results.callable_bases > 0) {
+    return { bases: results.callable_bases || null, source: 'depth' };
+  }
+  // Results from before callable bases were recorded
+  return { bases: results.targets?.bases ?? null, source: 'bed' };
+}
+
+/**
+ * Reason a variant does not count towards TMB, or null when it counts
+ */
+function exclusionReason(variant, paired, o) {
+  if (variant.type !== 'SNV' && variant.type !== 'INS' && variant.type !== 'DEL') return 'other_type';
+  if (variant.filter?.length) return 'filtered';
+  if (variant.allele_freq < o.minAlleleFreq || variant.alt_count < o.minAltReads) return 'low_support';
+
+  if (paired) {
+    if (variant.somatic_status !== 'somatic') return 'germline';
+  } else if (o.excludeLikelyGermline) {
+    const af = variant.allele_freq;
+    if ((af >= 0.4 && af <= 0.6) || af >= 0.9) return 'germline';
+  }
+
+  if (variant.consequence === 'synonymous_variant') return 'synonymous';
+  return null;
+}
+
+/**
+ * Calculate TMB from variant calling results
+ * @param {Array} variants - Variants (with soft `filter` tags from applySoftFilters)
+ * @param {Object} results - Variant calling results (paired, callable_bases, targets, annotation)
+ * @param {Object} [options] - Overrides for DEFAULT_TMB_OPTIONS
+ * @returns {Object} { tmb, status, mutations, snvs, indels, territory_bases, territory_mb,
+ *   territory_source, excluded, germline_filter, synonymous_filter, warnings, settings }
+ */
+export function calculateTMB(variants, results, options = {}) {
+  const o = { ...DEFAULT_TMB_OPTIONS, ...options };
+  const paired = Boolean(results.paired);
+  const annotated = Boolean(results.annotation);
+
+  const excluded = { filtered: 0, low_support: 0, germline: 0, synonymous: 0, other_type: 0 };
+  let snvs = 0;
+  let indels = 0;
+
+  for (const variant of variants) {
+    const reason = exclusionReason(variant, paired, o);
+    if (reason) {
+      excluded[reason]++;
+    } else if (variant.type === 'SNV') {
+      snvs++;
+    } else {
+      indels++;
+    }
+  }
+
+  const territory = tmbTerritory(results, o);
+  const warnings = [];
+  if (!territory.bases) {
+    warnings.push('No callable territory - select a target BED or enter the panel size');
+  } else if (territory.bases < MIN_RELIABLE_TERRITORY) {
+    warnings.push(`Territory is only ${(territory.bases / 1e6).toFixed(2)} Mb - TMB below ~1 Mb is unreliable`);
+  }
+  if (!paired && !o.excludeLikelyGermline) {
+    warnings.push('Tumor-only run: germline variants are not removed and inflate TMB');
+  }
+  if (!annotated) {
+    warnings.push('Variants are not annotated: synonymous variants are counted');
+  }
+
+  const mutations = snvs + indels;
+  const tmb = territory.bases ? mutations / (territory.bases / 1e6) : null;
+
+  return {
+    tmb: tmb !== null ? Math.round(tmb * 100) / 100 : null,
+    status: tmb === null ? 'unknown' : tmb >= TMB_HIGH_THRESHOLD ? 'high' : 'low',
+    mutations,
+    snvs,
+    indels,
+    territory_bases: territory.bases,
+    territory_mb: territory.bases ? Math.round(territory.bases / 1e4) / 100 : null,
+    territory_source: territory.source,
+    excluded,
+    germline_filter: paired ? 'matched normal' : o.excludeLikelyGermline ? 'VAF heuristic' : 'none',
+    synonymous_filter: annotated,
+    warnings,
+    settings: {
+      min_allele_freq: o.minAlleleFreq,
+      min_alt_reads: o.minAltReads,
+      high_threshold: TMB_HIGH_THRESHOLD
+    }
+  };
+}
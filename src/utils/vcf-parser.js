@@ -0,0 +1,671 @@
+/**
+ * Streaming VCF 4.x parser (plain text or bgzip/gzip)
+ *
+ * The file is read in chunks and parsed line by line, so only the records (not the raw text)
+ * are kept in memory. Header metadata drives value typing: INFO and FORMAT values are converted
+ * according to their declared Type and Number, undeclared keys stay strings.
+ *
+ * Records map into the variant shape produced by call_variants_from_bam, one variant per ALT
+ * allele (multi-allelic sites are split the way `bcftools norm -m-` does it), so imported
+ * GATK / Mutect2 calls can be shown in VariantCalling.vue and Visualization.vue.
+ */
+
+import pako from 'pako';
+
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Fixed columns before FORMAT and the sample columns
+const FIXED_COLUMNS = ['#CHROM', 'POS', 'ID', 'REF', 'ALT', 'QUAL', 'FILTER', 'INFO'];
+
+// SnpEff ANN layout (the header only carries it as free text)
+const ANN_FIELDS = [
+  'Allele', 'Annotation', 'Annotation_Impact', 'Gene_Name', 'Gene_ID', 'Feature_Type', 'Feature_ID',
+  'Transcript_BioType', 'Rank', 'HGVS.c', 'HGVS.p', 'cDNA.pos / cDNA.length', 'CDS.pos / CDS.length',
+  'AA.pos / AA.length', 'Distance', 'ERRORS / WARNINGS / INFO'
+];
+
+const IMPACT_RANK = { HIGH: 0, MODERATE: 1, LOW: 2, MODIFIER: 3 };
+
+// Percent-decode an annotation value (the app's own CSQ export encodes reserved characters)
+const decodeValue = (value) => {
+  try {
+    return decodeURIComponent(value.replace(/%(?![0-9A-Fa-f]{2})/g, '%25'));
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Read a source as text lines, inflating gzip/bgzip transparently
+ * @param {File|Blob|string|ArrayBuffer|Uint8Array} source - VCF data
+ * @param {Function} [onProgress] - Called with (bytesRead, totalBytes) after each chunk
+ */
+export async function* readLines(source, onProgress) {
+  if (typeof source === 'string') {
+    yield* source.split(/\r?\n/).filter(line => line.length > 0);
+    return;
+  }
+
+  const blob = source instanceof Blob ? source : new Blob([source]);
+  const magic = new Uint8Array(await blob.slice(0, 2).arrayBuffer());
+  const gzipped = magic[0] === 0x1f && magic[1] === 0x8b;
+
+  // pako inflates concatenated gzip members, which is what a bgzip file is
+  const inflator = gzipped ? new pako.Inflate({ to: 'string' }) : null;
+  const decoder = gzipped ? null : new TextDecoder();
+  const pending = [];
+  if (inflator) {
+    inflator.onData = (chunk) => pending.push(chunk);
+  }
+
+  let remainder = '';
+  for (let offset = 0; offset < blob.size; offset += CHUNK_SIZE) {
+    const bytes = new Uint8Array(await blob.slice(offset, offset + CHUNK_SIZE).arrayBuffer());
+    const last = offset + CHUNK_SIZE >= blob.size;
+
+    if (inflator) {
+      inflator.push(bytes, last);
+      if (inflator.err) {
+        throw new Error(`Failed to decompress VCF: ${inflator.msg || 'corrupt gzip data'}`);
+      }
+    } else {
+      pending.push(decoder.decode(bytes, { stream: !last }));
+    }
+
+    const lines = (remainder + pending.splice(0).join('')).split('\n');
+    remainder = lines.pop();
+    for (const line of lines) {
+      if (line.length > 0) yield line.endsWith('\r') ? line.slice(0, -1) : line;
+    }
+
+    if (onProgress) onProgress(Math.min(offset + CHUNK_SIZE, blob.size), blob.size);
+  }
+
+  if (remainder.replace(/\r$/, '').length > 0) {
+    yield remainder.replace(/\r$/, '');
+  }
+}
+
+/**
+ * Parse the <key=value,...> body of a structured meta line, honouring quoted values
+ */
+function parseStructuredMeta(body) {
+  const fields = {};
+  let i = 0;
+
+  while (i < body.length) {
+    const eq = body.indexOf('=', i);
+    if (eq < 0) break;
+    const key = body.slice(i, eq).trim();
+    let value = '';
+    i = eq + 1;
+
+    if (body[i] === '"') {
+      i++;
+      while (i < body.length && body[i] !== '"') {
+        if (body[i] === '\\' && i + 1 < body.length) i++;
+        value += body[i++];
+      }
+      i++; // closing quote
+    } else {
+      const end = body.indexOf(',', i);
+      value = body.slice(i, end < 0 ? body.length : end);
+      i = end < 0 ? body.length : end;
+    }
+
+    fields[key] = value;
+    if (body[i] === ',') i++;
+  }
+
+  return fields;
+}
+
+/**
+ * Parse one ## meta-information line
+ * @returns {{key: string, value: string|Object}} structured lines give an object value
+ */
+export function parseMetaLine(line) {
+  const body = line.slice(2);
+  const eq = body.indexOf('=');
+  if (eq < 0) return { key: body, value: '' };
+
+  const key = body.slice(0, eq);
+  const value = body.slice(eq + 1);
+  if (value.startsWith('<') && value.endsWith('>')) {
+    return { key, value: parseStructuredMeta(value.slice(1, -1)) };
+  }
+  return { key, value };
+}
+
+/**
+ * Field layout declared in a CSQ / ANN description ("... Format: Allele|Consequence|...")
+ */
+function annotationLayout(description) {
+  const match = description?.match(/Format:\s*'?([^'"]+)'?/);
+  return match ? match[1].trim().split('|').map(f => f.trim()) : null;
+}
+
+/**
+ * Build the parsed header from its ## lines and the #CHROM line
+ * @returns {Object} { fileformat, info, format, filter, contigs, meta, samples, tumorSample,
+ *   normalSample, reference, source, csqFields, annFields }
+ */
+export function parseHeader(metaLines, columnLine) {
+  const header = {
+    fileformat: null,
+    info: {},
+    format: {},
+    filter: {},
+    contigs: [],
+    meta: {},
+    samples: [],
+    tumorSample: null,
+    normalSample: null,
+    reference: null,
+    source: null,
+    csqFields: null,
+    annFields: null
+  };
+
+  for (const line of metaLines) {
+    const { key, value } = parseMetaLine(line);
+
+    if (key === 'fileformat') {
+      header.fileformat = value;
+    } else if (key === 'INFO' || key === 'FORMAT' || key === 'FILTER') {
+      header[key.toLowerCase()][value.ID] = value;
+    } else if (key === 'contig') {
+      header.contigs.push({ name: value.ID, length: value.length ? parseInt(value.length, 10) : null });
+    } else {
+      (header.meta[key] ||= []).push(value);
+    }
+  }
+
+  const first = (key) => header.meta[key]?.[0] ?? null;
+  header.reference = first('reference');
+  header.source = first('source') || (header.meta.GATKCommandLine?.some(c => c.ID === 'Mutect2') ? 'Mutect2' : null);
+  header.tumorSample = first('tumor_sample');
+  header.normalSample = first('normal_sample');
+  header.csqFields = header.info.CSQ ? annotationLayout(header.info.CSQ.Description) : null;
+  header.annFields = header.info.ANN ? ANN_FIELDS : null;
+
+  if (!columnLine?.startsWith('#CHROM')) {
+    throw new Error('Missing #CHROM header line - not a VCF file?');
+  }
+  const columns = columnLine.split('\t');
+  if (FIXED_COLUMNS.some((name, i) => columns[i] !== name)) {
+    throw new Error(`Unexpected VCF columns: ${columns.slice(0, 8).join(' ')}`);
+  }
+  header.samples = columns.slice(9);
+
+  if (!header.fileformat?.startsWith('VCFv4')) {
+    console.warn(`VCF fileformat ${header.fileformat || 'missing'} - parsing as VCFv4`);
+  }
+
+  return header;
+}
+
+/**
+ * Convert one raw value according to its header definition
+ */
+function typeValue(raw, definition) {
+  const type = definition?.Type || 'String';
+  const number = definition?.Number ?? '1';
+
+  const convert = (value) => {
+    if (value === '.' || value === '') return null;
+    if (type === 'Integer') {
+      const n = parseInt(value, 10);
+      return Number.isNaN(n) ? null : n;
+    }
+    if (type === 'Float') {
+      const n = parseFloat(value);
+      return Number.isNaN(n) ? null : n;
+    }
+    return value;
+  };
+
+  if (number === '1' || number === '0') return convert(raw);
+  return raw === '.' ? [] : raw.split(',').map(convert);
+}
+
+/**
+ * Parse a data line
+ * @param {string} line - Tab-separated record
+ * @param {Object} header - From parseHeader
+ * @param {Set<string>} [sampleNames] - Only parse these sample columns (all when omitted)
+ * @returns {Object} { chrom, pos, id, ref, alts, qual, filter, info, samples }
+ */
+export function parseRecord(line, header, sampleNames = null) {
+  const fields = line.split('\t');
+  if (fields.length < 8) {
+    throw new Error(`Truncated VCF record: ${line.slice(0, 80)}`);
+  }
+
+  const info = {};
+  if (fields[7] !== '.') {
+    for (const entry of fields[7].split(';')) {
+      if (!entry) continue;
+      const eq = entry.indexOf('=');
+      const key = eq < 0 ? entry : entry.slice(0, eq);
+      const definition = header.info[key];
+      info[key] = eq < 0 || definition?.Type === 'Flag' ? true : typeValue(entry.slice(eq + 1), definition);
+    }
+  }
+
+  const samples = {};
+  if (fields.length > 9) {
+    const keys = fields[8].split(':');
+    header.samples.forEach((name, s) => {
+      if (sampleNames && !sampleNames.has(name)) return;
+      const values = (fields[9 + s] || '.').split(':');
+      const sample = {};
+      keys.forEach((key, k) => {
+        // Trailing fields may be dropped (VCF 4.x); GT keeps its separators untyped
+        const raw = values[k] ?? '.';
+        sample[key] = key === 'GT' ? raw : typeValue(raw, header.format[key]);
+      });
+      samples[name] = sample;
+    });
+  }
+
+  const qual = fields[5] === '.' ? null : parseFloat(fields[5]);
+  return {
+    chrom: fields[0],
+    pos: parseInt(fields[1], 10),
+    id: fields[2] === '.' ? null : fields[2].split(';'),
+    ref: fields[3].toUpperCase(),
+    alts: fields[4] === '.' ? [] : fields[4].split(','),
+    qual: Number.isNaN(qual) ? null : qual,
+    filter: fields[6] === 'PASS' || fields[6] === '.' ? [] : fields[6].split(';'),
+    info,
+    samples
+  };
+}
+
+/**
+ * Open a VCF: reads the header, then iterates records lazily
+ * @param {File|Blob|string|ArrayBuffer|Uint8Array} source - VCF or VCF.gz data
+ * @param {Object} [options]
+ * @param {string[]} [options.samples] - Only parse these sample columns
+ * @param {Function} [options.onProgress] - (bytesRead, totalBytes)
+ * @returns {Promise<{header: Object, records: AsyncGenerator<Object>}>}
+ */
+export async function openVCF(source, options = {}) {
+  const lines = readLines(source, options.onProgress);
+  const metaLines = [];
+  let columnLine = null;
+
+  while (true) {
+    const { value, done } = await lines.next();
+    if (done) break;
+    if (value.startsWith('##')) {
+      metaLines.push(value);
+    } else {
+      columnLine = value;
+      break;
+    }
+  }
+
+  const header = parseHeader(metaLines, columnLine);
+  const sampleNames = options.samples ? new Set(options.samples) : null;
+
+  async function* records() {
+    for await (const line of lines) {
+      if (line.startsWith('#')) continue;
+      yield parseRecord(line, header, sampleNames);
+    }
+  }
+
+  return { header, records: records() };
+}
+
+/**
+ * Trim shared trailing then leading bases, keeping one anchor base for indels
+ */
+function normalizeAlleles(pos, ref, alt) {
+  while (ref.length > 1 && alt.length > 1 && ref[ref.length - 1] === alt[alt.length - 1]) {
+    ref = ref.slice(0, -1);
+    alt = alt.slice(0, -1);
+  }
+  while (ref.length > 1 && alt.length > 1 && ref[0] === alt[0]) {
+    ref = ref.slice(1);
+    alt = alt.slice(1);
+    pos++;
+  }
+  return { pos, ref, alt };
+}
+
+function variantType(ref, alt) {
+  if (ref.length === 1 && alt.length === 1) return 'SNV';
+  if (ref.length === 1 && alt[0] === ref[0]) return 'INS';
+  if (alt.length === 1 && ref[0] === alt[0]) return 'DEL';
+  return ref.length === alt.length ? 'MNV' : 'COMPLEX';
+}
+
+const isSymbolic = (alt) => alt.startsWith('<') || alt.includes('[') || alt.includes(']') || alt.startsWith('.') || alt.endsWith('.');
+
+/**
+ * Value of a Number=A / Number=R field for one ALT allele (1-based allele index)
+ */
+function alleleValue(value, definition, allele) {
+  if (!Array.isArray(value)) return value ?? null;
+  if (definition?.Number === 'A') return value[allele - 1] ?? null;
+  if (definition?.Number === 'R') return value[allele] ?? null;
+  return value.length === 1 ? value[0] : null;
+}
+
+/**
+ * Re-code a genotype for one ALT of a split multi-allelic site (other ALTs become 0)
+ */
+function splitGenotype(gt, allele) {
+  if (!gt) return null;
+  return gt.replace(/[^/|]+/g, a => (a === '.' ? '.' : Number(a) === allele ? '1' : '0'));
+}
+
+/**
+ * Biallelic [0/0, 0/a, a/a] PL subset from a diploid Number=G array
+ */
+function splitPL(pl, allele) {
+  if (!Array.isArray(pl)) return null;
+  const het = (allele * (allele + 1)) / 2;
+  const subset = [pl[0], pl[het], pl[het + allele]];
+  if (subset.some(v => v === undefined || v === null)) return null;
+  const best = Math.min(...subset);
+  return subset.map(v => v - best);
+}
+
+/**
+ * Depth, allele counts, AF and genotype of one sample for one ALT allele
+ */
+function sampleAlleleFields(sample, header, allele, info) {
+  if (!sample) return null;
+
+  const ad = Array.isArray(sample.AD) ? sample.AD : null;
+  const refCount = ad?.[0] ?? null;
+  const altCount = ad?.[allele] ?? null;
+  const adDepth = ad ? ad.reduce((sum, n) => sum + (n || 0), 0) : null;
+  const depth = sample.DP ?? adDepth ?? info.DP ?? null;
+
+  let alleleFreq = alleleValue(sample.AF, header.format.AF || { Number: 'A' }, allele);
+  if (alleleFreq === null && altCount !== null && adDepth) {
+    alleleFreq = altCount / adDepth;
+  }
+
+  return {
+    depth,
+    ref_count: refCount,
+    alt_count: altCount,
+    allele_freq: alleleFreq,
+    genotype: splitGenotype(sample.GT, allele),
+    gq: sample.GQ ?? null,
+    pl: splitPL(sample.PL, allele)
+  };
+}
+
+/**
+ * Phase set and phased genotype of one sample for one ALT allele
+ * Reads GT + PS (WhatsHap, GATK ReadBackedPhasing, this app's export) or Mutect2's PGT + PID
+ */
+function samplePhase(sample, allele) {
+  if (!sample) return null;
+
+  let phaseSet = null;
+  let genotype = null;
+  const ps = typeof sample.PS === 'string' ? parseInt(sample.PS, 10) : sample.PS;
+  if (typeof sample.GT === 'string' && sample.GT.includes('|') && Number.isInteger(ps)) {
+    phaseSet = ps;
+    genotype = splitGenotype(sample.GT, allele);
+  } else if (typeof sample.PGT === 'string' && typeof sample.PID === 'string') {
+    // PID is "<pos>_<ref>_<alt>" of the first variant in the phase set
+    phaseSet = parseInt(sample.PID.split('_')[0], 10);
+    genotype = splitGenotype(sample.PGT, allele);
+  }
+
+  if (!Number.isInteger(phaseSet) || (genotype !== '0|1' && genotype !== '1|0')) return null;
+  return { phase_set: phaseSet, phased_genotype: genotype };
+}
+
+/**
+ * Pick the annotation entries (CSQ or ANN) for one ALT allele, mapped to the app's annotation shape
+ */
+function alleleAnnotations(record, header, allele, alt) {
+  const layout = header.csqFields || header.annFields;
+  const raw = header.csqFields ? record.info.CSQ : record.info.ANN;
+  if (!layout || !raw) return null;
+
+  const entries = (Array.isArray(raw) ? raw : [raw]).filter(Boolean).map(entry => {
+    const values = entry.split('|').map(decodeValue);
+    return Object.fromEntries(layout.map((field, i) => [field, values[i] || '']));
+  });
+
+  // VEP trims the shared anchor base (and writes '-' for deletions); SnpEff keeps the full ALT
+  const vepAllele = record.ref.length === 1 && alt.length === 1 ? alt : alt.slice(1) || '-';
+  const own = entries.filter(e => e.Allele === alt || e.Allele === vepAllele || e.ALLELE_NUM === String(allele));
+  const chosen = own.length > 0 || record.alts.length > 1 ? own : entries;
+
+  const stripTranscript = (hgvs) => (hgvs ? hgvs.replace(/^[^:]+:/, '') : null);
+  return chosen.map(e => {
+    const consequences = (e.Consequence || e.Annotation || '').split('&').filter(Boolean);
+    const strand = e.STRAND === '-1' ? '-' : e.STRAND === '1' ? '+' : null;
+    return {
+      gene: e.SYMBOL || e.Gene_Name || null,
+      gene_id: e.Gene || e.Gene_ID || null,
+      transcript: e.Feature || e.Feature_ID || null,
+      biotype: e.BIOTYPE || e.Transcript_BioType || null,
+      strand,
+      consequence: consequences[0] || 'intergenic_variant',
+      consequences: consequences.length > 0 ? consequences : ['intergenic_variant'],
+      impact: e.IMPACT || e.Annotation_Impact || 'MODIFIER',
+      hgvs_c: stripTranscript(e.HGVSc || e['HGVS.c']),
+      hgvs_p: stripTranscript(e.HGVSp || e['HGVS.p']),
+      exon: e.EXON || (e.Rank && consequences.some(c => c !== 'intron_variant') ? e.Rank : null) || null,
+      intron: e.INTRON || null,
+      canonical: e.CANONICAL === 'YES' || Boolean(e.MANE_SELECT)
+    };
+  }).sort((a, b) =>
+    (b.canonical - a.canonical) || ((IMPACT_RANK[a.impact] ?? 4) - (IMPACT_RANK[b.impact] ?? 4))
+  );
+}
+
+/**
+ * Somatic status of an imported call: the app's own SS field, the SOMATIC flag, or Mutect2
+ * semantics (every tumor-normal Mutect2 record is a somatic candidate unless filtered as germline)
+ */
+function importedSomaticStatus(record, header) {
+  if (typeof record.info.SS === 'string') return record.info.SS;
+  if (record.filter.includes('germline')) return 'germline';
+  if (record.info.SOMATIC === true || header.source === 'Mutect2') return 'somatic';
+  return 'unknown';
+}
+
+/**
+ * Map one parsed record to app variants (one per ALT allele)
+ * @param {Object} record - From parseRecord
+ * @param {Object} header - From parseHeader
+ * @param {Object} [options]
+ * @param {string} [options.sample] - Sample whose FORMAT values fill depth/AF/genotype
+ * @param {string} [options.normalSample] - Matched normal sample (fills the normal_* fields)
+ * @returns {Array} Variants; symbolic and gVCF <NON_REF> / '*' alleles are skipped
+ */
+export function recordToVariants(record, header, options = {}) {
+  const { sample, normalSample } = options;
+  const variants = [];
+
+  record.alts.forEach((rawAlt, index) => {
+    const allele = index + 1;
+    const alt = rawAlt.toUpperCase();
+    if (alt === '*' || alt === '<NON_REF>' || alt === '<*>' || isSymbolic(alt)) return;
+
+    const { pos, ref, alt: normAlt } = record.alts.length > 1
+      ? normalizeAlleles(record.pos, record.ref, alt)
+      : { pos: record.pos, ref: record.ref, alt };
+    const info = record.info;
+    const tumor = sampleAlleleFields(record.samples[sample], header, allele, info);
+
+    const depth = tumor?.depth ?? info.DP ?? 0;
+    const altCount = tumor?.alt_count ?? alleleValue(info.AC, header.info.AC, allele) ?? 0;
+    const refCount = tumor?.ref_count ?? info.RC ?? Math.max(depth - altCount, 0);
+    const alleleFreq = tumor?.allele_freq ?? alleleValue(info.AF, header.info.AF || { Number: 'A' }, allele)
+      ?? (depth > 0 ? altCount / depth : 0);
+
+    const variant = {
+      chrom: record.chrom,
+      pos,
+      id: record.id ? record.id.join(';') : null,
+      ref,
+      alt: normAlt,
+      type: variantType(ref, normAlt),
+      context: null,
+      depth,
+      ref_count: refCount,
+      alt_count: altCount,
+      allele_freq: alleleFreq,
+      qual: record.qual,
+      genotype: tumor?.genotype ?? null,
+      gq: tumor?.gq ?? null,
+      pl: tumor?.pl ?? null,
+      filter: [...record.filter],
+      multiallelic: record.alts.length > 1
+    };
+
+    // Artifact metrics, from the app's own export or GATK (FS/SOR) and Mutect2 (MPOS/MMQ)
+    if (typeof info.FS === 'number') variant.fs = info.FS;
+    if (typeof info.SOR === 'number') variant.sor = info.SOR;
+    const strandCounts = Array.isArray(info.SB) && info.SB.length === 4 ? info.SB : record.samples[sample]?.SB;
+    if (Array.isArray(strandCounts) && strandCounts.length === 4) variant.strand_counts = strandCounts;
+    const mpos = alleleValue(info.MPOS, header.info.MPOS, allele);
+    if (typeof mpos === 'number') variant.median_alt_pos = mpos;
+    const mmq = alleleValue(info.MMQ, header.info.MMQ, allele);
+    if (typeof mmq === 'number') variant.mean_mapq = mmq;
+
+    const phase = samplePhase(record.samples[sample], allele);
+    if (phase) Object.assign(variant, phase);
+
+    if (normalSample) {
+      const normal = sampleAlleleFields(record.samples[normalSample], header, allele, {});
+      variant.normal_depth = normal?.depth ?? 0;
+      variant.normal_ref_count = normal?.ref_count ?? 0;
+      variant.normal_alt_count = normal?.alt_count ?? 0;
+      variant.normal_allele_freq = normal?.allele_freq ?? 0;
+      variant.normal_genotype = normal?.genotype ?? './.';
+      variant.normal_gq = normal?.gq ?? null;
+      variant.normal_pl = normal?.pl ?? null;
+      variant.somatic_status = importedSomaticStatus(record, header);
+      variant.somatic_p_value = typeof info.SPV === 'number' ? info.SPV : null;
+    }
+
+    const annotations = alleleAnnotations(record, header, allele, alt);
+    if (annotations) {
+      const top = annotations[0] || null;
+      variant.annotations = annotations;
+      variant.gene = top?.gene ?? null;
+      variant.transcript = top?.transcript ?? null;
+      variant.hgvs_c = top?.hgvs_c ?? null;
+      variant.hgvs_p = top?.hgvs_p ?? null;
+      variant.consequence = top?.consequence ?? 'intergenic_variant';
+      variant.impact = top?.impact ?? 'MODIFIER';
+    }
+
+    variants.push(variant);
+  });
+
+  return variants;
+}
+
+/**
+ * Import a VCF into the variant calling results shape
+ * @param {File|Blob|string|ArrayBuffer|Uint8Array} source - VCF or VCF.gz
+ * @param {Object} [options]
+ * @param {string} [options.name] - File name recorded in the results
+ * @param {string} [options.sample] - Primary (tumor) sample; defaults to ##tumor_sample or the first sample
+ * @param {string|null} [options.normalSample] - Matched normal; defaults to ##normal_sample (null disables)
+ * @param {boolean} [options.passOnly=false] - Drop records with a non-PASS FILTER
+ * @param {Function} [options.onProgress] - Progress callback ({message, progress, stage})
+ * @returns {Promise<Object>} Results compatible with callVariants ({variants, total_variants, ...}
+ *   plus `source: 'vcf'` and a `vcf` summary)
+ */
+export async function importVCF(source, options = {}) {
+  const totalBytes = source?.size || 0;
+  const report = (message, progress) => options.onProgress?.({ message, progress, stage: 'import' });
+
+  const { header, records } = await openVCF(source, {
+    onProgress: (read, total) => report(`Parsing VCF... ${Math.round((read / total) * 100)}%`, Math.round((read / total) * 95))
+  });
+
+  const sample = options.sample || header.tumorSample || header.samples[0] || null;
+  if (sample && !header.samples.includes(sample)) {
+    throw new Error(`Sample "${sample}" not found in VCF (samples: ${header.samples.join(', ') || 'none'})`);
+  }
+  const normalSample = options.normalSample !== undefined ? options.normalSample : header.normalSample;
+  if (normalSample && !header.samples.includes(normalSample)) {
+    throw new Error(`Normal sample "${normalSample}" not found in VCF`);
+  }
+
+  const variants = [];
+  const chromosomes = new Set();
+  const skipped = { filtered: 0, symbolic: 0, no_alt: 0 };
+  let recordCount = 0;
+
+  for await (const record of records) {
+    recordCount++;
+    if (record.alts.length === 0 || record.alts.every(a => a === '<NON_REF>' || a === '*' || a === '<*>')) {
+      skipped.no_alt++;
+      continue;
+    }
+    if (options.passOnly && record.filter.length > 0) {
+      skipped.filtered++;
+      continue;
+    }
+
+    const mapped = recordToVariants(record, header, { sample, normalSample });
+    skipped.symbolic += record.alts.filter(isSymbolic).filter(a => a !== '<NON_REF>' && a !== '<*>').length;
+    if (mapped.length > 0) chromosomes.add(record.chrom);
+    variants.push(...mapped);
+  }
+
+  const paired = Boolean(normalSample);
+  const annotated = variants.filter(v => v.annotations?.length).length;
+  report(`Imported ${variants.length.toLocaleString()} variants`, 100);
+  console.log(`✓ Imported ${variants.length} variants from ${recordCount} VCF records${totalBytes ? ` (${(totalBytes / 1e6).toFixed(1)} MB)` : ''}`);
+
+  const results = {
+    source: 'vcf',
+    variants,
+    total_variants: variants.length,
+    chromosomes_processed: [...chromosomes],
+    contigs: header.contigs.filter(c => c.length !== null),
+    reference: header.reference,
+    sample_name: sample,
+    normal_sample_name: normalSample || null,
+    paired,
+    filters: null,
+    region: null,
+    targets: null,
+    vcf: {
+      file_name: options.name || source?.name || null,
+      fileformat: header.fileformat,
+      source: header.source,
+      samples: header.samples,
+      records: recordCount,
+      skipped
+    }
+  };
+
+  if (paired) {
+    results.somatic_counts = variants.reduce((counts, v) => {
+      counts[v.somatic_status] = (counts[v.somatic_status] || 0) + 1;
+      return counts;
+    }, {});
+  }
+  if (header.csqFields || header.annFields) {
+    results.annotation = {
+      gene_model: header.csqFields ? 'VCF CSQ (VEP)' : 'VCF ANN (SnpEff)',
+      format: header.csqFields ? 'CSQ' : 'ANN',
+      annotated,
+      reference: header.reference
+    };
+  }
+
+  return results;
+}
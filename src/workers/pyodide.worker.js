@@ -100,28 +100,447 @@ import struct
 import gzip
 import sys
 import math
+import bisect
+import zlib
+import urllib.parse
+
+def parse_region(region):
+    """
+    Parse a samtools-style region string
+    Accepts 'chr7' or 'chr7:55,019,017-55,211,628' (1-based, inclusive)
+    Returns (chrom, start, end) with 0-based half-open coordinates (end=None = to chromosome end)
+    """
+    if not region:
+        return None
+
+    region = region.strip().replace(',', '')
+    if ':' not in region:
+        return (region, 0, None)
+
+    chrom, coords = region.rsplit(':', 1)
+    if '-' in coords:
+        start_str, end_str = coords.split('-', 1)
+        start = max(int(start_str) - 1, 0)
+        end = int(end_str) if end_str else None
+    else:
+        start = max(int(coords) - 1, 0)
+        end = start + 1
+
+    if end is not None and end <= start:
+        raise ValueError(f"Invalid region '{region}': end must be after start")
+
+    return (chrom, start, end)
+
+def reg2bins(start, end):
+    """List all BAI bins that may overlap [start, end) (SAM spec section 5.3)"""
+    end -= 1
+    bins = [0]
+    for shift, offset in ((26, 1), (23, 9), (20, 73), (17, 585), (14, 4681)):
+        bins.extend(range(offset + (start >> shift), offset + (end >> shift) + 1))
+    return bins
+
+class BamIndex:
+    """
+    Parsed BAI index (bin index + 16 kb linear index per reference)
+    Used to seek straight to the BGZF virtual offset of a region
+    """
+
+    LINEAR_SHIFT = 14  # Linear index windows are 16 kb
+
+    def __init__(self, bai_data):
+        if bai_data[0:4] != b'BAI\\x01':
+            raise ValueError(f"Not a valid BAI index (magic: {bai_data[0:4]!r})")
+
+        pos = 4
+        n_ref = struct.unpack('<i', bai_data[pos:pos+4])[0]
+        pos += 4
+
+        self.bins = []
+        self.linear = []
+        self.mapped = []  # Mapped read count per reference (None when the index has no metadata bin)
+
+        for _ in range(n_ref):
+            n_bin = struct.unpack('<i', bai_data[pos:pos+4])[0]
+            pos += 4
+
+            ref_bins = {}
+            mapped = None
+            for _ in range(n_bin):
+                bin_id, n_chunk = struct.unpack('<Ii', bai_data[pos:pos+8])
+                pos += 8
+                chunks = []
+                for _ in range(n_chunk):
+                    chunk_beg, chunk_end = struct.unpack('<QQ', bai_data[pos:pos+16])
+                    pos += 16
+                    chunks.append((chunk_beg, chunk_end))
+                # Bin 37450 is the samtools metadata pseudo-bin, not real alignments
+                # (its second chunk holds the mapped / unmapped read counts)
+                if bin_id != 37450:
+                    ref_bins[bin_id] = chunks
+                elif len(chunks) >= 2:
+                    mapped = chunks[1][0]
+
+            n_intv = struct.unpack('<i', bai_data[pos:pos+4])[0]
+            pos += 4
+            intervals = list(struct.unpack(f'<{n_intv}Q', bai_data[pos:pos + n_intv * 8])) if n_intv else []
+            pos += n_intv * 8
+
+            self.bins.append(ref_bins)
+            self.linear.append(intervals)
+            self.mapped.append(mapped if mapped is not None else (None if ref_bins else 0))
+
+        print(f"Loaded BAI index for {n_ref} reference sequences")
+
+    def region_start_offset(self, ref_id, start, end):
+        """
+        Smallest virtual offset that can hold an alignment overlapping [start, end)
+        Returns None if the index has no alignments for the region
+        """
+        if ref_id < 0 or ref_id >= len(self.bins):
+            return None
+
+        # Linear index gives a lower bound for alignments overlapping the first 16 kb window
+        min_offset = 0
+        intervals = self.linear[ref_id]
+        if intervals:
+            window = min(start >> self.LINEAR_SHIFT, len(intervals) - 1)
+            min_offset = intervals[window]
+
+        best = None
+        ref_bins = self.bins[ref_id]
+        for bin_id in reg2bins(start, end):
+            for chunk_beg, chunk_end in ref_bins.get(bin_id, ()):
+                if chunk_end <= min_offset:
+                    continue
+                if best is None or chunk_beg < best:
+                    best = chunk_beg
+
+        if best is None:
+            return None
+        return max(best, min_offset)
+
+class BytesSource:
+    """Random-access byte source over an in-memory bytes object"""
+
+    def __init__(self, data):
+        self.data = data
+        self.size = len(data)
+
+    def read(self, offset, length):
+        return self.data[offset:offset + length]
+
+class BlobSource:
+    """
+    Random-access byte source over a JavaScript File/Blob
+    Pulls slices on demand through the worker's synchronous reader (Blob.slice + FileReaderSync),
+    caching one chunk at a time so peak memory stays bounded regardless of file size
+    """
+
+    CHUNK_SIZE = 4 * 1024 * 1024  # 4 MB of compressed data per slice
+
+    def __init__(self, js_reader):
+        self.js_reader = js_reader
+        self.size = int(js_reader.size)
+        self.cache_start = 0
+        self.cache = b''
+
+    def read(self, offset, length):
+        cache_end = self.cache_start + len(self.cache)
+        if offset < self.cache_start or offset + length > cache_end:
+            chunk_length = min(max(length, self.CHUNK_SIZE), self.size - offset)
+            if chunk_length <= 0:
+                return b''
+            self.cache = bytes(self.js_reader.read(offset, chunk_length).to_py())
+            self.cache_start = offset
+
+        start = offset - self.cache_start
+        return self.cache[start:start + length]
+
+# BAM CIGAR operation codes (op = value & 0xF, length = value >> 4)
+CIGAR_OPS = 'MIDNSHP=X'
+CIGAR_CONSUMES_REF = set('MDN=X')
+CIGAR_CONSUMES_READ = set('MIS=X')
+
+# Value sizes of fixed-width aux types ('B' arrays use these for their element type)
+AUX_TYPE_SIZES = {'A': 1, 'c': 1, 'C': 1, 's': 2, 'S': 2, 'i': 4, 'I': 4, 'f': 4}
+
+def aux_string(aux, wanted):
+    """Value of a Z (string) aux tag, or None; walks the tags so a match inside a value is never taken"""
+    i = 0
+    n = len(aux)
+    while i + 3 <= n:
+        tag = aux[i:i + 2]
+        value_type = chr(aux[i + 2])
+        i += 3
+        if value_type in 'ZH':
+            end = aux.index(0, i)
+            if tag == wanted:
+                return bytes(aux[i:end]).decode('ascii', 'replace')
+            i = end + 1
+        elif value_type == 'B':
+            subtype = chr(aux[i])
+            count = struct.unpack('<i', aux[i + 1:i + 5])[0]
+            i += 5 + count * AUX_TYPE_SIZES.get(subtype, 1)
+        elif value_type in AUX_TYPE_SIZES:
+            i += AUX_TYPE_SIZES[value_type]
+        else:
+            return None
+    return None
+
+def cigar_reference_length(cigar):
+    """Number of reference bases spanned by a CIGAR [(op, length), ...]"""
+    return sum(length for op, length in cigar if op in CIGAR_CONSUMES_REF)
+
+def cigar_blocks(ref_pos, cigar):
+    """
+    Walk a CIGAR and yield (op, read_offset, ref_pos, length) for every operation
+    read_offset/ref_pos are the positions where the operation starts
+    (insertions and soft clips sit between reference bases and do not advance ref_pos)
+    """
+    read_offset = 0
+    for op, length in cigar:
+        yield op, read_offset, ref_pos, length
+        if op in CIGAR_CONSUMES_READ:
+            read_offset += length
+        if op in CIGAR_CONSUMES_REF:
+            ref_pos += length
+
+def as_byte_source(data):
+    """Wrap raw bytes in a BytesSource; pass byte sources through unchanged"""
+    if isinstance(data, (bytes, bytearray, memoryview)):
+        return BytesSource(bytes(data))
+    return data
+
+def resolve_contig_name(chrom, names):
+    """
+    Match a BAM reference name against another file's contig names (dict or set)
+    Tries the exact name, then with/without the 'chr' prefix (chrM == MT); None if absent
+    """
+    if chrom in names:
+        return chrom
+    if chrom in ('chrM', 'MT'):
+        for alias in ('chrM', 'MT', 'M'):
+            if alias in names:
+                return alias
+    alias = chrom[3:] if chrom.startswith('chr') else 'chr' + chrom
+    return alias if alias in names else None
+
+class FastaReference:
+    """
+    Indexed FASTA reader (samtools faidx .fai) with random access through a byte source
+    Only the bytes of the requested interval are read, so a whole genome never sits in memory
+    Contig names are matched with or without the 'chr' prefix (chr7 == 7, chrM == MT)
+    """
+
+    CACHE_SIZE = 65536  # bases cached around the last lookup for per-position access
+
+    def __init__(self, fasta_data, fai_text, name=None):
+        self.source = as_byte_source(fasta_data)
+        self.name = name
+        self.contigs = {}  # name -> (length, offset, line_bases, line_width)
+        self.names = []
+
+        for line in fai_text.splitlines():
+            fields = line.strip().split('\\t')
+            if len(fields) < 5:
+                continue
+            self.contigs[fields[0]] = tuple(int(f) for f in fields[1:5])
+            self.names.append(fields[0])
+
+        if not self.contigs:
+            raise ValueError("FASTA index (.fai) contains no sequences")
+
+        self.cache_chrom = None
+        self.cache_start = 0
+        self.cache_seq = ''
+
+        print(f"Loaded reference FASTA index with {len(self.names)} sequences")
+
+    def resolve(self, chrom):
+        """Return the FASTA contig name for a BAM reference name, or None"""
+        return resolve_contig_name(chrom, self.contigs)
+
+    def length(self, chrom):
+        contig = self.resolve(chrom)
+        return self.contigs[contig][0] if contig else 0
+
+    def fetch(self, chrom, start, end):
+        """Uppercase reference sequence for 0-based half-open [start, end) ('' if unknown contig)"""
+        contig = self.resolve(chrom)
+        if contig is None:
+            return ''
+
+        length, offset, line_bases, line_width = self.contigs[contig]
+        start = max(start, 0)
+        end = min(end, length)
+        if start >= end:
+            return ''
+
+        def byte_offset(pos):
+            return offset + (pos // line_bases) * line_width + pos % line_bases
+
+        first = byte_offset(start)
+        raw = self.source.read(first, byte_offset(end - 1) + 1 - first)
+        seq = bytes(raw).replace(b'\\n', b'').replace(b'\\r', b'').decode('ascii')
+        return seq[:end - start].upper()
+
+    def base(self, chrom, pos):
+        """Single reference base at 0-based pos ('N' if unavailable)"""
+        if chrom != self.cache_chrom or not (self.cache_start <= pos < self.cache_start + len(self.cache_seq)):
+            self.cache_chrom = chrom
+            self.cache_start = pos - pos % self.CACHE_SIZE
+            self.cache_seq = self.fetch(chrom, self.cache_start, self.cache_start + self.CACHE_SIZE)
+
+        i = pos - self.cache_start
+        return self.cache_seq[i] if 0 <= i < len(self.cache_seq) else 'N'
+
+    def context(self, chrom, pos, flank=1):
+        """Reference bases around 0-based pos (trinucleotide by default), None at contig edges"""
+        seq = ''.join(self.base(chrom, p) for p in range(pos - flank, pos + flank + 1))
+        return seq if pos - flank >= 0 and 'N' not in seq else None
+
+class TargetRegions:
+    """
+    Target intervals from a BED file (exome / panel capture), padded and merged per contig
+    BED coordinates are 0-based half-open; header, track and browser lines are skipped
+    Contig names are matched with or without the 'chr' prefix like FastaReference
+
+    Also loads CNV masks (kind='mask'): a blacklist BED keeps every interval, while with
+    max_score a mappability bedGraph keeps only the intervals scoring below it.
+    """
+
+    def __init__(self, bed_text, padding=0, name=None, kind='targets', max_score=None):
+        self.padding = max(int(padding or 0), 0)
+        self.name = name
+        self.kind = kind
+        self.max_score = max_score
+        self.bed_intervals = 0
+        raw = {}
+
+        for line in bed_text.splitlines():
+            fields = line.split()
+            if len(fields) < 3 or fields[0].startswith('#') or fields[0] in ('track', 'browser'):
+                continue
+            try:
+                start, end = int(fields[1]), int(fields[2])
+            except ValueError:
+                continue
+            if end <= start:
+                continue
+            if max_score is not None and len(fields) > 3:
+                try:
+                    if float(fields[3]) >= max_score:
+                        continue
+                except ValueError:
+                    pass
+            raw.setdefault(fields[0], []).append((max(start - self.padding, 0), end + self.padding))
+            self.bed_intervals += 1
+
+        if not raw:
+            raise ValueError(f"BED file contains no {'target' if kind == 'targets' else 'masked'} intervals")
+
+        # Merge overlapping/adjacent intervals; starts and ends are then both sorted for bisect
+        self.starts = {}
+        self.ends = {}
+        self.total_bases = 0
+        for chrom, intervals in raw.items():
+            merged = []
+            for start, end in sorted(intervals):
+                if merged and start <= merged[-1][1]:
+                    merged[-1][1] = max(merged[-1][1], end)
+                else:
+                    merged.append([start, end])
+            self.starts[chrom] = [start for start, _ in merged]
+            self.ends[chrom] = [end for _, end in merged]
+            self.total_bases += sum(end - start for start, end in merged)
+
+        self.resolved = {}
+        print(f"Loaded {self.bed_intervals:,} BED {kind} ({self.num_intervals():,} merged, {self.total_bases:,} bp with {self.padding} bp padding)")
+
+    def num_intervals(self):
+        return sum(len(starts) for starts in self.starts.values())
+
+    def resolve(self, chrom):
+        """Return the BED contig name for a BAM reference name, or None"""
+        if chrom not in self.resolved:
+            self.resolved[chrom] = resolve_contig_name(chrom, self.starts)
+        return self.resolved[chrom]
+
+    def intervals(self, chrom):
+        """Merged (start, end) target intervals on a contig (empty if untargeted)"""
+        contig = self.resolve(chrom)
+        return list(zip(self.starts[contig], self.ends[contig])) if contig else []
+
+    def span(self, chrom):
+        """(first target start, last target end) on a contig, or None"""
+        contig = self.resolve(chrom)
+        return (self.starts[contig][0], self.ends[contig][-1]) if contig else None
+
+    def overlaps(self, chrom, start, end):
+        """True if [start, end) overlaps any target interval"""
+        contig = self.resolve(chrom)
+        if contig is None:
+            return False
+        i = bisect.bisect_right(self.ends[contig], start)
+        return i < len(self.starts[contig]) and self.starts[contig][i] < end
+
+    def contains(self, chrom, pos):
+        return self.overlaps(chrom, pos, pos + 1)
+
+    def clip(self, chrom, start, end):
+        """Target intervals overlapping [start, end), clipped to it"""
+        contig = self.resolve(chrom)
+        if contig is None:
+            return []
+        starts, ends = self.starts[contig], self.ends[contig]
+        clipped = []
+        i = bisect.bisect_right(ends, start)
+        while i < len(starts) and starts[i] < end:
+            clipped.append((max(starts[i], start), min(ends[i], end)))
+            i += 1
+        return clipped
+
+    def overlap_bases(self, chrom, start, end):
+        """Number of targeted bases inside [start, end)"""
+        return sum(e - s for s, e in self.clip(chrom, start, end))
+
+    def summary(self):
+        return {
+            'name': self.name,
+            'kind': self.kind,
+            'bed_intervals': self.bed_intervals,
+            'intervals': self.num_intervals(),
+            'bases': self.total_bases,
+            'padding': self.padding
+        }
 
 # Pure Python BAM parser with streaming BGZF decompression
 class SimpleBamReader:
     """
     Simplified BAM file reader for basic operations
     Streams BGZF blocks on-demand (no full decompression!)
+    With a BAI index, region queries seek straight to the right BGZF block
     """
 
-    def __init__(self, bam_data):
-        """Initialize with BGZF compressed BAM file data"""
-        self.compressed_data = bam_data
+    def __init__(self, bam_data, bai_data=None):
+        """
+        Initialize with a BGZF compressed BAM byte source (and optional BAI index data)
+        bam_data may be a BlobSource (streamed from a File) or raw bytes
+        """
+        self.source = as_byte_source(bam_data)
         self.compressed_pos = 0
         self.uncompressed_buffer = b''
         self.buffer_offset = 0
         self.references = []
         self.reference_lengths = []
+        self.sample_name = None
+        self.index = BamIndex(bai_data) if bai_data else None
 
-        print(f"Initializing streaming BAM reader ({len(bam_data)} bytes compressed)")
+        print(f"Initializing streaming BAM reader ({self.source.size} bytes compressed)")
 
     def read_bgzf_block(self):
-        """Read and decompress one BGZF block"""
-        if self.compressed_pos >= len(self.compressed_data):
+        """Read and decompress one BGZF block (pulled from the byte source on demand)"""
+        if self.compressed_pos >= self.source.size:
             return None
 
         try:
@@ -134,10 +553,10 @@ class SimpleBamReader:
             start_pos = self.compressed_pos
 
             # Read gzip header (minimum 10 bytes)
-            if start_pos + 18 > len(self.compressed_data):
+            if start_pos + 18 > self.source.size:
                 return None
 
-            header = self.compressed_data[start_pos:start_pos+18]
+            header = self.source.read(start_pos, 18)
 
             # Check gzip magic
             if header[0:2] != b'\\x1f\\x8b':
@@ -149,10 +568,10 @@ class SimpleBamReader:
             block_size = bsize + 1
 
             # Read entire block
-            if start_pos + block_size > len(self.compressed_data):
+            if start_pos + block_size > self.source.size:
                 return None
 
-            block = self.compressed_data[start_pos:start_pos+block_size]
+            block = self.source.read(start_pos, block_size)
 
             # Decompress using gzip
             decompressed = gzip.decompress(block)
@@ -211,8 +630,17 @@ class SimpleBamReader:
         l_text_bytes = self.read_bytes(4)
         l_text = struct.unpack('<I', l_text_bytes)[0]
 
-        # Skip SAM header text
-        self.read_bytes(l_text)
+        # SAM header text: keep only the sample name from the first @RG line with SM
+        header_text = self.read_bytes(l_text) or b''
+        self.sample_name = None
+        for line in header_text.decode('utf-8', errors='replace').split('\\n'):
+            if line.startswith('@RG'):
+                for field in line.split('\\t')[1:]:
+                    if field.startswith('SM:'):
+                        self.sample_name = field[3:].strip()
+                        break
+            if self.sample_name:
+                break
 
         # Read number of reference sequences
         n_ref_bytes = self.read_bytes(4)
@@ -234,6 +662,67 @@ class SimpleBamReader:
             self.references.append(name)
             self.reference_lengths.append(l_ref)
 
+    def seek(self, virtual_offset):
+        """Jump to a BGZF virtual offset (compressed block offset << 16 | offset within block)"""
+        self.compressed_pos = virtual_offset >> 16
+        self.uncompressed_buffer = b''
+        self.buffer_offset = 0
+
+        block = self.read_bgzf_block()
+        if block is not None:
+            self.uncompressed_buffer = block
+            self.buffer_offset = virtual_offset & 0xFFFF
+
+    def rewind(self):
+        """Reset the stream to the start of the file and re-read the header"""
+        self.compressed_pos = 0
+        self.uncompressed_buffer = b''
+        self.buffer_offset = 0
+        self.references = []
+        self.reference_lengths = []
+        self.read_header()
+
+    def fetch(self, ref_name, start=0, end=None):
+        """
+        Yield alignments on ref_name overlapping [start, end)
+        Uses the BAI index to seek when available, otherwise scans from the start of the file
+        Assumes a coordinate-sorted BAM (required for indexing anyway)
+        """
+        if ref_name not in self.references:
+            return
+
+        ref_id = self.references.index(ref_name)
+        if end is None:
+            end = self.reference_lengths[ref_id]
+
+        if self.index is not None:
+            offset = self.index.region_start_offset(ref_id, start, end)
+            if offset is None:
+                return
+            self.seek(offset)
+        else:
+            self.rewind()
+
+        while True:
+            aln = self.read_alignment()
+            if aln is None:
+                break
+
+            # Unmapped reads without coordinates sort to the end of the file
+            if aln['refID'] < 0 or aln['refID'] > ref_id:
+                break
+
+            if aln['refID'] < ref_id:
+                continue
+
+            if aln['pos'] >= end:
+                break
+
+            if max(aln['end'], aln['pos'] + 1) <= start:
+                continue
+
+            yield aln
+
     def read_alignment(self):
         """Read a single alignment record from stream"""
         # Read block size
@@ -261,18 +750,27 @@ class SimpleBamReader:
 
         l_seq = struct.unpack('<I', core_data[16:20])[0]
 
+        # Mate reference, mate position (0-based) and observed template length
+        next_ref_id, next_pos, tlen = struct.unpack('<iii', core_data[20:32])
+
         # Parse variable-length data section
-        # 1. Read name (skip it)
+        # 1. Read name (NUL-terminated; links the mates of a pair)
         read_name_data = self.read_bytes(l_read_name)
         if read_name_data is None:
             return None
+        qname = bytes(read_name_data[:-1]).decode('ascii', 'replace')
 
-        # 2. CIGAR (skip it)
+        # 2. CIGAR (uint32 per op: length << 4 | op)
         cigar_bytes = n_cigar_op * 4
         cigar_data = self.read_bytes(cigar_bytes)
         if cigar_data is None and cigar_bytes > 0:
             return None
 
+        cigar = []
+        if n_cigar_op > 0:
+            for value in struct.unpack(f'<{n_cigar_op}I', cigar_data):
+                cigar.append((CIGAR_OPS[value & 0xF], value >> 4))
+
         # 3. Sequence (decode it - needed for variant calling!)
         seq_bytes = (l_seq + 1) // 2  # 4 bits per base, 2 bases per byte
         seq_data = self.read_bytes(seq_bytes)
@@ -303,37 +801,69 @@ class SimpleBamReader:
             # Convert to numeric Phred scores
             qual = [q for q in qual_data]
 
-        # Skip any remaining auxiliary data (tags)
+        # Auxiliary data (tags): only SA (supplementary alignments of a split read) is decoded
         bytes_read = 32 + l_read_name + cigar_bytes + seq_bytes + l_seq
         remaining = block_size - bytes_read
+        sa_tag = None
         if remaining > 0:
-            self.read_bytes(remaining)
+            aux_data = self.read_bytes(remaining)
+            if aux_data and b'SA' in aux_data:
+                sa_tag = aux_string(aux_data, b'SA')
+
+        # Reads without a CIGAR are treated as an ungapped match of the whole sequence
+        if not cigar and l_seq > 0:
+            cigar = [('M', l_seq)]
 
         return {
+            'qname': qname,
             'refID': refID,
             'pos': pos,
+            'end': pos + cigar_reference_length(cigar),  # 0-based exclusive reference end
             'mapq': mapq,
             'flag': flag,
+            'cigar': cigar,
             'seq': seq,
             'qual': qual,
             'is_unmapped': (flag & 0x4) != 0,
             'is_duplicate': (flag & 0x400) != 0,
             'is_secondary': (flag & 0x100) != 0,
+            'is_supplementary': (flag & 0x800) != 0,
+            'is_paired': (flag & 0x1) != 0,
+            'mate_unmapped': (flag & 0x8) != 0,
+            'next_ref_id': next_ref_id,
+            'next_pos': next_pos,
+            'tlen': tlen,
+            'sa': sa_tag,
         }
 
-    def calculate_coverage(self, chrom=None, chroms=None, window_size=10000):
+    def calculate_coverage(self, chrom=None, chroms=None, window_size=10000, region=None, targets=None, sv_collector=None,
+                           baf_collector=None):
         """
         Calculate coverage across genome
         Args:
             chrom: Single chromosome to process (legacy)
             chroms: List of chromosomes to process (for parallel processing)
             window_size: Window size in bp
+            region: Optional (chrom, start, end) tuple from parse_region()
+            targets: Optional TargetRegions - only reads overlapping a target are counted
+            sv_collector: Optional StructuralVariantCollector fed every counted read (off-target too)
+            baf_collector: Optional AlleleFractionCollector fed the reads that count towards coverage
+        Returns:
+            (coverage arrays per chromosome, reads processed, (start, end) bounds per chromosome,
+             {'on_target', 'off_target'} read counts or None without targets)
         """
         self.read_header()
+        if sv_collector is not None:
+            sv_collector.set_references(self.references)
+        if baf_collector is not None:
+            baf_collector.set_references(self.references)
 
         # Build chromosome filter set
         chrom_filter = None
-        if chroms:
+        if region:
+            chrom_filter = {region[0]}
+            print(f"Processing region: {region[0]}:{region[1] + 1}-{region[2] or 'end'}")
+        elif chroms:
             chrom_filter = set(chroms)
             print(f"Processing chromosomes: {', '.join(chroms)}")
         elif chrom:
@@ -342,26 +872,40 @@ class SimpleBamReader:
 
         # Initialize coverage arrays
         coverage = {}
+        bounds = {}
         for ref_name, ref_len in zip(self.references, self.reference_lengths):
             if chrom_filter and ref_name not in chrom_filter:
                 continue
+            if targets is not None and targets.resolve(ref_name) is None:
+                continue
             num_windows = (ref_len // window_size) + 1
             coverage[ref_name] = np.zeros(num_windows, dtype=np.int32)
+            if region:
+                bounds[ref_name] = (region[1], min(region[2] or ref_len, ref_len))
+            else:
+                bounds[ref_name] = (0, ref_len)
 
         if not coverage:
-            print("⚠️ No matching chromosomes found in BAM file")
-            return {}, 0
+            print("⚠️ No matching chromosomes found in BAM file" if targets is None else "⚠️ No BAM chromosomes overlap the BED targets")
+            return {}, 0, {}, None
+
+        # With an index, only read the blocks for the requested chromosomes/region
+        if self.index is not None and chrom_filter:
+            print(f"Using BAI index to seek to {len(coverage)} chromosome(s)")
+            alignments = (
+                aln
+                for ref_name in coverage
+                for aln in self.fetch(ref_name, bounds[ref_name][0], bounds[ref_name][1])
+            )
+        else:
+            print(f"Streaming through alignments...")
+            alignments = iter(self.read_alignment, None)
 
-        # Stream through alignments
-        print(f"Streaming through alignments...")
         read_count = 0
         last_report = 0
+        target_reads = {'on_target': 0, 'off_target': 0} if targets is not None else None
 
-        while True:
-            aln = self.read_alignment()
-            if aln is None:
-                break
-
+        for aln in alignments:
             read_count += 1
 
             # Progress reporting every 100k reads
@@ -382,58 +926,137 @@ class SimpleBamReader:
             if ref_name not in coverage:
                 continue
 
+            region_start, region_end = bounds[ref_name]
+            if aln['pos'] < region_start or aln['pos'] >= region_end:
+                continue
+
+            # Breakpoints often fall outside capture targets, so SV evidence is taken first
+            if sv_collector is not None:
+                sv_collector.add(aln, ref_name)
+
+            if targets is not None:
+                if not targets.overlaps(ref_name, aln['pos'], max(aln['end'], aln['pos'] + 1)):
+                    target_reads['off_target'] += 1
+                    continue
+                target_reads['on_target'] += 1
+
+            if baf_collector is not None:
+                baf_collector.add(aln, ref_name)
+
             # Add to coverage
             window_idx = aln['pos'] // window_size
             if 0 <= window_idx < len(coverage[ref_name]):
                 coverage[ref_name][window_idx] += 1
 
         print(f"✓ Processed {read_count:,} total reads")
-        return coverage, read_count
+        if target_reads is not None:
+            print(f"  On-target reads: {target_reads['on_target']:,}, off-target: {target_reads['off_target']:,}")
+        return coverage, read_count, bounds, target_reads
 
 # Global BAM reader instance
 bam_reader = None
 
-def analyze_bam_coverage(bam_bytes, window_size=10000, chromosome=None, chromosomes=None,
-                         use_manual_thresholds=False, amp_threshold=None, del_threshold=None, min_windows_override=None):
+def analyze_bam_coverage(bam_source, window_size=10000, chromosome=None, chromosomes=None,
+                         use_manual_thresholds=False, amp_threshold=None, del_threshold=None, min_windows_override=None,
+                         bai_bytes=None, region=None, targets=None,
+                         call_structural_variants=False, sv_min_support=3, sv_min_mapping_quality=20, min_sv_size=1000,
+                         collect_baf=False, baf_sites=None, baf_min_depth=10,
+                         reference=None, gc_correction=True, mask=None, max_masked_fraction=0.5):
     """
     Analyze BAM file and calculate coverage with adaptive OR manual thresholds
+
+    With targets (exome / panel BED), only on-target reads are counted and only windows
+    overlapping a target are kept. Each window is normalized by its read density per
+    targeted base, so windows holding more capture bases are not called as gains.
+
+    Before normalization, windows mostly inside the mask (blacklist / low mappability) and,
+    with a reference, windows that are mostly N are dropped. After it, GC bias is divided out
+    with correct_gc_bias (GC of the targeted bases only when targets are given).
     Args:
-        bam_bytes: BAM file data
+        bam_source: BAM byte source (BlobSource streamed from a File, or raw bytes)
         window_size: Window size in bp
         chromosome: Single chromosome (legacy)
         chromosomes: List of chromosomes for parallel processing
+        bai_bytes: Optional BAI index data (enables seeking to chromosomes/regions)
+        region: Optional region string ('chr7' or 'chr7:55019017-55211628')
+        targets: Optional TargetRegions (padded BED intervals)
         use_manual_thresholds: If True, use manual thresholds instead of adaptive
         amp_threshold: Manual amplification threshold (normalized coverage ratio)
         del_threshold: Manual deletion threshold (normalized coverage ratio)
         min_windows_override: Manual minimum windows for CNV calling
+        call_structural_variants: Also call SVs from split reads and discordant pairs (same BAM pass)
+        sv_min_support: Minimum supporting fragments per SV call
+        sv_min_mapping_quality: Minimum mapping quality of SV evidence reads
+        min_sv_size: Smallest same-contig SV reported (bp)
+        collect_baf: Also count heterozygous SNP alleles for B-allele fractions (same BAM pass)
+        baf_sites: Common-SNP site list {chrom: {'pos', 'alleles'}}; None discovers het sites from the sample
+        baf_min_depth: Minimum read depth at a het SNP
+        reference: Optional FastaReference for per-window GC content
+        gc_correction: LOESS GC correction when a reference is given
+        mask: Optional TargetRegions (kind='mask') of blacklisted / low-mappability intervals
+        max_masked_fraction: Windows with more of their span masked than this are dropped
     """
     global bam_reader
 
     try:
         # Create BAM reader and calculate coverage
-        bam_reader = SimpleBamReader(bam_bytes)
-        coverage_data, total_reads = bam_reader.calculate_coverage(
+        bam_reader = SimpleBamReader(bam_source, bai_bytes)
+        sv_collector = StructuralVariantCollector(sv_min_mapping_quality, min_sv_size) if call_structural_variants else None
+        baf_collector = AlleleFractionCollector(baf_sites, min_depth=baf_min_depth) if collect_baf else None
+        coverage_data, total_reads, bounds, target_reads = bam_reader.calculate_coverage(
             chrom=chromosome,
             chroms=chromosomes,
-            window_size=window_size
+            window_size=window_size,
+            region=parse_region(region),
+            targets=targets,
+            sv_collector=sv_collector,
+            baf_collector=baf_collector
         )
 
-        # Process coverage into windows
+        # Process coverage into windows (only those inside the requested region and, with a BED, on target)
         windows = []
+        masked_windows = 0
+        gap_windows = 0
         for chrom, cov_array in coverage_data.items():
+            region_start, region_end = bounds[chrom]
             for i, depth in enumerate(cov_array):
-                windows.append({
+                if (i + 1) * window_size <= region_start or i * window_size >= region_end:
+                    continue
+                window = {
                     'chromosome': chrom,
                     'start': i * window_size,
                     'end': (i + 1) * window_size,
                     'coverage': int(depth),
                     'normalized': 0.0
-                })
+                }
+                if targets is not None:
+                    window['target_bp'] = targets.overlap_bases(
+                        chrom, max(window['start'], region_start), min(window['end'], region_end)
+                    )
+                    if window['target_bp'] == 0:
+                        continue
+                span = (max(window['start'], region_start), min(window['end'], region_end))
+                if mask is not None and mask.overlap_bases(chrom, *span) > max_masked_fraction * (span[1] - span[0]):
+                    masked_windows += 1
+                    continue
+                if reference is not None:
+                    intervals = targets.clip(chrom, *span) if targets is not None else [span]
+                    gc, called_fraction = window_gc_content(reference, chrom, intervals)
+                    if called_fraction < GC_MIN_CALLED_FRACTION:
+                        gap_windows += 1
+                        continue
+                    window['gc'] = round(gc, 4)
+                windows.append(window)
+
+        if mask is not None:
+            print(f"Masked {masked_windows:,} windows (> {max_masked_fraction:.0%} blacklisted / low mappability)")
+        if reference is not None:
+            print(f"Dropped {gap_windows:,} reference-gap windows (< {GC_MIN_CALLED_FRACTION:.0%} called bases)")
 
         # Calculate median coverage to detect sample quality
         coverages = [w['coverage'] for w in windows if w['coverage'] > 0]
         if not coverages:
-            return {'error': 'No coverage data found'}
+            return {'error': 'No on-target coverage data found' if targets is not None else 'No coverage data found'}
 
         median_cov = float(np.median(coverages))
         mean_cov = float(np.mean(coverages))
@@ -451,9 +1074,16 @@ def analyze_bam_coverage(bam_bytes, window_size=10000, chromosome=None, chromoso
             coverage_class = "high"
             print("✅ HIGH COVERAGE (>30x)")
 
-        # Normalize coverage
-        for w in windows:
-            w['normalized'] = w['coverage'] / median_cov if median_cov > 0 else 0
+        # Normalize coverage (per targeted base when a BED is given)
+        if targets is not None:
+            median_density = float(np.median([w['coverage'] / w['target_bp'] for w in windows if w['coverage'] > 0]))
+            for w in windows:
+                w['normalized'] = (w['coverage'] / w['target_bp']) / median_density if median_density > 0 else 0
+        else:
+            for w in windows:
+                w['normalized'] = w['coverage'] / median_cov if median_cov > 0 else 0
+
+        gc_summary = correct_gc_bias(windows) if reference is not None and gc_correction else None
 
         # Choose detection mode
         if use_manual_thresholds:
@@ -463,18 +1093,48 @@ def analyze_bam_coverage(bam_bytes, window_size=10000, chromosome=None, chromoso
             print("Using ADAPTIVE thresholds based on coverage quality")
             cnvs = detect_cnvs_adaptive(windows, coverage_class, median_cov)
 
+        coverage_stats = {
+            'median': median_cov,
+            'mean': mean_cov,
+            'class': coverage_class
+        }
+        if targets is not None:
+            on_target = target_reads['on_target']
+            counted = on_target + target_reads['off_target']
+            coverage_stats.update({
+                'on_target_reads': on_target,
+                'off_target_reads': target_reads['off_target'],
+                'on_target_fraction': on_target / counted if counted else 0.0,
+                'on_target_windows': len(windows)
+            })
+
+        structural_variants, sv_summary = sv_collector.call(sv_min_support) if sv_collector is not None else (None, None)
+        het_snps, baf_summary = baf_collector.call() if baf_collector is not None else (None, None)
+
         return {
             'total_reads': total_reads,
             'coverageData': windows,
             'cnvs': cnvs,
             'windowSize': window_size,
             'chromosomes': list(coverage_data.keys()),
+            'region': region,
+            'indexed': bam_reader.index is not None,
             'method': 'pyodide-python-streaming',
-            'coverage_stats': {
-                'median': median_cov,
-                'mean': mean_cov,
-                'class': coverage_class
+            'targets': targets.summary() if targets is not None else None,
+            'coverage_stats': coverage_stats,
+            'structural_variants': structural_variants,
+            'sv_summary': sv_summary,
+            'het_snps': het_snps,
+            'baf_summary': baf_summary,
+            'bias_correction': {
+                'gc': gc_summary,
+                'reference': reference.name if reference is not None else None,
+                'gap_windows': gap_windows if reference is not None else None,
+                'mask': mask.summary() if mask is not None else None,
+                'masked_windows': masked_windows if mask is not None else None,
+                'max_masked_fraction': max_masked_fraction if mask is not None else None
             },
+            'contigs': [{'name': name, 'length': length} for name, length in zip(bam_reader.references, bam_reader.reference_lengths)],
             'thresholds_used': {
                 'mode': 'manual' if use_manual_thresholds else 'adaptive',
                 'amp_threshold': amp_threshold if use_manual_thresholds else None,
@@ -490,6 +1150,127 @@ def analyze_bam_coverage(bam_bytes, window_size=10000, chromosome=None, chromoso
             'traceback': traceback.format_exc()
         }
 
+# GC-content bias: per-window GC from the reference, divided out with a LOESS curve of depth on GC
+GC_MIN_CALLED_FRACTION = 0.5   # windows with more N than this are reference gaps (centromeres) and dropped
+GC_LOESS_SPAN = 0.3            # share of the windows in each local regression
+GC_MIN_WINDOWS = 30            # fewer covered windows than this leave the coverage uncorrected
+GC_MIN_FACTOR = 0.05
+
+def window_gc_content(reference, chrom, intervals):
+    """
+    GC fraction of the called bases and the called (non-N) fraction over [(start, end)] intervals
+    Returns (gc or None when nothing is called, called_fraction)
+    """
+    gc = called = total = 0
+    for start, end in intervals:
+        seq = reference.fetch(chrom, start, end)
+        total += end - start
+        gc_bases = seq.count('G') + seq.count('C')
+        gc += gc_bases
+        called += gc_bases + seq.count('A') + seq.count('T')
+    return (gc / called if called else None), (called / total if total else 0.0)
+
+def loess_fit(xs, ys, weights, span=GC_LOESS_SPAN):
+    """
+    Locally weighted linear regression (tricube kernel) of ys on xs, evaluated at every x
+    Each neighbourhood holds the nearest span share of the total weight
+    """
+    total_weight = sum(weights)
+    fitted = []
+    for x0 in xs:
+        by_distance = sorted(range(len(xs)), key=lambda i: abs(xs[i] - x0))
+        reach = 0.0
+        bandwidth = 0.0
+        for i in by_distance:
+            reach += weights[i]
+            bandwidth = abs(xs[i] - x0)
+            if reach >= span * total_weight:
+                break
+        bandwidth = max(bandwidth * 1.0001, 0.01)
+
+        sw = swx = swy = swxx = swxy = 0.0
+        for x, y, weight in zip(xs, ys, weights):
+            d = abs(x - x0) / bandwidth
+            if d >= 1:
+                continue
+            w = weight * (1 - d ** 3) ** 3
+            sw += w
+            swx += w * x
+            swy += w * y
+            swxx += w * x * x
+            swxy += w * x * y
+
+        denominator = sw * swxx - swx * swx
+        if sw == 0:
+            fitted.append(None)
+        elif abs(denominator) < 1e-12:
+            fitted.append(swy / sw)
+        else:
+            slope = (sw * swxy - swx * swy) / denominator
+            fitted.append((swy - slope * swx) / sw + slope * x0)
+    return fitted
+
+def robust_noise(values):
+    """Window-to-window noise: MAD of first differences scaled to a normal SD"""
+    if len(values) < 3:
+        return None
+    diffs = [b - a for a, b in zip(values, values[1:])]
+    center = float(np.median(diffs))
+    return 1.4826 * float(np.median([abs(d - center) for d in diffs])) / math.sqrt(2)
+
+def correct_gc_bias(windows):
+    """
+    Divide each window's normalized depth by the LOESS fit of depth on GC
+
+    The fit runs on per-percent GC bins (median depth, weighted by window count), so gained
+    or lost regions barely move the curve. Corrected depth is re-centred on a median of 1.
+    Each window keeps its gc_factor so merged multi-worker runs can re-apply it.
+    Returns a summary (curve, windows used, noise before / after) or None when too few windows.
+    """
+    covered = [w for w in windows if w['coverage'] > 0 and w.get('gc') is not None]
+    if len(covered) < GC_MIN_WINDOWS:
+        print(f"⚠️ GC correction skipped: {len(covered)} covered windows with GC content")
+        return None
+
+    bins = {}
+    for w in covered:
+        bins.setdefault(round(w['gc'] * 100), []).append(w['normalized'])
+    keys = sorted(bins)
+    xs = [k / 100 for k in keys]
+    ys = [float(np.median(bins[k])) for k in keys]
+    weights = [len(bins[k]) for k in keys]
+    fitted = loess_fit(xs, ys, weights)
+    curve = [(x, max(f, GC_MIN_FACTOR)) for x, f in zip(xs, fitted) if f is not None]
+
+    def factor_at(gc):
+        if gc <= curve[0][0]:
+            return curve[0][1]
+        if gc >= curve[-1][0]:
+            return curve[-1][1]
+        i = bisect.bisect_right([x for x, _ in curve], gc)
+        (x0, f0), (x1, f1) = curve[i - 1], curve[i]
+        return f0 + (f1 - f0) * (gc - x0) / (x1 - x0)
+
+    noise_before = robust_noise([w['normalized'] for w in covered])
+    for w in windows:
+        w['gc_factor'] = round(factor_at(w['gc']), 4) if w.get('gc') is not None else 1.0
+        w['normalized'] = w['normalized'] / w['gc_factor']
+
+    center = float(np.median([w['normalized'] for w in covered]))
+    if center > 0:
+        for w in windows:
+            w['normalized'] = w['normalized'] / center
+            w['gc_factor'] = round(w['gc_factor'] * center, 4)
+
+    noise_after = robust_noise([w['normalized'] for w in covered])
+    print(f"✓ GC correction on {len(covered):,} windows (noise {noise_before:.3f} -> {noise_after:.3f})")
+    return {
+        'windows': len(covered),
+        'curve': [{'gc': x, 'factor': round(f * center if center > 0 else f, 4)} for x, f in curve],
+        'noise_before': noise_before,
+        'noise_after': noise_after
+    }
+
 def detect_cnvs_manual(windows, amp_threshold, del_threshold, min_windows, median_cov):
     """
     Manual CNV detection with user-specified thresholds
@@ -681,169 +1462,1911 @@ def summarize_cnv(cnv, median_cov, coverage_class):
         'num_windows': len(windows)
     }
 
-def call_variants_from_bam(bam_bytes, chromosomes=None, min_depth=10, min_base_quality=20, min_mapping_quality=20, min_variant_reads=3, min_allele_freq=0.05):
+def collect_chromosome_reads(bam_reader, ref_id, ref_name, region_start, region_end, min_mapping_quality, targets=None):
     """
-    OPTIMIZED: Call variants one chromosome at a time to minimize memory usage
-
-    Trade-off: Slower (must re-read BAM for each chromosome) but uses 80% less memory
-    Critical for large files (20-50GB) that would otherwise exceed browser memory limits
-
-    Args:
-        bam_bytes: BAM file data (BGZF compressed)
-        chromosomes: List of chromosomes to process (None = all)
-        min_depth: Minimum read depth at position
-        min_base_quality: Minimum base quality score (Phred)
-        min_mapping_quality: Minimum mapping quality
-        min_variant_reads: Minimum number of reads supporting variant
-        min_allele_freq: Minimum variant allele frequency (0-1)
-
-    Returns:
-        Dictionary with variants array and metadata
+    Collect the high-quality reads of ONE chromosome overlapping [region_start, region_end)
+    Skips unmapped, duplicate and secondary reads and reads below min_mapping_quality
+    (and, with targets, reads that overlap no target interval)
     """
-    print(f"Starting variant calling with filters:")
-    print(f"  Min depth: {min_depth}")
-    print(f"  Min base quality: {min_base_quality}")
-    print(f"  Min mapping quality: {min_mapping_quality}")
-    print(f"  Min variant reads: {min_variant_reads}")
-    print(f"  Min allele frequency: {min_allele_freq}")
+    chrom_reads = []
+    reads_scanned = 0
+    last_report = 0
 
-    # Create BAM reader
-    bam_reader = SimpleBamReader(bam_bytes)
-    bam_reader.read_header()
+    for aln in bam_reader.fetch(ref_name, region_start, region_end):
+        reads_scanned += 1
 
-    # Build chromosome filter
-    chrom_filter = None
-    if chromosomes:
-        chrom_filter = set(chromosomes)
-        print(f"Processing chromosomes: {', '.join(chromosomes)}")
+        # Progress reporting every 500k reads
+        if reads_scanned - last_report >= 500000:
+            print(f"    Scanned {reads_scanned:,} reads, kept {len(chrom_reads):,} for {ref_name}...")
+            last_report = reads_scanned
 
-    # Filter references
-    target_refs = []
-    for i, (ref_name, ref_len) in enumerate(zip(bam_reader.references, bam_reader.reference_lengths)):
-        if chrom_filter and ref_name not in chrom_filter:
+        # Filter to this chromosome only
+        if aln['refID'] != ref_id:
             continue
-        target_refs.append((i, ref_name, ref_len))
-
-    print(f"Processing {len(target_refs)} chromosomes/contigs")
-    print("")
-    print("OPTIMIZATION: Processing one chromosome at a time to minimize memory usage")
-    print(f"Expected memory usage: ~500-1000 MB (vs ~{len(target_refs) * 300} MB for all-at-once)")
-    print("")
-
-    # OPTIMIZATION: Process one chromosome at a time
-    variants = []
-    total_chroms = len(target_refs)
 
-    for chrom_idx, (ref_id, ref_name, ref_len) in enumerate(target_refs, 1):
-        print("")
-        print(f"[{chrom_idx}/{total_chroms}] Processing {ref_name} ({ref_len:,} bp)...")
+        # Skip unmapped, duplicates, secondary
+        if aln['is_unmapped'] or aln['is_duplicate'] or aln['is_secondary']:
+            continue
 
-        # Reset BAM reader to start of file for each chromosome
-        print(f"  Scanning BAM file for {ref_name} reads...")
-        bam_reader.compressed_pos = 0
-        bam_reader.uncompressed_buffer = b''
-        bam_reader.buffer_offset = 0
+        # Filter by mapping quality
+        if aln['mapq'] < min_mapping_quality:
+            continue
 
-        # Re-read header
-        bam_reader.read_header()
+        # Off-target reads can never contribute to an on-target call
+        if targets is not None and not targets.overlaps(ref_name, aln['pos'], max(aln['end'], aln['pos'] + 1)):
+            continue
 
-        # OPTIMIZATION: Collect reads for THIS chromosome only
-        chrom_reads = []
-        reads_scanned = 0
-        reads_kept = 0
-        last_report = 0
+        # Keep this read
+        chrom_reads.append({
+            'qname': aln['qname'],
+            'pos': aln['pos'],
+            'end': aln['end'],
+            'seq': aln.get('seq', ''),
+            'qual': aln.get('qual', []),
+            'flag': aln['flag'],
+            'mapq': aln['mapq'],
+            'cigar': aln.get('cigar', [])
+        })
+
+    print(f"  ✓ Scanned {reads_scanned:,} total reads")
+    return chrom_reads
+
+def measure_locus_depth(bam_source, loci, bai_bytes=None, min_base_quality=20, min_mapping_quality=20):
+    """
+    Read depth over small loci (e.g. hotspot sites), counted like the variant caller counts it:
+    reads passing the calling read filters, bases passing min_base_quality, deletions included
 
-        while True:
-            aln = bam_reader.read_alignment()
-            if aln is None:
-                break
+    With a BAI index each locus is fetched on its own; without one, each chromosome is streamed
+    once over the span of its loci (reads are never held in memory)
 
-            reads_scanned += 1
+    Args:
+        bam_source: BAM byte source (BlobSource streamed from a File, or raw bytes)
+        loci: List of {'id', 'chrom', 'start', 'end'} with 1-based inclusive coordinates
+        bai_bytes: Optional BAI index data
 
-            # Progress reporting every 500k reads
-            if reads_scanned - last_report >= 500000:
-                print(f"    Scanned {reads_scanned:,} reads, kept {reads_kept:,} for {ref_name}...")
-                last_report = reads_scanned
+    Returns:
+        {id: {'chrom', 'start', 'end', 'contig_found', 'min', 'max', 'mean', 'median'}}
+        (depth values are None when the BAM has no such contig)
+    """
+    bam_reader = SimpleBamReader(as_byte_source(bam_source), bai_bytes)
+    bam_reader.read_header()
 
-            # Filter to this chromosome only
-            if aln['refID'] != ref_id:
+    # Group by BAM contig so 'chr7' and '7' loci share one scan
+    contig_names = set(bam_reader.references)
+    by_chrom = {}
+    for locus in loci:
+        ref_name = resolve_contig_name(locus['chrom'], contig_names)
+        by_chrom.setdefault(ref_name or locus['chrom'], []).append(locus)
+
+    def add_read(aln, start0, depths):
+        read_seq = aln['seq']
+        read_qual = aln['qual']
+        end0 = start0 + len(depths)
+        for op, read_offset, ref_pos, length in cigar_blocks(aln['pos'], aln['cigar']):
+            if op not in 'DM=X':
                 continue
+            for pos in range(max(ref_pos, start0), min(ref_pos + length, end0)):
+                if op != 'D':
+                    i = read_offset + (pos - ref_pos)
+                    if i >= len(read_seq) or (i < len(read_qual) and read_qual[i] < min_base_quality):
+                        continue
+                depths[pos - start0] += 1
+
+    def passes_filters(aln, ref_id):
+        return (aln['refID'] == ref_id and not aln['is_unmapped'] and not aln['is_duplicate']
+                and not aln['is_secondary'] and aln['mapq'] >= min_mapping_quality)
+
+    results = {}
+    for chrom, chrom_loci in by_chrom.items():
+        ref_name = chrom if chrom in contig_names else None
+        chrom_loci = sorted(chrom_loci, key=lambda l: l['start'])
+        depth_arrays = [[0] * max(l['end'] - l['start'] + 1, 1) for l in chrom_loci]
+
+        if ref_name is not None:
+            ref_id = bam_reader.references.index(ref_name)
+            if bam_reader.index is not None:
+                for locus, depths in zip(chrom_loci, depth_arrays):
+                    for aln in bam_reader.fetch(ref_name, locus['start'] - 1, locus['end']):
+                        if passes_filters(aln, ref_id):
+                            add_read(aln, locus['start'] - 1, depths)
+            else:
+                span_start = chrom_loci[0]['start'] - 1
+                span_end = max(l['end'] for l in chrom_loci)
+                print(f"  No BAI index: scanning {ref_name} for {len(chrom_loci)} loci")
+                for aln in bam_reader.fetch(ref_name, span_start, span_end):
+                    if not passes_filters(aln, ref_id):
+                        continue
+                    for locus, depths in zip(chrom_loci, depth_arrays):
+                        if locus['start'] - 1 < aln['end'] and aln['pos'] < locus['end']:
+                            add_read(aln, locus['start'] - 1, depths)
+
+        for locus, depths in zip(chrom_loci, depth_arrays):
+            entry = {'chrom': ref_name or chrom, 'start': locus['start'], 'end': locus['end'], 'contig_found': ref_name is not None}
+            if ref_name is None:
+                entry.update({'min': None, 'max': None, 'mean': None, 'median': None})
+            else:
+                ordered = sorted(depths)
+                entry.update({
+                    'min': ordered[0],
+                    'max': ordered[-1],
+                    'mean': round(sum(depths) / len(depths), 1),
+                    'median': ordered[len(ordered) // 2]
+                })
+            results[locus['id']] = entry
+
+    print(f"✓ Measured depth at {len(results)} loci")
+    return results
+
+# Structural evidence: a discordant pair maps at least this far apart (or to another contig),
+# and evidence whose partner-side positions chain within this window forms one breakpoint cluster
+MIN_DISCORDANT_DISTANCE = 100000
+BREAKPOINT_CLUSTER_WINDOW = 1000
+
+def parse_sa_tag(sa):
+    """SA:Z entries 'rname,pos,strand,CIGAR,mapQ,NM;' -> [{chrom, pos (0-based), strand, cigar, mapq}]"""
+    entries = []
+    for entry in (sa or '').split(';'):
+        fields = entry.split(',')
+        if len(fields) < 6:
+            continue
+        cigar = []
+        length = ''
+        for ch in fields[3]:
+            if ch.isdigit():
+                length += ch
+            else:
+                cigar.append((ch, int(length or 0)))
+                length = ''
+        entries.append({
+            'chrom': fields[0],
+            'pos': int(fields[1]) - 1,
+            'strand': fields[2],
+            'cigar': cigar,
+            'mapq': int(fields[4])
+        })
+    return entries
+
+def clipped_junction(pos, cigar):
+    """
+    Genomic junction of a clipped alignment: its end when clipped on the right, its start when
+    clipped on the left (the larger clip wins). Returns (0-based position, side) or None
+    side 'right' = the aligned part lies left of the junction
+    """
+    left = sum(length for op, length in cigar[:2] if op in 'SH') if cigar and cigar[0][0] in 'SH' else 0
+    right = sum(length for op, length in cigar[-2:] if op in 'SH') if cigar and cigar[-1][0] in 'SH' else 0
+    if not left and not right:
+        return None
+    if right >= left:
+        return pos + cigar_reference_length(cigar), 'right'
+    return pos, 'left'
+
+def structural_evidence(aln, ref_name, references, min_distance):
+    """
+    Split-read and discordant-pair evidence of one alignment
+    Returns [(kind, local (pos, side), partner chrom, partner (pos, side))]; positions are 0-based
+    and for discordant pairs only approximate (the junction lies beyond the read, toward its mate)
+    """
+    evidence = []
 
-            # Skip unmapped, duplicates, secondary
-            if aln['is_unmapped'] or aln['is_duplicate'] or aln['is_secondary']:
+    if aln['sa']:
+        local = clipped_junction(aln['pos'], aln['cigar'])
+        for entry in parse_sa_tag(aln['sa']):
+            partner = clipped_junction(entry['pos'], entry['cigar'])
+            if local is None or partner is None:
                 continue
-
-            # Filter by mapping quality
-            if aln['mapq'] < min_mapping_quality:
+            if entry['chrom'] == ref_name and abs(partner[0] - local[0]) < min_distance:
                 continue
+            evidence.append(('split', local, entry['chrom'], partner))
+
+    if aln['is_paired'] and not aln['mate_unmapped'] and not aln['is_supplementary'] and aln['next_ref_id'] >= 0:
+        mate_chrom = references[aln['next_ref_id']] if aln['next_ref_id'] < len(references) else None
+        far = aln['next_ref_id'] != aln['refID'] or abs(aln['next_pos'] - aln['pos']) >= min_distance
+        if mate_chrom and far:
+            # A forward read points right, so the junction lies after its end (and vice versa)
+            reverse = (aln['flag'] & 0x10) != 0
+            mate_reverse = (aln['flag'] & 0x20) != 0
+            local = (aln['pos'], 'left') if reverse else (aln['end'], 'right')
+            partner = (aln['next_pos'], 'left') if mate_reverse else (aln['next_pos'] + len(aln['seq']), 'right')
+            evidence.append(('discordant', local, mate_chrom, partner))
+
+    return evidence
+
+def cluster_breakpoint_evidence(items, window=BREAKPOINT_CLUSTER_WINDOW, position='partner_pos'):
+    """
+    Single-linkage clusters of evidence by partner contig and position
+    items: dicts with 'partner_chrom' and the position key ('partner_pos', or 'local_pos' to
+    split a partner cluster by its local end)
+    """
+    clusters = []
+    by_chrom = {}
+    for item in items:
+        by_chrom.setdefault(item['partner_chrom'], []).append(item)
+    for chrom_items in by_chrom.values():
+        chrom_items.sort(key=lambda item: item[position])
+        current = [chrom_items[0]]
+        for item in chrom_items[1:]:
+            if item[position] - current[-1][position] <= window:
+                current.append(item)
+            else:
+                clusters.append(current)
+                current = [item]
+        clusters.append(current)
+    return clusters
 
-            # Keep this read
-            chrom_reads.append({
-                'pos': aln['pos'],
-                'seq': aln.get('seq', ''),
-                'qual': aln.get('qual', []),
-                'flag': aln['flag'],
-                'cigar': aln.get('cigar', [])
-            })
-            reads_kept += 1
+def consensus_breakpoint(items, key):
+    """
+    Junction of a cluster as a 1-based position of the last base kept on that side:
+    the most frequent split-read junction, or without split reads the junction-side extreme
+    of the discordant reads. Returns (position, precise)
+    """
+    to_one_based = lambda junction: junction[0] if junction[1] == 'right' else junction[0] + 1
+
+    split = [item[key] for item in items if item['kind'] == 'split']
+    if split:
+        counts = {}
+        for junction in split:
+            counts[junction] = counts.get(junction, 0) + 1
+        return to_one_based(max(counts.items(), key=lambda kv: (kv[1], -kv[0][0]))[0]), True
+
+    rights = [item[key][0] for item in items if item[key][1] == 'right']
+    lefts = [item[key][0] for item in items if item[key][1] == 'left']
+    if len(rights) >= len(lefts):
+        return max(rights), False
+    return min(lefts) + 1, False
+
+def catalog_gene_at(catalog, chrom, pos, padding):
+    """Catalogue gene (driver or partner) whose padded span holds a 1-based position"""
+    for gene in catalog.get('drivers', []) + catalog.get('partners', []):
+        if contig_aliases(gene['chrom']) & contig_aliases(chrom) and gene['start'] - padding <= pos <= gene['end'] + padding:
+            return gene['gene']
+    return None
+
+def transcript_position(model, chrom, pos):
+    """Gene, transcript and exon/intron of the representative transcript at a 1-based position"""
+    if model is None:
+        return {}
+    transcripts = [t for t in model.overlapping(chrom, pos, pos) if t.start <= pos <= t.end]
+    if not transcripts:
+        return {}
+    transcript = min(transcripts, key=lambda t: t.priority())
+    return {
+        'gene': transcript.gene,
+        'transcript': transcript.id,
+        'exon': transcript.exon_number(pos),
+        'intron': transcript.intron_number(pos)
+    }
 
-        print(f"  ✓ Scanned {reads_scanned:,} total reads")
-        print(f"  ✓ Using {len(chrom_reads):,} high-quality reads for {ref_name}")
+def call_fusions(bam_source, catalog, bai_bytes=None, min_support=3, min_mapping_quality=20,
+                 min_distance=MIN_DISCORDANT_DISTANCE, gene_model_source=None, gene_model_name=None):
+    """
+    Detect gene fusions of catalogue driver genes (ALK, ROS1, RET, NTRK1-3) from split reads
+    (SA tag) and discordant read pairs
 
-        if not chrom_reads:
-            print(f"  ⚠ No reads found for {ref_name}, skipping")
-            continue
+    Reads over each padded driver gene are scanned (with a BAI index only those regions are
+    read). Evidence pointing elsewhere in the genome is clustered by partner position; a
+    cluster with at least min_support fragments (split and discordant reads of one template
+    count once) is reported. Partners are named from the catalogue (known partners such as
+    EML4, KIF5B, CD74) or, with a gene model, from any overlapping transcript; exon / intron
+    numbers of both junctions also come from the gene model.
 
-        # Call variants for this chromosome
-        chrom_variants = call_variants_from_pileup(
-            chrom_reads,
-            ref_name,
-            ref_len,
-            min_depth,
-            min_base_quality,
-            min_variant_reads,
-            min_allele_freq
-        )
+    Breakpoints are exact when split reads support them (precise) and otherwise the
+    junction-side extreme of the discordant reads.
 
-        variants.extend(chrom_variants)
+    Args:
+        bam_source: BAM byte source
+        catalog: {'drivers': [{gene, chrom, start, end, strand, partners}], 'partners': [...], 'padding'}
+        bai_bytes: Optional BAI index data
+        min_support: Minimum supporting fragments per fusion
+        min_mapping_quality: Minimum mapping quality of evidence reads
+        min_distance: Minimum distance for a same-contig pair / split to count as structural
+        gene_model_source: Optional GTF/GFF3 byte source for partner genes and exon numbers
+        gene_model_name: Display name of the gene model
 
-        print(f"  ✓ Completed {ref_name}: {len(chrom_variants):,} variants found")
+    Returns:
+        {'fusions': [...], 'genes': [...], 'reads_scanned', 'parameters', ...}
+    """
+    bam_reader = SimpleBamReader(bam_source, bai_bytes)
+    bam_reader.read_header()
+    padding = catalog.get('padding', 0)
+    references = bam_reader.references
+
+    print(f"Fusion detection over {len(catalog.get('drivers', []))} driver genes (min support {min_support}, MAPQ >= {min_mapping_quality})")
+    if bam_reader.index is None:
+        print("⚠ No BAI index: every driver gene rescans the BAM from the start")
+
+    genes = []
+    evidence = []
+    reads_scanned = 0
+    for driver in catalog.get('drivers', []):
+        ref_name = resolve_contig_name(driver['chrom'], references)
+        gene_summary = {'gene': driver['gene'], 'chrom': driver['chrom'], 'start': driver['start'], 'end': driver['end'],
+                        'contig_found': ref_name is not None, 'reads': 0, 'split_reads': 0, 'discordant_reads': 0}
+        genes.append(gene_summary)
+        if ref_name is None:
+            print(f"  ⚠ {driver['gene']}: no contig {driver['chrom']} in the BAM")
+            continue
 
-        # CRITICAL: Release memory before processing next chromosome
-        chrom_reads = None
-        del chrom_reads
+        ref_id = references.index(ref_name)
+        start = max(0, driver['start'] - 1 - padding)
+        end = driver['end'] + padding
+        for aln in bam_reader.fetch(ref_name, start, end):
+            reads_scanned += 1
+            if aln['refID'] != ref_id or aln['is_unmapped'] or aln['is_duplicate'] or aln['is_secondary']:
+                continue
+            if aln['mapq'] < min_mapping_quality:
+                continue
+            gene_summary['reads'] += 1
 
-        # Force garbage collection (Python)
-        import gc
-        gc.collect()
+            for kind, local, partner_chrom, partner in structural_evidence(aln, ref_name, references, min_distance):
+                # Junctions must lie in the driver gene; partners inside the same gene are not fusions
+                if not (start <= local[0] <= end):
+                    continue
+                if partner_chrom == ref_name and start <= partner[0] <= end:
+                    continue
+                gene_summary['split_reads' if kind == 'split' else 'discordant_reads'] += 1
+                evidence.append({
+                    'driver': driver['gene'],
+                    'kind': kind,
+                    'qname': aln['qname'],
+                    'local': local,
+                    'partner': partner,
+                    'partner_chrom': partner_chrom,
+                    'partner_pos': partner[0]
+                })
 
-        print(f"  ✓ Memory released for {ref_name}")
+        print(f"  {driver['gene']}: {gene_summary['reads']:,} reads, {gene_summary['split_reads']} split, {gene_summary['discordant_reads']} discordant")
 
-    print("")
-    print(f"✓ Variant calling complete: {len(variants)} variants found across {total_chroms} chromosomes")
+    candidates = []
+    for driver in catalog.get('drivers', []):
+        driver_evidence = [item for item in evidence if item['driver'] == driver['gene']]
+        if not driver_evidence:
+            continue
+        ref_name = resolve_contig_name(driver['chrom'], references)
+        for cluster in cluster_breakpoint_evidence(driver_evidence):
+            split_fragments = {item['qname'] for item in cluster if item['kind'] == 'split'}
+            discordant_fragments = {item['qname'] for item in cluster if item['kind'] == 'discordant'}
+            fragments = split_fragments | discordant_fragments
+            if len(fragments) < min_support:
+                continue
 
-    # Sort variants by chromosome and position
-    variants.sort(key=lambda v: (v['chrom'], v['pos']))
+            driver_pos, precise = consensus_breakpoint(cluster, 'local')
+            partner_pos, partner_precise = consensus_breakpoint(cluster, 'partner')
+            candidates.append({
+                'driver': driver,
+                'driver_chrom': ref_name,
+                'driver_pos': driver_pos,
+                'partner_chrom': cluster[0]['partner_chrom'],
+                'partner_pos': partner_pos,
+                'precise': precise and partner_precise,
+                'split_reads': len(split_fragments),
+                'discordant_pairs': len(discordant_fragments - split_fragments),
+                'supporting_fragments': len(fragments)
+            })
+
+    model = None
+    if gene_model_source is not None and candidates:
+        sites = {}
+        for c in candidates:
+            sites.setdefault(c['driver_chrom'], []).append((c['driver_pos'], c['driver_pos']))
+            sites.setdefault(c['partner_chrom'], []).append((c['partner_pos'], c['partner_pos']))
+        model = GeneModel(gene_model_source, gene_model_name).load(sites)
+
+    fusions = []
+    for c in sorted(candidates, key=lambda c: -c['supporting_fragments']):
+        driver = c['driver']
+        driver_site = transcript_position(model, c['driver_chrom'], c['driver_pos'])
+        partner_site = transcript_position(model, c['partner_chrom'], c['partner_pos'])
+        partner_gene = catalog_gene_at(catalog, c['partner_chrom'], c['partner_pos'], padding) or partner_site.get('gene')
+        known = partner_gene in driver.get('partners', [])
+        name = f"{partner_gene or c['partner_chrom'] + ':' + format(c['partner_pos'], ',')}-{driver['gene']}"
+
+        fusions.append({
+            'id': f"{driver['gene']}_{c['partner_chrom']}_{c['partner_pos']}",
+            'name': name,
+            'driver': driver['gene'],
+            'partner': partner_gene,
+            'known': known,
+            'precise': c['precise'],
+            'driver_breakpoint': {'chrom': c['driver_chrom'], 'pos': c['driver_pos'], **driver_site, 'gene': driver['gene']},
+            'partner_breakpoint': {'chrom': c['partner_chrom'], 'pos': c['partner_pos'], **partner_site, 'gene': partner_gene},
+            'split_reads': c['split_reads'],
+            'discordant_pairs': c['discordant_pairs'],
+            'supporting_fragments': c['supporting_fragments']
+        })
+
+    print(f"✓ Fusion detection complete: {len(fusions)} candidate fusions ({sum(1 for f in fusions if f['known'])} with known partners)")
 
     return {
-        'variants': variants,
-        'total_variants': len(variants),
-        'filters': {
-            'min_depth': min_depth,
-            'min_base_quality': min_base_quality,
+        'fusions': fusions,
+        'genes': genes,
+        'reads_scanned': reads_scanned,
+        'parameters': {
+            'min_support': min_support,
             'min_mapping_quality': min_mapping_quality,
-            'min_variant_reads': min_variant_reads,
-            'min_allele_freq': min_allele_freq
+            'min_distance': min_distance,
+            'padding': padding
         },
-        'chromosomes_processed': [name for _, name, _ in target_refs]
+        'catalog': {'name': catalog.get('name'), 'version': catalog.get('version'), 'genome_build': catalog.get('genome_build')},
+        'gene_model': gene_model_name if model is not None else None,
+        'indexed': bam_reader.index is not None,
+        'sample_name': bam_reader.sample_name
     }
 
-def call_variants_from_pileup(reads, chrom_name, chrom_len, min_depth, min_base_quality, min_variant_reads, min_allele_freq):
+# Structural variant calling: evidence is gathered during the coverage pass, then clustered
+MIN_SV_SIZE = 1000
+MAX_INSERT_SAMPLE = 200000
+SV_JUNCTION_CT = {('right', 'left'): '3to5', ('left', 'right'): '5to3', ('right', 'right'): '3to3', ('left', 'left'): '5to5'}
+
+class StructuralVariantCollector:
+    """
+    Collects split-read and discordant-pair evidence while the BAM is streamed once for
+    coverage, then clusters it into DEL / DUP / INV / BND calls
+
+    Each item is stored with its lower junction (contig order, then position) as the local
+    end, so a fragment seen from both of its ends falls into the same cluster and counts once.
+    Discordant pairs are kept from min_size on and filtered against the insert-size
+    distribution of proper pairs once the scan is done.
+    """
+
+    def __init__(self, min_mapping_quality=20, min_size=MIN_SV_SIZE):
+        self.references = []
+        self.order = {}
+        self.min_mapping_quality = min_mapping_quality
+        self.min_size = min_size
+        self.items = []
+        self.insert_sizes = []
+        self.reads = 0
+
+    def set_references(self, references):
+        """BAM reference names (known once the header is read)"""
+        self.references = references
+        self.order = {name: i for i, name in enumerate(references)}
+
+    def add(self, aln, ref_name):
+        """Record the structural evidence of one primary / supplementary alignment"""
+        if aln['mapq'] < self.min_mapping_quality:
+            return
+        self.reads += 1
+
+        # One insert size per proper pair (the leftmost mate carries the positive TLEN)
+        if aln['flag'] & 0x2 and aln['tlen'] > 0 and len(self.insert_sizes) < MAX_INSERT_SAMPLE:
+            self.insert_sizes.append(aln['tlen'])
+
+        for kind, local, partner_chrom, partner in structural_evidence(aln, ref_name, self.references, self.min_size):
+            chrom = ref_name
+            if (self.order.get(partner_chrom, -1), partner[0]) < (self.order.get(chrom, -1), local[0]):
+                chrom, local, partner_chrom, partner = partner_chrom, partner, chrom, local
+            self.items.append({
+                'kind': kind,
+                'qname': aln['qname'],
+                'chrom': chrom,
+                'local': local,
+                'partner': partner,
+                'partner_chrom': partner_chrom,
+                'partner_pos': partner[0],
+                'local_pos': local[0],
+                'span': abs(aln['next_pos'] - aln['pos']) if kind == 'discordant' and aln['next_ref_id'] == aln['refID'] else None
+            })
+
+    def insert_size_stats(self):
+        """Median and MAD of proper-pair insert sizes; discordant same-contig pairs must exceed the cutoff"""
+        if not self.insert_sizes:
+            return {'median': None, 'mad': None, 'cutoff': self.min_size, 'pairs': 0}
+        median = float(np.median(self.insert_sizes))
+        mad = float(np.median([abs(size - median) for size in self.insert_sizes]))
+        return {
+            'median': median,
+            'mad': mad,
+            'cutoff': max(self.min_size, int(median + 6 * 1.4826 * mad)),
+            'pairs': len(self.insert_sizes)
+        }
+
+    def call(self, min_support=3):
+        """
+        Cluster the evidence into breakpoint calls with SVTYPE, END and support counts
+        Positions are 1-based; POS is the base before the event, END its last base (VCF style)
+        """
+        insert = self.insert_size_stats()
+        items = [
+            item for item in self.items
+            if item['span'] is None or item['span'] >= insert['cutoff']
+        ]
+
+        groups = {}
+        for item in items:
+            key = (item['chrom'], item['partner_chrom'], item['local'][1], item['partner'][1])
+            groups.setdefault(key, []).append(item)
+
+        calls = []
+        for (chrom, partner_chrom, local_side, partner_side), group in groups.items():
+            for partner_cluster in cluster_breakpoint_evidence(group):
+                for cluster in cluster_breakpoint_evidence(partner_cluster, position='local_pos'):
+                    split_fragments = {item['qname'] for item in cluster if item['kind'] == 'split'}
+                    discordant_fragments = {item['qname'] for item in cluster if item['kind'] == 'discordant'}
+                    fragments = split_fragments | discordant_fragments
+                    if len(fragments) < min_support:
+                        continue
+
+                    local_pos, local_precise = consensus_breakpoint(cluster, 'local')
+                    partner_pos, partner_precise = consensus_breakpoint(cluster, 'partner')
+                    call = sv_call_from_junction(chrom, local_pos, local_side, partner_chrom, partner_pos, partner_side)
+                    if call['svtype'] != 'BND' and call['end'] - call['pos'] < self.min_size:
+                        continue
+
+                    precise = local_precise and partner_precise
+                    if not precise:
+                        # Without split reads the junction lies within one insert beyond the reads
+                        margin = int(insert['median'] or self.min_size)
+                        call['cipos'] = [0, margin] if local_side == 'right' else [-margin, 0]
+                        call['ciend'] = [0, margin] if partner_side == 'right' else [-margin, 0]
+                    call.update({
+                        'precise': precise,
+                        'split_reads': len(split_fragments),
+                        'discordant_pairs': len(discordant_fragments - split_fragments),
+                        'supporting_fragments': len(fragments)
+                    })
+                    calls.append(call)
+
+        calls.sort(key=lambda c: (self.order.get(c['chrom'], len(self.order)), c['pos']))
+        print(f"✓ Structural variants: {len(calls)} calls from {len(items):,} evidence reads (insert cutoff {insert['cutoff']} bp)")
+        return calls, {
+            'evidence_reads': len(items),
+            'reads_checked': self.reads,
+            'insert_size': insert,
+            'parameters': {
+                'min_support': min_support,
+                'min_mapping_quality': self.min_mapping_quality,
+                'min_size': self.min_size
+            }
+        }
+
+def sv_call_from_junction(chrom, local_pos, local_side, partner_chrom, partner_pos, partner_side):
+    """
+    SVTYPE, POS and END of a junction between the 1-based last kept bases on either side
+    (local is the lower end). Different contigs give a BND; on one contig the sides decide:
+    3to5 deletion, 5to3 tandem duplication, 3to3 / 5to5 the two ends of an inversion
+    """
+    ct = SV_JUNCTION_CT[(local_side, partner_side)]
+    call = {
+        'chrom': chrom,
+        'ct': ct,
+        'mate_chrom': partner_chrom,
+        'mate_pos': partner_pos
+    }
+
+    if partner_chrom != chrom:
+        call.update({'svtype': 'BND', 'pos': local_pos, 'end': None, 'svlen': None})
+    elif ct == '3to5':
+        call.update({'svtype': 'DEL', 'pos': local_pos, 'end': partner_pos - 1})
+        call['svlen'] = call['pos'] - call['end']
+    elif ct == '5to3':
+        call.update({'svtype': 'DUP', 'pos': local_pos - 1, 'end': partner_pos})
+        call['svlen'] = call['end'] - call['pos']
+    else:
+        pos = local_pos if ct == '3to3' else local_pos - 1
+        end = partner_pos if ct == '3to3' else partner_pos - 1
+        call.update({'svtype': 'INV', 'pos': pos, 'end': end, 'svlen': end - pos})
+
+    call['id'] = f"{call['svtype']}_{chrom}_{call['pos']}" + (f"_{partner_chrom}_{partner_pos}" if call['svtype'] == 'BND' else f"_{call['end']}")
+    return call
+
+# B-allele fractions: allele counts at heterozygous SNPs, gathered in the coverage pass
+BAF_MIN_DEPTH = 10
+BAF_MIN_MINOR_FRACTION = 0.1   # second allele share needed to treat a site as heterozygous
+BAF_MIN_MINOR_READS = 3
+BAF_FLUSH_INTERVAL = 1000      # sample mode: bp the stream advances between pileup flushes
+
+class AlleleFractionCollector:
+    """
+    Counts the two alleles of heterozygous SNPs while the BAM is streamed once for coverage
+
+    With a site list ({chrom: {'pos': [1-based], 'alleles': 'RARA...'}}, ref/alt pairs per site)
+    only those positions are counted. Without one, het sites are discovered from the sample:
+    a rolling pileup of every aligned base is flushed behind the stream, which needs a
+    coordinate-sorted BAM and costs a full pileup (panels, exomes and regions rather than WGS).
+
+    Sites count as heterozygous when the minor allele holds BAF_MIN_MINOR_FRACTION of the
+    reads, so tumor-only LOH at very high purity reads as homozygous and drops out.
+    """
+
+    def __init__(self, sites=None, min_mapping_quality=20, min_base_quality=20, min_depth=BAF_MIN_DEPTH):
+        self.catalog = sites
+        self.mode = 'sites' if sites is not None else 'sample'
+        self.min_mapping_quality = min_mapping_quality
+        self.min_base_quality = min_base_quality
+        self.min_depth = min_depth
+        self.sites = {}
+        self.counts = {}
+        self.snps = []
+        self.reads = 0
+        self.unsorted = False
+        self.pileup = {}
+        self.pileup_chrom = None
+        self.seen_chroms = set()
+        self.last_pos = -1
+        self.last_flush = 0
+
+    def set_references(self, references):
+        """Key the site list by BAM reference names (with or without the 'chr' prefix)"""
+        if self.catalog is None:
+            return
+        for ref_name in references:
+            name = resolve_contig_name(ref_name, self.catalog)
+            if name is None:
+                continue
+            entry = self.catalog[name]
+            alleles = entry['alleles']
+            by_pos = {pos - 1: (alleles[2 * i], alleles[2 * i + 1]) for i, pos in enumerate(entry['pos'])}
+            self.sites[ref_name] = (sorted(by_pos), by_pos)
+
+    def site_count(self):
+        return sum(len(positions) for positions, _ in self.sites.values())
+
+    def add(self, aln, ref_name):
+        """Count the bases of one counted alignment at the SNP positions it covers"""
+        if aln['mapq'] < self.min_mapping_quality or aln['is_supplementary'] or not aln['seq']:
+            return
+        if self.mode == 'sites':
+            self.add_at_sites(aln, ref_name)
+        elif not self.unsorted:
+            self.add_to_pileup(aln, ref_name)
+
+    def aligned_bases(self, aln, first=None, last=None):
+        """(0-based ref position, base) of aligned bases passing the base-quality filter"""
+        seq = aln['seq']
+        qual = aln['qual']
+        for op, read_offset, ref_pos, length in cigar_blocks(aln['pos'], aln['cigar'] or [('M', len(seq))]):
+            if op not in ('M', '=', 'X'):
+                continue
+            start = ref_pos if first is None else max(ref_pos, first)
+            end = ref_pos + length if last is None else min(ref_pos + length, last)
+            for pos in range(start, end):
+                i = read_offset + pos - ref_pos
+                if i >= len(seq):
+                    break
+                if qual and i < len(qual) and qual[i] < self.min_base_quality:
+                    continue
+                yield pos, seq[i]
+
+    def add_at_sites(self, aln, ref_name):
+        site = self.sites.get(ref_name)
+        if site is None:
+            return
+        positions, alleles = site
+        i = bisect.bisect_left(positions, aln['pos'])
+        if i >= len(positions) or positions[i] >= aln['end']:
+            return
+        self.reads += 1
+        covered = set(positions[i:bisect.bisect_left(positions, aln['end'])])
+        counts = self.counts.setdefault(ref_name, {})
+        for pos, base in self.aligned_bases(aln, positions[i], aln['end']):
+            if pos not in covered:
+                continue
+            ref, alt = alleles[pos]
+            entry = counts.setdefault(pos, [0, 0])
+            if base == ref:
+                entry[0] += 1
+            elif base == alt:
+                entry[1] += 1
+
+    def add_to_pileup(self, aln, ref_name):
+        if ref_name != self.pileup_chrom and ref_name not in self.seen_chroms:
+            self.flush(None)
+            self.pileup_chrom = ref_name
+            self.seen_chroms.add(ref_name)
+            self.last_pos = -1
+            self.last_flush = aln['pos']
+        elif ref_name != self.pileup_chrom or aln['pos'] < self.last_pos:
+            print("⚠️ BAM is not coordinate-sorted; sample-derived B-allele fractions skipped")
+            self.unsorted = True
+            self.pileup = {}
+            self.snps = []
+            return
+        self.last_pos = aln['pos']
+        self.reads += 1
+
+        if aln['pos'] - self.last_flush >= BAF_FLUSH_INTERVAL:
+            self.flush(aln['pos'])
+            self.last_flush = aln['pos']
+
+        for pos, base in self.aligned_bases(aln):
+            if base not in 'ACGT':
+                continue
+            counts = self.pileup.get(pos)
+            if counts is None:
+                counts = self.pileup[pos] = {}
+            counts[base] = counts.get(base, 0) + 1
+
+    def flush(self, before):
+        """Test the piled-up positions left of 'before' (all when None) for heterozygosity"""
+        done = [pos for pos in self.pileup if before is None or pos < before]
+        for pos in sorted(done):
+            counts = self.pileup.pop(pos)
+            if len(counts) < 2:
+                continue
+            ranked = sorted(counts.items(), key=lambda kv: -kv[1])
+            (major, major_count), (minor, minor_count) = ranked[0], ranked[1]
+            depth = major_count + minor_count
+            if depth < self.min_depth or minor_count < BAF_MIN_MINOR_READS or minor_count < BAF_MIN_MINOR_FRACTION * depth:
+                continue
+            # The allele order is arbitrary without a reference; BAF is read mirrored downstream
+            self.snps.append({
+                'chrom': self.pileup_chrom,
+                'pos': pos + 1,
+                'ref': major,
+                'alt': minor,
+                'depth': depth,
+                'baf': minor_count / depth
+            })
+
+    def call(self):
+        """Heterozygous SNPs [{chrom, pos (1-based), ref, alt, depth, baf}] and a summary"""
+        if self.mode == 'sites':
+            snps = []
+            for ref_name, counts in self.counts.items():
+                alleles = self.sites[ref_name][1]
+                for pos in sorted(counts):
+                    ref_count, alt_count = counts[pos]
+                    depth = ref_count + alt_count
+                    if depth < self.min_depth or min(ref_count, alt_count) < max(BAF_MIN_MINOR_READS, BAF_MIN_MINOR_FRACTION * depth):
+                        continue
+                    ref, alt = alleles[pos]
+                    snps.append({'chrom': ref_name, 'pos': pos + 1, 'ref': ref, 'alt': alt, 'depth': depth, 'baf': alt_count / depth})
+            covered = sum(1 for counts in self.counts.values() for c in counts.values() if sum(c) >= self.min_depth)
+        else:
+            self.flush(None)
+            snps = [] if self.unsorted else self.snps
+            covered = None
+
+        print(f"✓ B-allele fractions: {len(snps):,} heterozygous SNPs ({self.mode})")
+        return snps, {
+            'mode': self.mode,
+            'sites_in_list': self.site_count() if self.mode == 'sites' else None,
+            'sites_covered': covered,
+            'het_snps': len(snps),
+            'reads': self.reads,
+            'unsorted': self.unsorted,
+            'parameters': {
+                'min_depth': self.min_depth,
+                'min_mapping_quality': self.min_mapping_quality,
+                'min_base_quality': self.min_base_quality,
+                'min_minor_fraction': BAF_MIN_MINOR_FRACTION
+            }
+        }
+
+# Microsatellite instability: repeat lengths at catalogue loci, measured in reads that span the
+# repeat with aligned flanks on both sides
+MSI_MIN_READS = 20
+MSI_FLANK = 5                 # aligned read bases required on each side of the repeat
+MSI_SEARCH_WINDOW = 50        # with a reference, catalogue coordinates snap to the repeat within this distance
+MSI_MIN_REPEAT_PURITY = 0.8   # share of the measured bases that must belong to the repeat unit
+MSI_MIN_SHIFT_BASES = 3       # a read allele this far from every expected allele is shifted
+MSI_NORMAL_ALLELE_FRACTION = 0.2
+MSI_UNPAIRED_SHIFT_FRACTION = 0.2
+MSI_PAIRED_P_VALUE = 0.01
+MSI_PAIRED_MIN_SHIFT_DIFFERENCE = 0.1
+
+def repeat_motifs(unit):
+    """All rotations of a repeat unit and of its reverse complement (AC == CA == GT == TG)"""
+    motifs = set()
+    for seq in (unit.upper(), reverse_complement(unit.upper())):
+        for i in range(len(seq)):
+            motifs.add(seq[i:] + seq[:i])
+    return motifs
+
+def repeat_purity(seq, unit):
+    """Share of bases in seq covered by a run of the repeat unit (any phase or strand)"""
+    k = len(unit)
+    if len(seq) < k:
+        return 0.0
+    motifs = repeat_motifs(unit)
+    covered = [False] * len(seq)
+    for i in range(len(seq) - k + 1):
+        if seq[i:i + k] in motifs:
+            for j in range(i, i + k):
+                covered[j] = True
+    return sum(covered) / len(seq)
+
+def find_reference_repeat(reference, chrom, start0, end0, unit, window=MSI_SEARCH_WINDOW):
+    """
+    Repeat run of the unit in the reference nearest to a catalogue interval (0-based, half-open)
+    Returns (start0, end0) of the run, or None when no run of at least half the catalogue length is near
+    """
+    offset = max(0, start0 - window)
+    seq = reference.fetch(chrom, offset, end0 + window)
+    if not seq:
+        return None
+
+    k = len(unit)
+    motifs = repeat_motifs(unit)
+    min_length = max(2 * k, (end0 - start0) // 2)
+    best = None
+    i = 0
+    while i <= len(seq) - k:
+        motif = seq[i:i + k]
+        if motif not in motifs:
+            i += 1
+            continue
+        j = i + k
+        while seq[j:j + k] == motif:
+            j += k
+        # Trailing bases that continue the period (e.g. AAAAA in an 'A' unit is whole already)
+        while j < len(seq) and seq[j] == seq[j - k]:
+            j += 1
+        if j - i >= min_length:
+            run = (offset + i, offset + j)
+            distance = abs(run[0] - start0)
+            if best is None or distance < best[0] or (distance == best[0] and run[1] - run[0] > best[1][1] - best[1][0]):
+                best = (distance, run)
+        i = j
+    return best[1] if best else None
+
+def read_repeat_allele(aln, start0, end0, flank=MSI_FLANK):
+    """
+    Read bases between the aligned flanks of [start0, end0): the allele length the read reports
+    Returns the read sequence of the repeat, or None unless both flanks are aligned in full
+    """
+    aligned = {}  # reference position -> read offset over both flanks
+    for op, read_offset, ref_pos, length in cigar_blocks(aln['pos'], aln['cigar']):
+        if op not in 'M=X':
+            continue
+        for p in range(max(ref_pos, start0 - flank), min(ref_pos + length, start0)):
+            aligned[p] = read_offset + (p - ref_pos)
+        for p in range(max(ref_pos, end0), min(ref_pos + length, end0 + flank)):
+            aligned[p] = read_offset + (p - ref_pos)
+
+    if any(p not in aligned for p in range(start0 - flank, start0)) or any(p not in aligned for p in range(end0, end0 + flank)):
+        return None
+    left_anchor = aligned[start0 - 1]  # last flank base before the repeat
+    right_anchor = aligned[end0]       # first flank base after it
+    if right_anchor <= left_anchor:
+        return None
+    return aln['seq'][left_anchor + 1:right_anchor]
+
+def collect_repeat_lengths(bam_reader, ref_name, loci, min_mapping_quality):
+    """
+    Allele length histograms ({length: reads}) per locus on one contig, plus reads whose
+    bases between the flanks are not the repeat (a sign the coordinates are off)
+    Each locus is fetched on its own with an index; without one the contig is streamed once
+    """
+    ref_id = bam_reader.references.index(ref_name)
+    counts = {locus['id']: {} for locus in loci}
+    off_repeat = {locus['id']: 0 for locus in loci}
+
+    def add(aln, locus):
+        allele = read_repeat_allele(aln, locus['start0'], locus['end0'])
+        if allele is None:
+            return
+        if len(allele) and repeat_purity(allele, locus['unit']) < MSI_MIN_REPEAT_PURITY:
+            off_repeat[locus['id']] += 1
+            return
+        histogram = counts[locus['id']]
+        histogram[len(allele)] = histogram.get(len(allele), 0) + 1
+
+    def passes(aln):
+        return (aln['refID'] == ref_id and not aln['is_unmapped'] and not aln['is_duplicate']
+                and not aln['is_secondary'] and not aln['is_supplementary'] and aln['mapq'] >= min_mapping_quality)
+
+    if bam_reader.index is not None:
+        for locus in loci:
+            for aln in bam_reader.fetch(ref_name, locus['start0'] - MSI_FLANK, locus['end0'] + MSI_FLANK):
+                if passes(aln):
+                    add(aln, locus)
+    else:
+        span_start = min(l['start0'] for l in loci) - MSI_FLANK
+        span_end = max(l['end0'] for l in loci) + MSI_FLANK
+        for aln in bam_reader.fetch(ref_name, span_start, span_end):
+            if not passes(aln):
+                continue
+            for locus in loci:
+                if aln['pos'] <= locus['start0'] - MSI_FLANK and aln['end'] >= locus['end0'] + MSI_FLANK:
+                    add(aln, locus)
+
+    return counts, off_repeat
+
+def shifted_reads(histogram, alleles, min_shift=MSI_MIN_SHIFT_BASES):
+    """Reads whose allele is at least min_shift bases from every expected allele"""
+    return sum(n for length, n in histogram.items() if all(abs(length - a) >= min_shift for a in alleles))
+
+def score_msi(tumor_source, catalog, bai_bytes=None, normal_source=None, normal_bai_bytes=None, reference=None,
+              min_reads=MSI_MIN_READS, min_mapping_quality=20):
+    """
+    Score microsatellite instability over the catalogue loci
+
+    Each read spanning a repeat with MSI_FLANK aligned bases on either side reports the number
+    of read bases between the flanks, so insertions and deletions anywhere in the repeat count.
+    With a reference the catalogue coordinates are snapped to the repeat run nearby (loci
+    without one are dropped); without one, loci whose reads mostly lack the repeat are dropped.
+
+    Paired: a locus is unstable when the tumor has significantly more reads shifted away from
+    the normal's alleles (Fisher's exact test) and at least 10% more of them.
+    Unpaired: only mononucleotide loci (quasi-monomorphic in the population) are scored; a locus
+    is unstable when at least 20% of tumor reads are shifted from the reference length.
+
+    The sample is MSI-H when the unstable share of evaluable loci reaches the catalogue's
+    msi_high_percent, MSS below it, and indeterminate with fewer than min_evaluable_loci.
+
+    Args:
+        tumor_source: Tumor BAM byte source
+        catalog: {'loci': [{id, chrom, start, end (1-based), unit, gene, type}], 'msi_high_percent', 'min_evaluable_loci', 'capture_note', ...}
+        bai_bytes: Optional tumor BAI index data
+        normal_source: Optional matched normal BAM byte source
+        normal_bai_bytes: Optional normal BAI index data
+        reference: Optional FastaReference used to verify and snap the loci
+        min_reads: Spanning reads needed per locus (in each sample)
+        min_mapping_quality: Minimum mapping quality of counted reads
+
+    Returns:
+        {'status', 'score', 'model', 'unstable_loci', 'evaluable_loci', 'covered_loci', 'withheld_reason',
+         'loci': [...], 'parameters', ...}
+    """
+    paired = normal_source is not None
+    tumor_reader = SimpleBamReader(as_byte_source(tumor_source), bai_bytes)
+    tumor_reader.read_header()
+    normal_reader = None
+    if paired:
+        normal_reader = SimpleBamReader(as_byte_source(normal_source), normal_bai_bytes)
+        normal_reader.read_header()
+
+    print(f"MSI scoring over {len(catalog.get('loci', []))} loci ({'paired' if paired else 'unpaired'} model)")
+
+    loci = []
+    for entry in catalog.get('loci', []):
+        locus = dict(entry)
+        locus['unit'] = entry['unit'].upper()
+        locus['start0'] = entry['start'] - 1
+        locus['end0'] = entry['end']
+        locus['reference_check'] = 'unverified'
+        if reference is not None:
+            run = find_reference_repeat(reference, entry['chrom'], locus['start0'], locus['end0'], locus['unit'])
+            locus['reference_check'] = 'verified' if run else 'not_found'
+            if run:
+                locus['start0'], locus['end0'] = run
+        loci.append(locus)
+
+    def histograms(reader):
+        by_contig = {}
+        for locus in loci:
+            if locus['reference_check'] == 'not_found':
+                continue
+            ref_name = resolve_contig_name(locus['chrom'], reader.references)
+            if ref_name is not None:
+                by_contig.setdefault(ref_name, []).append(locus)
+        counts, off_repeat = {}, {}
+        for ref_name, contig_loci in by_contig.items():
+            c, o = collect_repeat_lengths(reader, ref_name, contig_loci, min_mapping_quality)
+            counts.update(c)
+            off_repeat.update(o)
+        return counts, off_repeat
+
+    tumor_counts, tumor_off = histograms(tumor_reader)
+    normal_counts, normal_off = histograms(normal_reader) if paired else ({}, {})
+
+    results = []
+    for locus in loci:
+        reference_length = locus['end0'] - locus['start0']
+        tumor = tumor_counts.get(locus['id'], {})
+        normal = normal_counts.get(locus['id'], {})
+        tumor_reads = sum(tumor.values())
+        normal_reads = sum(normal.values())
+        entry = {
+            'id': locus['id'],
+            'name': locus.get('name', locus['id']),
+            'gene': locus.get('gene'),
+            'chrom': locus['chrom'],
+            'start': locus['start0'] + 1,
+            'end': locus['end0'],
+            'unit': locus['unit'],
+            'type': locus.get('type'),
+            'reference_length': reference_length,
+            'reference_check': locus['reference_check'],
+            'tumor_reads': tumor_reads,
+            'tumor_lengths': {str(k): v for k, v in sorted(tumor.items())},
+            'tumor_mode': max(tumor.items(), key=lambda kv: kv[1])[0] if tumor else None,
+            'normal_reads': normal_reads if paired else None,
+            'normal_lengths': {str(k): v for k, v in sorted(normal.items())} if paired else None,
+            'normal_mode': (max(normal.items(), key=lambda kv: kv[1])[0] if normal else None) if paired else None,
+            'tumor_shifted_fraction': None,
+            'normal_shifted_fraction': None,
+            'p_value': None
+        }
+
+        entry['reason'] = None
+        if locus['reference_check'] == 'not_found':
+            entry['status'] = 'not_in_reference'
+            entry['reason'] = 'repeat not found at the catalogue position in the reference'
+        elif tumor_off.get(locus['id'], 0) > tumor_reads:
+            entry['status'] = 'repeat_not_found'
+            entry['reason'] = 'most spanning reads do not carry the repeat (check coordinates and genome build)'
+        elif not paired and locus.get('type') != 'mononucleotide':
+            entry['status'] = 'needs_normal'
+            entry['reason'] = 'non-mononucleotide loci need a matched normal'
+        elif tumor_reads < min_reads or (paired and normal_reads < min_reads):
+            entry['status'] = 'low_coverage'
+            if tumor_reads == 0 and (not paired or normal_reads == 0):
+                entry['reason'] = 'no reads span the repeat (likely outside the capture)'
+            elif tumor_reads < min_reads:
+                entry['reason'] = f"{tumor_reads} tumor reads span the repeat (< {min_reads})"
+            else:
+                entry['reason'] = f"{normal_reads} normal reads span the repeat (< {min_reads})"
+        elif paired:
+            # Expected alleles: every length carried by a fair share of the normal reads
+            alleles = [length for length, n in normal.items() if n >= MSI_NORMAL_ALLELE_FRACTION * normal_reads]
+            t_shift = shifted_reads(tumor, alleles)
+            n_shift = shifted_reads(normal, alleles)
+            entry['tumor_shifted_fraction'] = t_shift / tumor_reads
+            entry['normal_shifted_fraction'] = n_shift / normal_reads
+            entry['p_value'] = fisher_exact_two_sided(t_shift, tumor_reads - t_shift, n_shift, normal_reads - n_shift)
+            unstable = (entry['p_value'] < MSI_PAIRED_P_VALUE and
+                        entry['tumor_shifted_fraction'] - entry['normal_shifted_fraction'] >= MSI_PAIRED_MIN_SHIFT_DIFFERENCE)
+            entry['status'] = 'unstable' if unstable else 'stable'
+        else:
+            t_shift = shifted_reads(tumor, [reference_length])
+            entry['tumor_shifted_fraction'] = t_shift / tumor_reads
+            entry['status'] = 'unstable' if entry['tumor_shifted_fraction'] >= MSI_UNPAIRED_SHIFT_FRACTION else 'stable'
+
+        results.append(entry)
+
+    evaluable = [l for l in results if l['status'] in ('stable', 'unstable')]
+    unstable = [l for l in evaluable if l['status'] == 'unstable']
+    threshold = catalog.get('msi_high_percent', 30)
+    min_evaluable = catalog.get('min_evaluable_loci', 3)
+    score = 100.0 * len(unstable) / len(evaluable) if evaluable else None
+    covered = [l['id'] for l in results if l['tumor_reads'] > 0]
+    withheld_reason = None
+    if len(evaluable) < min_evaluable:
+        status = 'indeterminate'
+        # Say which loci fell out and why, so "no score" is not read as MSS
+        withheld_reason = (f"{len(evaluable)} of {len(results)} loci evaluable, {min_evaluable} needed; " +
+                           '; '.join(f"{l['name']}: {l['reason']}" for l in results if l['reason']))
+        if len(covered) < min_evaluable and catalog.get('capture_note'):
+            withheld_reason += '. ' + catalog['capture_note']
+    else:
+        status = 'MSI-H' if score >= threshold else 'MSS'
+
+    print(f"✓ MSI: {status}" + (f" ({len(unstable)}/{len(evaluable)} loci unstable, {score:.1f}%)" if score is not None else " (no evaluable loci)"))
+    if withheld_reason:
+        print(f"   Score withheld: {withheld_reason}")
+
+    return {
+        'status': status,
+        'score': score,
+        'model': 'paired' if paired else 'unpaired',
+        'unstable_loci': len(unstable),
+        'evaluable_loci': len(evaluable),
+        'covered_loci': covered,
+        'withheld_reason': withheld_reason,
+        'loci': results,
+        'parameters': {
+            'min_reads': min_reads,
+            'min_mapping_quality': min_mapping_quality,
+            'flank': MSI_FLANK,
+            'min_shift_bases': MSI_MIN_SHIFT_BASES,
+            'msi_high_percent': threshold,
+            'min_evaluable_loci': min_evaluable
+        },
+        'catalog': {'name': catalog.get('name'), 'version': catalog.get('version'), 'genome_build': catalog.get('genome_build')},
+        'reference': reference.name if reference is not None else None,
+        'sample_name': tumor_reader.sample_name,
+        'normal_sample_name': normal_reader.sample_name if paired else None
+    }
+
+def call_variants_from_bam(bam_source, chromosomes=None, min_depth=10, min_base_quality=20, min_mapping_quality=20, min_variant_reads=3, min_allele_freq=0.05,
+                           bai_bytes=None, region=None, reference=None,
+                           normal_source=None, normal_bai_bytes=None, min_normal_depth=8, somatic_p_value=0.05,
+                           targets=None):
+    """
+    OPTIMIZED: Call variants one chromosome at a time to minimize memory usage
+
+    Trade-off: Slower (must re-read BAM for each chromosome) but uses 80% less memory
+    Critical for large files (20-50GB) that would otherwise exceed browser memory limits
+
+    Paired mode (normal_source given): candidates are called in both tumor and normal,
+    every site is re-counted in both samples and classified as somatic / germline / loh
+    (see classify_somatic_status). Both samples' reads for one chromosome are held at once.
+
+    With targets (exome / panel BED), only positions inside the padded targets are called,
+    chromosomes without targets are skipped and each scan is limited to the target span.
+
+    Args:
+        bam_source: BAM byte source (BlobSource streamed from a File, or raw bytes)
+        chromosomes: List of chromosomes to process (None = all)
+        min_depth: Minimum read depth at position
+        min_base_quality: Minimum base quality score (Phred)
+        min_mapping_quality: Minimum mapping quality
+        min_variant_reads: Minimum number of reads supporting variant
+        min_allele_freq: Minimum variant allele frequency (0-1)
+        bai_bytes: Optional BAI index data (seek to each chromosome instead of rescanning)
+        region: Optional region string ('chr7' or 'chr7:55019017-55211628')
+        reference: Optional FastaReference used for REF alleles (otherwise the majority base)
+        normal_source: Optional matched-normal BAM byte source (enables paired mode)
+        normal_bai_bytes: Optional BAI index data for the normal BAM
+        min_normal_depth: Minimum normal depth needed to classify a site
+        somatic_p_value: Fisher's exact test threshold for somatic / LOH calls
+        targets: Optional TargetRegions restricting calls to padded BED intervals
+
+    Returns:
+        Dictionary with variants array and metadata
+    """
+    print(f"Starting variant calling with filters:")
+    print(f"  Min depth: {min_depth}")
+    print(f"  Min base quality: {min_base_quality}")
+    print(f"  Min mapping quality: {min_mapping_quality}")
+    print(f"  Min variant reads: {min_variant_reads}")
+    print(f"  Min allele frequency: {min_allele_freq}")
+
+    # Create BAM reader
+    bam_reader = SimpleBamReader(bam_source, bai_bytes)
+    bam_reader.read_header()
+
+    normal_reader = None
+    if normal_source is not None:
+        print(f"Paired tumor-normal mode (min normal depth {min_normal_depth}, p < {somatic_p_value})")
+        normal_reader = SimpleBamReader(normal_source, normal_bai_bytes)
+        normal_reader.read_header()
+
+    # Build chromosome filter (a region overrides the chromosome list)
+    parsed_region = parse_region(region)
+    chrom_filter = None
+    if parsed_region:
+        chrom_filter = {parsed_region[0]}
+        print(f"Processing region: {region}")
+    elif chromosomes:
+        chrom_filter = set(chromosomes)
+        print(f"Processing chromosomes: {', '.join(chromosomes)}")
+
+    # Filter references
+    target_refs = []
+    for i, (ref_name, ref_len) in enumerate(zip(bam_reader.references, bam_reader.reference_lengths)):
+        if chrom_filter and ref_name not in chrom_filter:
+            continue
+        if targets is not None and targets.resolve(ref_name) is None:
+            continue
+        target_refs.append((i, ref_name, ref_len))
+
+    if targets is not None:
+        summary = targets.summary()
+        print(f"Restricting calls to {summary['intervals']:,} target intervals ({summary['bases']:,} bp, {summary['padding']} bp padding)")
+
+    if bam_reader.index is not None:
+        print("Using BAI index: seeking to each chromosome instead of rescanning the BAM")
+
+    if reference is not None:
+        missing = [name for _, name, _ in target_refs if reference.resolve(name) is None]
+        if missing:
+            print(f"⚠ Reference FASTA has no sequence for: {', '.join(missing[:10])} - REF falls back to the majority base")
+    else:
+        print("⚠ No reference FASTA loaded - REF alleles use the majority base at each position")
+
+    print(f"Processing {len(target_refs)} chromosomes/contigs")
+    print("")
+    print("OPTIMIZATION: Processing one chromosome at a time to minimize memory usage")
+    print(f"Expected memory usage: ~500-1000 MB (vs ~{len(target_refs) * 300} MB for all-at-once)")
+    print("")
+
+    # OPTIMIZATION: Process one chromosome at a time
+    variants = []
+    callable_counts = {}
+    phasing = {'phase_sets': 0, 'phased': 0, 'conflicts': 0}
+    total_chroms = len(target_refs)
+
+    for chrom_idx, (ref_id, ref_name, ref_len) in enumerate(target_refs, 1):
+        print("")
+        print(f"[{chrom_idx}/{total_chroms}] Processing {ref_name} ({ref_len:,} bp)...")
+
+        region_start = parsed_region[1] if parsed_region else 0
+        region_end = min(parsed_region[2] or ref_len, ref_len) if parsed_region else ref_len
+
+        # Only the span between the first and last target needs to be read
+        if targets is not None:
+            span_start, span_end = targets.span(ref_name)
+            region_start, region_end = max(region_start, span_start), min(region_end, span_end)
+            if region_start >= region_end:
+                print(f"  No targets inside the requested region on {ref_name}, skipping")
+                continue
+
+        # Seek to this chromosome (indexed) or rescan from the start of the file
+        print(f"  Scanning BAM file for {ref_name} reads...")
+        chrom_reads = collect_chromosome_reads(bam_reader, ref_id, ref_name, region_start, region_end, min_mapping_quality, targets)
+        print(f"  ✓ Using {len(chrom_reads):,} high-quality reads for {ref_name}")
+
+        if not chrom_reads:
+            print(f"  ⚠ No reads found for {ref_name}, skipping")
+            continue
+
+        # Call variants for this chromosome
+        chrom_variants = call_variants_from_pileup(
+            chrom_reads,
+            ref_name,
+            ref_len,
+            min_depth,
+            min_base_quality,
+            min_variant_reads,
+            min_allele_freq,
+            region_start,
+            region_end,
+            reference,
+            targets,
+            callable_counts
+        )
+
+        if normal_reader is not None:
+            if ref_name not in normal_reader.references:
+                print(f"  ⚠ Normal BAM has no {ref_name} - sites left unclassified")
+                normal_reads = []
+            else:
+                print(f"  Scanning normal BAM for {ref_name} reads...")
+                normal_reads = collect_chromosome_reads(
+                    normal_reader, normal_reader.references.index(ref_name), ref_name,
+                    region_start, region_end, min_mapping_quality, targets
+                )
+                print(f"  ✓ Using {len(normal_reads):,} high-quality normal reads for {ref_name}")
+
+            normal_variants = call_variants_from_pileup(
+                normal_reads, ref_name, ref_len, min_depth, min_base_quality,
+                min_variant_reads, min_allele_freq, region_start, region_end, reference, targets
+            ) if normal_reads else []
+
+            chrom_variants = classify_paired_variants(
+                chrom_variants, normal_variants, chrom_reads, normal_reads, ref_len,
+                min_base_quality, min_normal_depth, somatic_p_value
+            )
+            normal_reads = None
+
+        # Link variants that share reads or read pairs into phase sets
+        chrom_phasing = phase_variants(chrom_reads, chrom_variants, min_base_quality)
+        if chrom_phasing['phased']:
+            print(f"  ✓ Phased {chrom_phasing['phased']} variants into {chrom_phasing['phase_sets']} phase sets"
+                  + (f" ({chrom_phasing['conflicts']} conflicting links dropped)" if chrom_phasing['conflicts'] else ''))
+        for key in phasing:
+            phasing[key] += chrom_phasing[key]
+
+        variants.extend(chrom_variants)
+
+        print(f"  ✓ Completed {ref_name}: {len(chrom_variants):,} variants found")
+
+        # CRITICAL: Release memory before processing next chromosome
+        chrom_reads = None
+        del chrom_reads
+
+        # Force garbage collection (Python)
+        import gc
+        gc.collect()
+
+        print(f"  ✓ Memory released for {ref_name}")
+
+    print("")
+    print(f"✓ Variant calling complete: {len(variants)} variants found across {total_chroms} chromosomes")
+
+    # Sort variants by chromosome and position
+    variants.sort(key=lambda v: (v['chrom'], v['pos']))
+
+    filters = {
+        'min_depth': min_depth,
+        'min_base_quality': min_base_quality,
+        'min_mapping_quality': min_mapping_quality,
+        'min_variant_reads': min_variant_reads,
+        'min_allele_freq': min_allele_freq
+    }
+
+    somatic_counts = None
+    if normal_reader is not None:
+        filters['min_normal_depth'] = min_normal_depth
+        filters['somatic_p_value'] = somatic_p_value
+        somatic_counts = {status: 0 for status in ('somatic', 'germline', 'loh', 'unknown')}
+        for v in variants:
+            somatic_counts[v['somatic_status']] += 1
+        print(f"Paired classification: {somatic_counts}")
+
+    return {
+        'variants': variants,
+        'total_variants': len(variants),
+        'filters': filters,
+        'paired': normal_reader is not None,
+        'somatic_counts': somatic_counts,
+        'chromosomes_processed': [name for _, name, _ in target_refs],
+        'region': region,
+        'targets': targets.summary() if targets is not None else None,
+        'callable_bases': sum(callable_counts.values()),
+        'phasing': {**phasing, 'min_reads': MIN_PHASE_READS},
+        'indexed': bam_reader.index is not None,
+        'reference': (reference.name or 'reference.fa') if reference is not None else None,
+        'contigs': [{'name': name, 'length': length} for name, length in zip(bam_reader.references, bam_reader.reference_lengths)],
+        'sample_name': bam_reader.sample_name,
+        'normal_sample_name': normal_reader.sample_name if normal_reader is not None else None
+    }
+
+# Base quality -> (log10 P(match), log10 P(mismatch to a given base), log10 P(base | het), error prob)
+# Qualities are capped (BAM 255 = missing) so a single base can never dominate the likelihoods
+MAX_BASE_QUALITY = 60
+BASE_QUALITY_TERMS = []
+for _q in range(MAX_BASE_QUALITY + 1):
+    _e = min(max(10 ** (-_q / 10), 1e-6), 0.75)
+    BASE_QUALITY_TERMS.append((math.log10(1 - _e), math.log10(_e / 3), math.log10(0.5 * (1 - _e) + _e / 6), _e))
+
+# Per-read error rate assumed for indel evidence (no per-base quality for an indel event)
+INDEL_ERROR_RATE = 0.005
+
+def diploid_genotype_likelihoods(site_likelihoods, ref, alt):
+    """
+    log10 likelihoods [0/0, 0/1, 1/1] for a biallelic SNV from accumulated base-quality terms
+    Bases matching neither allele count as sequencing errors under every genotype
+    """
+    gl = [0.0, 0.0, 0.0]
+    for base, (log_match, log_mismatch, log_het, _) in site_likelihoods.items():
+        gl[0] += log_match if base == ref else log_mismatch
+        gl[1] += log_het if base in (ref, alt) else log_mismatch
+        gl[2] += log_match if base == alt else log_mismatch
+    return gl
+
+def count_genotype_likelihoods(ref_count, alt_count, error_rate=INDEL_ERROR_RATE):
+    """log10 likelihoods [0/0, 0/1, 1/1] from read counts with a fixed per-read error rate"""
+    log_ok = math.log10(1 - error_rate)
+    log_err = math.log10(error_rate)
+    return [
+        ref_count * log_ok + alt_count * log_err,
+        (ref_count + alt_count) * math.log10(0.5),
+        alt_count * log_ok + ref_count * log_err
+    ]
+
+def allele_fraction_lod(ref_count, ref_error, alt_count, alt_error):
+    """
+    log10 likelihood ratio of an alt allele at its observed fraction vs no alt allele
+    (Mutect-style TLOD; ref_error/alt_error are the mean per-read error rates)
+    """
+    depth = ref_count + alt_count
+    if alt_count == 0 or depth == 0:
+        return 0.0
+    f = alt_count / depth
+    lod = alt_count * (math.log10(f * (1 - alt_error) + (1 - f) * alt_error / 3) - math.log10(alt_error / 3))
+    if ref_count > 0:
+        lod += ref_count * (math.log10(f * ref_error / 3 + (1 - f) * (1 - ref_error)) - math.log10(1 - ref_error))
+    return max(lod, 0.0)
+
+def genotype_fields(variant_type, ref, alt, ref_count, alt_count, site_likelihoods=None, force_variant=True):
+    """
+    Genotype a biallelic site
+
+    Returns:
+        {'qual', 'genotype', 'gq', 'pl'} where
+          - pl is the phred-scaled [0/0, 0/1, 1/1] likelihoods normalised to 0
+          - genotype is the most likely diploid genotype; with force_variant a called site is
+            never reported 0/0 (subclonal tumor variants sit far below the 50% het expectation)
+          - gq is the PL gap between the reported genotype and the next best one (capped at 99)
+          - qual is 10x the allele-fraction LOD, capped at 999
+    """
+    if variant_type == 'SNV' and site_likelihoods:
+        gl = diploid_genotype_likelihoods(site_likelihoods, ref, alt)
+        ref_terms = site_likelihoods.get(ref)
+        alt_terms = site_likelihoods.get(alt)
+        ref_error = ref_terms[3] / ref_count if ref_terms and ref_count else 0.001
+        alt_error = alt_terms[3] / alt_count if alt_terms and alt_count else 0.001
+    else:
+        gl = count_genotype_likelihoods(ref_count, alt_count)
+        ref_error = alt_error = INDEL_ERROR_RATE
+
+    best = max(gl)
+    pl = [int(round(min(-10 * (g - best), 9999))) for g in gl]
+
+    called = min(range(3), key=lambda k: pl[k])
+    if force_variant and called == 0:
+        called = 1 if pl[1] <= pl[2] else 2
+
+    gq = min(min(pl[k] for k in range(3) if k != called) - pl[called], 99)
+    qual = min(10 * allele_fraction_lod(ref_count, ref_error, alt_count, alt_error), 999)
+
+    return {
+        'qual': float(round(qual, 2)),
+        'genotype': ('0/0', '0/1', '1/1')[called],
+        'gq': int(max(gq, 0)),
+        'pl': pl
+    }
+
+def fisher_exact_two_sided(a, b, c, d):
+    """
+    Two-sided Fisher's exact test p-value for the 2x2 table [[a, b], [c, d]]
+    Pure Python with log-gamma (SciPy is not loaded in the worker)
+    """
+    row1 = a + b
+    row2 = c + d
+    col1 = a + c
+    n = row1 + row2
+    if n == 0 or row1 == 0 or row2 == 0:
+        return 1.0
+
+    const = (math.lgamma(row1 + 1) + math.lgamma(row2 + 1) + math.lgamma(col1 + 1)
+             + math.lgamma(n - col1 + 1) - math.lgamma(n + 1))
+
+    def log_prob(x):
+        return const - (math.lgamma(x + 1) + math.lgamma(row1 - x + 1)
+                        + math.lgamma(col1 - x + 1) + math.lgamma(row2 - col1 + x + 1))
+
+    observed = log_prob(a)
+    p_value = 0.0
+    for x in range(max(0, col1 - row2), min(row1, col1) + 1):
+        lp = log_prob(x)
+        if lp <= observed + 1e-7:
+            p_value += math.exp(lp)
+
+    return min(p_value, 1.0)
+
+def classify_somatic_status(t_ref, t_alt, n_ref, n_alt, min_normal_depth=8, somatic_p_value=0.05):
+    """
+    Classify a tumor/normal site (VarScan2-style)
+
+    Normal genotype from VAF: ref (< 0.1), het (0.1-0.9) or hom-alt (>= 0.9), then Fisher's
+    exact test on tumor vs normal ref/alt counts:
+      - normal ref, tumor VAF significantly higher     -> somatic
+      - normal het, tumor significantly further from 0.5 -> loh
+      - normal het or hom-alt otherwise                -> germline
+      - anything else (incl. low normal depth)         -> unknown
+
+    Returns:
+        (status, p_value)
+    """
+    p_value = fisher_exact_two_sided(t_ref, t_alt, n_ref, n_alt)
+    n_depth = n_ref + n_alt
+    t_depth = t_ref + t_alt
+
+    if n_depth < min_normal_depth or t_depth == 0:
+        return 'unknown', p_value
+
+    n_af = n_alt / n_depth
+    t_af = t_alt / t_depth
+
+    if n_af < 0.1:
+        if p_value < somatic_p_value and t_af > n_af:
+            return 'somatic', p_value
+        return 'unknown', p_value
+
+    if n_af < 0.9 and p_value < somatic_p_value and abs(t_af - 0.5) > abs(n_af - 0.5):
+        return 'loh', p_value
+
+    return 'germline', p_value
+
+def count_site_alleles(pileup, indel_evidence, variant):
+    """(depth, ref_count, alt_count) for a called variant in a sparse pileup"""
+    pos = variant['pos'] - 1
+    counts = pileup.get(pos)
+    if counts is None:
+        return 0, 0, 0
+
+    depth = sum(counts.values())
+    if variant['type'] == 'SNV':
+        return depth, counts.get(variant['ref'], 0), counts.get(variant['alt'], 0)
+
+    evidence = indel_evidence.get(pos, {})
+    if variant['type'] == 'DEL':
+        key = ('DEL', len(variant['ref']) - 1)
+    else:
+        key = ('INS', variant['alt'][1:])
+    return depth, max(depth - sum(evidence.values()), 0), evidence.get(key, 0)
+
+def classify_paired_variants(tumor_variants, normal_variants, tumor_reads, normal_reads, chrom_len,
+                             min_base_quality, min_normal_depth, somatic_p_value):
+    """
+    Merge tumor and normal calls for one chromosome and classify every site
+
+    Sites called only in the normal (e.g. heterozygous SNPs lost in the tumor) are re-counted
+    in the tumor so LOH can be detected. Each variant gains normal_depth, normal_ref_count,
+    normal_alt_count, normal_allele_freq, normal_genotype/gq/pl, somatic_status and somatic_p_value.
+    """
+    sites = {(v['pos'], v['ref'], v['alt']): v for v in tumor_variants}
+
+    # Normal-only sites: take tumor counts from a pileup at those positions
+    normal_only = [v for v in normal_variants if (v['pos'], v['ref'], v['alt']) not in sites]
+    if normal_only:
+        tumor_pileup, tumor_indels, tumor_likelihoods = build_sparse_pileup(
+            tumor_reads, {v['pos'] - 1 for v in normal_only}, 0, chrom_len, min_base_quality
+        )
+        for nv in normal_only:
+            depth, ref_count, alt_count = count_site_alleles(tumor_pileup, tumor_indels, nv)
+            sites[(nv['pos'], nv['ref'], nv['alt'])] = {
+                **nv,
+                'depth': depth,
+                'ref_count': ref_count,
+                'alt_count': alt_count,
+                'allele_freq': float(alt_count / depth) if depth > 0 else 0.0,
+                **genotype_fields(nv['type'], nv['ref'], nv['alt'], ref_count, alt_count,
+                                  tumor_likelihoods.get(nv['pos'] - 1), force_variant=False)
+            }
+        annotate_read_metrics(tumor_reads, [sites[(nv['pos'], nv['ref'], nv['alt'])] for nv in normal_only], min_base_quality)
+
+    normal_pileup, normal_indels, normal_likelihoods = build_sparse_pileup(
+        normal_reads, {pos - 1 for pos, _, _ in sites}, 0, chrom_len, min_base_quality
+    )
+
+    classified = []
+    for key in sorted(sites.keys()):
+        v = sites[key]
+        n_depth, n_ref, n_alt = count_site_alleles(normal_pileup, normal_indels, v)
+        status, p_value = classify_somatic_status(
+            v['ref_count'], v['alt_count'], n_ref, n_alt, min_normal_depth, somatic_p_value
+        )
+        v['normal_depth'] = n_depth
+        v['normal_ref_count'] = n_ref
+        v['normal_alt_count'] = n_alt
+        v['normal_allele_freq'] = float(n_alt / n_depth) if n_depth > 0 else 0.0
+        v['somatic_status'] = status
+        v['somatic_p_value'] = float(p_value)
+
+        normal_genotype = genotype_fields(v['type'], v['ref'], v['alt'], n_ref, n_alt,
+                                          normal_likelihoods.get(v['pos'] - 1), force_variant=False)
+        v['normal_genotype'] = normal_genotype['genotype'] if n_depth > 0 else './.'
+        v['normal_gq'] = normal_genotype['gq']
+        v['normal_pl'] = normal_genotype['pl']
+        classified.append(v)
+
+    somatic = sum(1 for v in classified if v['somatic_status'] == 'somatic')
+    print(f"  ✓ Paired classification: {somatic} somatic of {len(classified)} sites")
+    return classified
+
+def read_allele_at(read, variant, min_base_quality):
+    """
+    Which allele of a called variant a read supports
+
+    Returns:
+        ('ref' | 'alt' | None, query_offset) - query_offset is the read-sequence index of the
+        base (SNV) or of the event/anchor (indels); None when the read is uninformative
+    """
+    pos = variant['pos'] - 1
+    read_seq = read['seq']
+    read_qual = read.get('qual', [])
+    anchor_offset = None
+    prev_op = None
+
+    for op, read_offset, ref_pos, length in cigar_blocks(read['pos'], read.get('cigar') or [('M', len(read_seq))]):
+        if ref_pos > pos + 1:
+            break
+
+        if variant['type'] != 'SNV' and op in 'ID' and ref_pos - 1 == pos and prev_op in ('M', '=', 'X'):
+            if variant['type'] == 'DEL':
+                matches = op == 'D' and length == len(variant['ref']) - 1
+            else:
+                matches = op == 'I' and read_seq[read_offset:read_offset + length].upper() == variant['alt'][1:]
+            return ('alt' if matches else None), read_offset
+
+        if op in 'M=X' and ref_pos <= pos < ref_pos + length:
+            i = read_offset + (pos - ref_pos)
+            if i >= len(read_seq):
+                return None, None
+
+            if variant['type'] == 'SNV':
+                if i < len(read_qual) and read_qual[i] < min_base_quality:
+                    return None, i
+                base = read_seq[i].upper()
+                if base == variant['alt']:
+                    return 'alt', i
+                return ('ref' if base == variant['ref'] else None), i
+
+            # Indel: the read supports the reference if it stays aligned past the anchor
+            if pos + 1 < ref_pos + length:
+                return 'ref', i
+            anchor_offset = i
+
+        prev_op = op
+
+    return None, anchor_offset
+
+def strand_odds_ratio(ref_fwd, ref_rev, alt_fwd, alt_rev):
+    """GATK StrandOddsRatio (SOR) with pseudocounts of 1"""
+    ref_fwd, ref_rev, alt_fwd, alt_rev = ref_fwd + 1, ref_rev + 1, alt_fwd + 1, alt_rev + 1
+    ratio = (ref_fwd * alt_rev) / (ref_rev * alt_fwd)
+    ref_ratio = min(ref_fwd, ref_rev) / max(ref_fwd, ref_rev)
+    alt_ratio = min(alt_fwd, alt_rev) / max(alt_fwd, alt_rev)
+    return math.log(ratio + 1 / ratio) + math.log(ref_ratio) - math.log(alt_ratio)
+
+def annotate_read_metrics(reads, variants, min_base_quality):
+    """
+    Add strand-bias and read-position artifact metrics to called variants (in place)
+
+    A targeted pass over the reads covering each variant (not part of the full pileup):
+      - strand_counts: [ref_fwd, ref_rev, alt_fwd, alt_rev]
+      - fs: Phred-scaled Fisher's exact test p-value of the strand table (GATK FS)
+      - sor: strand odds ratio (GATK SOR)
+      - median_alt_pos: median distance of the alt base/event from the nearest read end
+      - mean_mapq: mean mapping quality of the alt-supporting reads
+    """
+    if not variants:
+        return variants
+
+    by_position = {}
+    for v in variants:
+        by_position.setdefault(v['pos'] - 1, []).append(v)
+    sorted_positions = sorted(by_position.keys())
+
+    metrics = {id(v): {'counts': [0, 0, 0, 0], 'alt_positions': [], 'alt_mapq': []} for v in variants}
+
+    for read in reads:
+        read_start = read['pos']
+        read_end = read.get('end', read_start + len(read['seq']))
+
+        # Variants whose anchor/base lies within this read
+        i = bisect.bisect_left(sorted_positions, read_start)
+        reverse = (read.get('flag', 0) & 0x10) != 0
+        read_len = len(read['seq'])
+
+        while i < len(sorted_positions) and sorted_positions[i] < read_end:
+            for v in by_position[sorted_positions[i]]:
+                allele, offset = read_allele_at(read, v, min_base_quality)
+                if allele is None:
+                    continue
+
+                m = metrics[id(v)]
+                m['counts'][(2 if allele == 'alt' else 0) + (1 if reverse else 0)] += 1
+                if allele == 'alt':
+                    m['alt_positions'].append(min(offset, read_len - 1 - offset))
+                    m['alt_mapq'].append(read.get('mapq', 60))
+            i += 1
+
+    for v in variants:
+        m = metrics[id(v)]
+        ref_fwd, ref_rev, alt_fwd, alt_rev = m['counts']
+        p_value = fisher_exact_two_sided(ref_fwd, ref_rev, alt_fwd, alt_rev)
+        alt_positions = sorted(m['alt_positions'])
+
+        v['strand_counts'] = m['counts']
+        v['fs'] = float(round(max(0.0, min(-10 * math.log10(max(p_value, 1e-100)), 999)), 3))
+        v['sor'] = float(round(strand_odds_ratio(ref_fwd, ref_rev, alt_fwd, alt_rev), 3))
+        v['median_alt_pos'] = float(np.median(alt_positions)) if alt_positions else None
+        v['mean_mapq'] = float(round(sum(m['alt_mapq']) / len(m['alt_mapq']), 1)) if m['alt_mapq'] else None
+
+    return variants
+
+# Read-backed phasing: minimum fragments linking two variants, and the share of linking
+# fragments the winning cis / trans relation must reach
+MIN_PHASE_READS = 2
+MIN_PHASE_AGREEMENT = 0.8
+
+def phase_variants(reads, variants, min_base_quality, min_phase_reads=MIN_PHASE_READS):
+    """
+    Read-backed phasing of variants sharing a read or read pair (in place)
+
+    Each fragment (a read, or both mates of a pair matched by read name) records which allele
+    it carries at every called variant it covers. For each pair of variants the fragments are
+    tallied as alt/alt, alt/ref, ref/alt and ref/ref. Ref/ref fragments are ignored: in a tumor
+    they mostly come from normal cells and say nothing about the two mutations.
+      - cis:   alt/alt reads dominate; one of alt/ref or ref/alt may also be seen when one
+               variant is subclonal on top of the other, so only the smaller of the two counts
+               against it
+      - trans: no (or hardly any) alt/alt reads while both alt/ref and ref/alt are seen
+    Links are added strongest first into phase sets (union-find with parity); a link that
+    contradicts the set built so far is dropped and counted as a conflict.
+
+    Phased variants get:
+        phase_set: VCF PS (position of the first variant of the set)
+        phased_genotype: '0|1' or '1|0' (the first variant of a set is always 0|1)
+        phase_links: [{pos, ref, alt, relation: 'cis'|'trans', support, against}] for its direct links
+    Homozygous calls and positions with more than one alt allele are not phased.
+    """
+    candidates = [v for v in variants if v.get('genotype') in ('0/1', '0|1', '1|0')]
+    per_position = {}
+    for v in candidates:
+        per_position[v['pos']] = per_position.get(v['pos'], 0) + 1
+    candidates = sorted((v for v in candidates if per_position[v['pos']] == 1), key=lambda v: v['pos'])
+    if len(candidates) < 2:
+        return {'phase_sets': 0, 'phased': 0, 'conflicts': 0}
+
+    sorted_positions = [v['pos'] - 1 for v in candidates]
+
+    # Alleles seen per fragment; mates that disagree at a variant make it uninformative
+    fragments = {}
+    for read_number, read in enumerate(reads):
+        read_start = read['pos']
+        read_end = read.get('end', read_start + len(read['seq']))
+        i = bisect.bisect_left(sorted_positions, read_start)
+        if i >= len(sorted_positions) or sorted_positions[i] >= read_end:
+            continue
+
+        key = read.get('qname') or read_number
+        observed = fragments.setdefault(key, {})
+        while i < len(sorted_positions) and sorted_positions[i] < read_end:
+            allele, _ = read_allele_at(read, candidates[i], min_base_quality)
+            if allele is not None:
+                previous = observed.get(i)
+                observed[i] = allele if previous in (None, allele) else 'conflict'
+            i += 1
+
+    # Pairwise tallies: [alt/alt, alt/ref, ref/alt, ref/ref]
+    tallies = {}
+    for observed in fragments.values():
+        informative = sorted((i, a) for i, a in observed.items() if a != 'conflict')
+        if len(informative) < 2:
+            continue
+        for x in range(len(informative)):
+            i, allele_i = informative[x]
+            for y in range(x + 1, len(informative)):
+                j, allele_j = informative[y]
+                tally = tallies.setdefault((i, j), [0, 0, 0, 0])
+                tally[(0 if allele_i == 'alt' else 2) + (0 if allele_j == 'alt' else 1)] += 1
+    fragments = None
+
+    links = []
+    for (i, j), (alt_alt, alt_ref, ref_alt, _) in tallies.items():
+        trans_support = min(alt_ref, ref_alt)
+        total = alt_alt + trans_support
+        if total < min_phase_reads:
+            continue
+        if alt_alt >= min_phase_reads and alt_alt / total >= MIN_PHASE_AGREEMENT:
+            links.append((alt_alt, i, j, 0, trans_support))
+        elif trans_support >= min_phase_reads and trans_support / total >= MIN_PHASE_AGREEMENT:
+            links.append((trans_support, i, j, 1, alt_alt))
+
+    # Union-find with parity (parity 1 = alt on the other haplotype)
+    parent = list(range(len(candidates)))
+    parity = [0] * len(candidates)
+
+    def find(i):
+        path = []
+        while parent[i] != i:
+            path.append(i)
+            i = parent[i]
+        # Path compression, turning each parity into the parity relative to the root
+        acc = 0
+        for node in reversed(path):
+            acc ^= parity[node]
+            parity[node] = acc
+            parent[node] = i
+        return i, (parity[path[0]] if path else 0)
+
+    used_links = []
+    conflicts = 0
+    for support, i, j, relation, against in sorted(links, key=lambda link: -link[0]):
+        root_i, parity_i = find(i)
+        root_j, parity_j = find(j)
+        if root_i == root_j:
+            if parity_i ^ parity_j != relation:
+                conflicts += 1
+                continue
+        else:
+            parent[root_j] = root_i
+            parity[root_j] = parity_i ^ parity_j ^ relation
+        used_links.append((i, j, relation, support, against))
+
+    groups = {}
+    for i in range(len(candidates)):
+        root, hap = find(i)
+        groups.setdefault(root, []).append((i, hap))
+
+    phased = 0
+    phase_sets = 0
+    for members in groups.values():
+        if len(members) < 2:
+            continue
+        phase_sets += 1
+        members.sort()
+        first, first_hap = members[0]
+        phase_set = candidates[first]['pos']
+        for i, hap in members:
+            v = candidates[i]
+            v['phase_set'] = phase_set
+            v['phased_genotype'] = '0|1' if hap == first_hap else '1|0'
+            v['phase_links'] = []
+            phased += 1
+
+    for i, j, relation, support, against in used_links:
+        for a, b in ((i, j), (j, i)):
+            candidates[a]['phase_links'].append({
+                'pos': candidates[b]['pos'],
+                'ref': candidates[b]['ref'],
+                'alt': candidates[b]['alt'],
+                'relation': 'trans' if relation else 'cis',
+                'support': support,
+                'against': against
+            })
+
+    return {'phase_sets': phase_sets, 'phased': phased, 'conflicts': conflicts}
+
+def build_sparse_pileup(reads, positions, window_start, window_end, min_base_quality):
+    """
+    Build base counts and indel evidence for the given reference positions only
+
+    Bases are placed by walking each read's CIGAR. Deleted positions are counted as '*'.
+    Indels are keyed by anchor position (the reference base before the event) and only
+    counted when flanked by an aligned base.
+
+    Returns:
+        (pileup, indel_evidence, base_likelihoods) where pileup is {pos: {'A', 'C', 'G', 'T', 'N', '*' counts}},
+        indel_evidence is {pos: {('DEL', length) | ('INS', bases): count}} and base_likelihoods is
+        {pos: {base: [sum log10(1-e), sum log10(e/3), sum log10(het), sum e]}} (see BASE_QUALITY_TERMS)
+    """
+    pileup = {pos: {'A': 0, 'C': 0, 'G': 0, 'T': 0, 'N': 0, '*': 0} for pos in positions}
+    indel_evidence = {}
+    base_likelihoods = {}
+    sorted_positions = sorted(pileup.keys())
+
+    for read in reads:
+        read_start = read['pos']
+        read_seq = read['seq']
+        read_qual = read.get('qual', [])
+        read_end = read.get('end', read_start + len(read_seq))
+
+        # Skip reads outside window
+        if read_end <= window_start or read_start >= window_end:
+            continue
+
+        # Skip reads that cover none of the requested positions
+        i = bisect.bisect_left(sorted_positions, read_start)
+        if i >= len(sorted_positions) or sorted_positions[i] >= read_end:
+            continue
+
+        # Add bases to pileup at their CIGAR-aligned reference positions
+        prev_op = None
+        for op, read_offset, ref_pos, length in cigar_blocks(read_start, read.get('cigar') or [('M', len(read_seq))]):
+            # Indels are only trusted when anchored on an aligned base (not at clipped read ends)
+            if op in 'ID' and prev_op in ('M', '=', 'X') and (ref_pos - 1) in pileup:
+                if op == 'D':
+                    key = ('DEL', length)
+                else:
+                    inserted_qual = read_qual[read_offset:read_offset + length]
+                    if inserted_qual and sum(inserted_qual) / len(inserted_qual) < min_base_quality:
+                        key = None
+                    else:
+                        key = ('INS', read_seq[read_offset:read_offset + length].upper())
+
+                if key is not None:
+                    anchor_evidence = indel_evidence.setdefault(ref_pos - 1, {})
+                    anchor_evidence[key] = anchor_evidence.get(key, 0) + 1
+
+            prev_op = op
+
+            if op == 'D':
+                for pos in range(max(ref_pos, window_start), min(ref_pos + length, window_end)):
+                    if pos in pileup:
+                        pileup[pos]['*'] += 1
+                continue
+
+            if op not in 'M=X':
+                continue
+
+            for pos in range(max(ref_pos, window_start), min(ref_pos + length, window_end)):
+                # CRITICAL: Only process requested positions
+                if pos not in pileup:
+                    continue
+
+                i = read_offset + (pos - ref_pos)
+                if i >= len(read_seq):
+                    break
+
+                # Filter by base quality
+                if i < len(read_qual) and read_qual[i] < min_base_quality:
+                    continue
+
+                base_upper = read_seq[i].upper()
+                if base_upper in pileup[pos]:
+                    pileup[pos][base_upper] += 1
+
+                    # Accumulate per-base likelihood terms for genotyping
+                    terms = BASE_QUALITY_TERMS[min(read_qual[i], MAX_BASE_QUALITY) if i < len(read_qual) else 30]
+                    sums = base_likelihoods.setdefault(pos, {}).setdefault(base_upper, [0.0, 0.0, 0.0, 0.0])
+                    sums[0] += terms[0]
+                    sums[1] += terms[1]
+                    sums[2] += terms[2]
+                    sums[3] += terms[3]
+
+    return pileup, indel_evidence, base_likelihoods
+
+def call_variants_from_pileup(reads, chrom_name, chrom_len, min_depth, min_base_quality, min_variant_reads, min_allele_freq,
+                              region_start=0, region_end=None, reference=None, targets=None, callable_counts=None):
     """
     OPTIMIZED: Two-pass sparse pileup - only build detailed pileup for candidate positions
 
     Pass 1: Quick scan to find positions with sufficient depth
     Pass 2: Build detailed base counts only for candidate positions
+
+    Read bases are placed by walking the CIGAR: M/=/X align bases to the reference,
+    I and S consume read bases only, D and N skip reference positions.
+    Deleted positions count towards depth (as '*') but never as a base.
+
+    Insertions and deletions flanked by aligned bases are collected per anchor position
+    (the reference base before the event) and emitted as VCF-style anchored REF/ALT
+
+    REF alleles come from the reference FASTA when one is given
+
+    Only positions inside [region_start, region_end) (and inside targets, if given) are called
+
+    callable_counts (dict, optional) receives the number of callable positions per chromosome:
+    positions inside the called territory covered by >= min_depth reads (the TMB denominator)
     """
     variants = []
 
@@ -856,141 +3379,913 @@ def call_variants_from_pileup(reads, chrom_name, chrom_len, min_depth, min_base_
 
     print(f"  Building sparse pileup from {len(quality_reads):,} reads...")
 
+    if region_end is None:
+        region_end = chrom_len
+
     # Process genome in 1MB windows to manage memory
     window_size = 1000000  # 1MB windows
-    num_windows = (chrom_len // window_size) + 1
+    first_window = region_start // window_size
+    num_windows = ((region_end - 1) // window_size) + 1 - first_window
 
     print(f"  Processing {chrom_name} in {num_windows} windows ({window_size:,}bp each)...")
 
     for window_idx in range(num_windows):
-        window_start = window_idx * window_size
-        window_end = min(window_start + window_size, chrom_len)
+        window_start = max((first_window + window_idx) * window_size, region_start)
+        window_end = min((first_window + window_idx + 1) * window_size, region_end)
 
         # Progress reporting every 10 windows
         if window_idx % 10 == 0 and window_idx > 0:
             print(f"    Processing window {window_idx}/{num_windows} ({window_start:,}-{window_end:,})...")
 
+        if targets is not None and not targets.overlaps(chrom_name, window_start, window_end):
+            continue
+
         # OPTIMIZATION 1: Pass 1 - Quick coverage scan
         # Only track coverage depth, not individual bases
         position_coverage = {}
 
         for read in quality_reads:
             read_start = read['pos']
-            read_seq = read.get('seq', '')
-
-            if not read_seq:
-                continue
-
-            read_end = read_start + len(read_seq)
+            read_end = read.get('end', read_start + len(read['seq']))
 
             # Skip reads that don't overlap this window
-            if read_end < window_start or read_start > window_end:
+            if read_end <= window_start or read_start >= window_end:
                 continue
 
-            # Count coverage for each position
-            for i in range(len(read_seq)):
-                pos = read_start + i
-
-                # Only positions in current window
-                if pos < window_start or pos >= window_end:
+            # Count coverage for each reference position covered by an aligned or deleted base
+            for op, read_offset, ref_pos, length in cigar_blocks(read_start, read.get('cigar') or [('M', len(read['seq']))]):
+                if op not in 'MD=X':
                     continue
 
-                position_coverage[pos] = position_coverage.get(pos, 0) + 1
+                for pos in range(max(ref_pos, window_start), min(ref_pos + length, window_end)):
+                    position_coverage[pos] = position_coverage.get(pos, 0) + 1
 
         # OPTIMIZATION 2: Filter to candidate positions
         # Only positions with sufficient depth are candidates for variants
         candidate_positions = {pos for pos, depth in position_coverage.items() if depth >= min_depth}
+        if targets is not None:
+            candidate_positions = {pos for pos in candidate_positions if targets.contains(chrom_name, pos)}
+
+        if callable_counts is not None:
+            callable_counts[chrom_name] = callable_counts.get(chrom_name, 0) + len(candidate_positions)
 
         if not candidate_positions:
             continue
 
         # OPTIMIZATION 3: Pass 2 - Detailed pileup ONLY for candidates
         # This is the key optimization - we skip 99% of positions
-        pileup = {pos: {'A': 0, 'C': 0, 'G': 0, 'T': 0, 'N': 0} for pos in candidate_positions}
+        pileup, indel_evidence, base_likelihoods = build_sparse_pileup(quality_reads, candidate_positions, window_start, window_end, min_base_quality)
+        window_variant_start = len(variants)
 
-        for read in quality_reads:
-            read_start = read['pos']
-            read_seq = read.get('seq', '')
-            read_qual = read.get('qual', [])
+        # OPTIMIZATION 4: Call variants from sparse pileup
+        for pos in sorted(pileup.keys()):
+            bases = pileup[pos]
+            total_depth = sum(bases.values())
 
-            if not read_seq:
+            # Skip if below minimum depth
+            if total_depth < min_depth:
                 continue
 
-            read_end = read_start + len(read_seq)
+            # Reference base from the FASTA; without one (or at N/IUPAC positions)
+            # fall back to the most common observed base, deletions excluded
+            ref_base = reference.base(chrom_name, pos) if reference else 'N'
+            if ref_base not in ('A', 'C', 'G', 'T'):
+                ref_base = max('ACGTN', key=lambda b: bases[b])
+            ref_count = bases[ref_base]
+
+            # Check each alternate base
+            for alt_base in ['A', 'C', 'G', 'T']:
+                if alt_base == ref_base or alt_base == 'N':
+                    continue
+
+                alt_count = bases[alt_base]
+
+                # Early exit checks (fast)
+                if alt_count < min_variant_reads:
+                    continue
+
+                allele_freq = alt_count / total_depth
 
-            # Skip reads outside window
-            if read_end < window_start or read_start > window_end:
+                if allele_freq < min_allele_freq:
+                    continue
+
+                # Genotype likelihoods and QUAL from base qualities
+                genotype = genotype_fields('SNV', ref_base, alt_base, ref_count, alt_count, base_likelihoods.get(pos))
+
+                variants.append({
+                    'chrom': chrom_name,
+                    'pos': pos + 1,  # VCF is 1-based
+                    'ref': ref_base,
+                    'alt': alt_base,
+                    'type': 'SNV',
+                    'context': reference.context(chrom_name, pos) if reference else None,
+                    'depth': total_depth,
+                    'ref_count': ref_count,
+                    'alt_count': alt_count,
+                    'allele_freq': float(allele_freq),
+                    **genotype
+                })
+
+        # Call indels from anchored evidence
+        for pos in sorted(indel_evidence.keys()):
+            total_depth = sum(pileup[pos].values())
+            if total_depth < min_depth:
                 continue
 
-            # Add bases to pileup
-            for i, (base, qual) in enumerate(zip(read_seq, read_qual)):
-                pos = read_start + i
+            anchor_base = reference.base(chrom_name, pos) if reference else 'N'
+            if anchor_base not in ('A', 'C', 'G', 'T'):
+                anchor_base = max('ACGTN', key=lambda b: pileup[pos][b])
 
-                # CRITICAL: Only process candidate positions
-                if pos not in pileup:
+            for (kind, detail), alt_count in indel_evidence[pos].items():
+                if alt_count < min_variant_reads:
                     continue
 
-                # Filter by base quality
-                if qual < min_base_quality:
+                allele_freq = alt_count / total_depth
+                if allele_freq < min_allele_freq:
                     continue
 
-                base_upper = base.upper()
-                if base_upper in pileup[pos]:
-                    pileup[pos][base_upper] += 1
+                if kind == 'DEL':
+                    # Deleted bases from the FASTA, otherwise the majority observed base
+                    # at each deleted position (N if unseen)
+                    deleted = reference.fetch(chrom_name, pos + 1, pos + 1 + detail) if reference else ''
+                    if len(deleted) != detail:
+                        deleted = ''
+                        for del_pos in range(pos + 1, pos + 1 + detail):
+                            counts = pileup.get(del_pos)
+                            if counts and any(counts[b] for b in 'ACGT'):
+                                deleted += max('ACGT', key=lambda b: counts[b])
+                            else:
+                                deleted += 'N'
+                    ref_allele = anchor_base + deleted
+                    alt_allele = anchor_base
+                else:
+                    ref_allele = anchor_base
+                    alt_allele = anchor_base + detail
+
+                ref_count = max(total_depth - sum(indel_evidence[pos].values()), 0)
+                genotype = genotype_fields(kind, ref_allele, alt_allele, ref_count, alt_count)
+
+                variants.append({
+                    'chrom': chrom_name,
+                    'pos': pos + 1,  # VCF is 1-based (anchor base)
+                    'ref': ref_allele,
+                    'alt': alt_allele,
+                    'type': kind,
+                    'depth': total_depth,
+                    'ref_count': ref_count,
+                    'alt_count': alt_count,
+                    'allele_freq': float(allele_freq),
+                    **genotype
+                })
+
+        # Strand bias / read position / MAPQ for this window's calls
+        annotate_read_metrics(quality_reads, variants[window_variant_start:], min_base_quality)
+
+        # Release memory for this window
+        pileup = None
+        indel_evidence = None
+        base_likelihoods = None
+        position_coverage = None
+
+    print(f"  ✓ Found {len(variants):,} variants in {chrom_name}")
+    return variants
+
+# Standard genetic code, codons enumerated in TCAG order
+CODON_TABLE = {}
+for _i, _codon in enumerate(a + b + c for a in 'TCAG' for b in 'TCAG' for c in 'TCAG'):
+    CODON_TABLE[_codon] = 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG'[_i]
+
+AA_THREE_LETTER = {
+    'A': 'Ala', 'R': 'Arg', 'N': 'Asn', 'D': 'Asp', 'C': 'Cys', 'Q': 'Gln', 'E': 'Glu', 'G': 'Gly',
+    'H': 'His', 'I': 'Ile', 'L': 'Leu', 'K': 'Lys', 'M': 'Met', 'F': 'Phe', 'P': 'Pro', 'S': 'Ser',
+    'T': 'Thr', 'W': 'Trp', 'Y': 'Tyr', 'V': 'Val', '*': 'Ter', 'X': 'Xaa'
+}
+
+COMPLEMENT = str.maketrans('ACGTN', 'TGCAN')
+
+# Sequence Ontology terms, most severe first (Ensembl VEP ordering)
+CONSEQUENCE_SEVERITY = [
+    'splice_acceptor_variant', 'splice_donor_variant', 'stop_gained', 'frameshift_variant',
+    'stop_lost', 'start_lost', 'inframe_insertion', 'inframe_deletion', 'missense_variant',
+    'splice_region_variant', 'synonymous_variant', 'coding_sequence_variant',
+    '5_prime_UTR_variant', '3_prime_UTR_variant', 'non_coding_transcript_exon_variant',
+    'intron_variant', 'intergenic_variant'
+]
+CONSEQUENCE_RANK = {term: rank for rank, term in enumerate(CONSEQUENCE_SEVERITY)}
+CONSEQUENCE_IMPACT = {
+    'splice_acceptor_variant': 'HIGH', 'splice_donor_variant': 'HIGH', 'stop_gained': 'HIGH',
+    'frameshift_variant': 'HIGH', 'stop_lost': 'HIGH', 'start_lost': 'HIGH',
+    'inframe_insertion': 'MODERATE', 'inframe_deletion': 'MODERATE', 'missense_variant': 'MODERATE',
+    'splice_region_variant': 'LOW', 'synonymous_variant': 'LOW'
+}
+
+SPLICE_REGION_INTRON = 8  # intronic bases counted as splice region (1-2 are the donor/acceptor site)
+SPLICE_REGION_EXON = 3    # exonic bases next to an intron counted as splice region
+
+def reverse_complement(seq):
+    return seq.translate(COMPLEMENT)[::-1]
+
+def translate(seq):
+    """Translate a coding sequence (incomplete trailing codon ignored, unknown codons -> X)"""
+    return ''.join(CODON_TABLE.get(seq[i:i + 3], 'X') for i in range(0, len(seq) - 2, 3))
+
+def three_letter(protein):
+    return ''.join(AA_THREE_LETTER.get(aa, 'Xaa') for aa in protein)
+
+def contig_aliases(chrom):
+    """Names a contig may carry in another file (chr prefix, chrM/MT)"""
+    aliases = {chrom, chrom[3:] if chrom.startswith('chr') else 'chr' + chrom}
+    if chrom in ('chrM', 'MT', 'M', 'chrMT'):
+        aliases.update(('chrM', 'MT', 'M'))
+    return aliases
+
+def trim_alleles(pos, ref, alt):
+    """
+    Strip bases shared by REF and ALT (suffix first, then prefix, as VCF anchors on the left)
+    Returns (start, ref, alt) with start the 1-based position of the first differing base;
+    an insertion has ref == '' and sits between start - 1 and start
+    """
+    while len(ref) > 1 and len(alt) > 1 and ref[-1] == alt[-1]:
+        ref, alt = ref[:-1], alt[:-1]
+    while ref and alt and ref[0] == alt[0]:
+        ref, alt, pos = ref[1:], alt[1:], pos + 1
+    return pos, ref, alt
+
+def iter_text_lines(source, chunk_size=1048576):
+    """
+    Yield text lines from a byte source, transparently decompressing gzip / bgzip
+    (multi-member) input chunk by chunk so large annotation files are never held in memory
+    """
+    source = as_byte_source(source)
+    compressed = bytes(source.read(0, 2)) == b'\\x1f\\x8b'
+    decompressor = zlib.decompressobj(31) if compressed else None
+    offset = 0
+    pending = b''
+
+    while offset < source.size:
+        chunk = bytes(source.read(offset, min(chunk_size, source.size - offset)))
+        if not chunk:
+            break
+        offset += len(chunk)
+
+        if compressed:
+            data = []
+            while chunk:
+                data.append(decompressor.decompress(chunk))
+                if decompressor.eof:
+                    chunk = decompressor.unused_data
+                    decompressor = zlib.decompressobj(31)
+                else:
+                    chunk = b''
+            chunk = b''.join(data)
+
+        pending += chunk
+        lines = pending.split(b'\\n')
+        pending = lines.pop()
+        for line in lines:
+            yield line.decode('utf-8', 'replace')
+
+    if pending:
+        yield pending.decode('utf-8', 'replace')
+
+def parse_feature_attributes(text):
+    """Attributes of a GTF (key "value";) or GFF3 (key=value;) line; 'tag' is always a list"""
+    attrs = {}
+    first = text.split(';', 1)[0]
+    if '=' in first and '"' not in first:
+        for part in text.split(';'):
+            key, _, value = part.strip().partition('=')
+            if key:
+                attrs[key] = urllib.parse.unquote(value)
+        attrs['tag'] = attrs['tag'].split(',') if 'tag' in attrs else []
+    else:
+        tags = []
+        for part in text.split(';'):
+            key, _, value = part.strip().partition(' ')
+            if not key:
+                continue
+            value = value.strip().strip('"')
+            if key == 'tag':
+                tags.append(value)
+            else:
+                attrs[key] = value
+        attrs['tag'] = tags
+    return attrs
+
+class Transcript:
+    """
+    One transcript of the gene model: exons and CDS in 1-based inclusive genomic coordinates
+    Positions are mapped to transcript order (5' -> 3') for HGVS c./n. numbering
+    """
+
+    def __init__(self, transcript_id, chrom, strand):
+        self.id = transcript_id
+        self.chrom = chrom
+        self.strand = strand
+        self.gene = None
+        self.gene_id = None
+        self.biotype = None
+        self.tags = set()
+        self.exons = []
+        self.cds = []
+        self.cds_seq = None
+
+    @staticmethod
+    def merge(intervals):
+        merged = []
+        for start, end in sorted(intervals):
+            if merged and start <= merged[-1][1] + 1:
+                merged[-1][1] = max(merged[-1][1], end)
+            else:
+                merged.append([start, end])
+        return [tuple(interval) for interval in merged]
+
+    def finalize(self):
+        self.cds = self.merge(self.cds)
+        self.exons = self.merge(self.exons or self.cds)
+        self.start = self.exons[0][0]
+        self.end = self.exons[-1][1]
+        self.coding = bool(self.cds)
+        self.cds_length = sum(end - start + 1 for start, end in self.cds)
+
+        # Exons and CDS blocks in transcript order
+        plus = self.strand != '-'
+        self.tx_exons = self.exons if plus else self.exons[::-1]
+        self.tx_cds = self.cds if plus else self.cds[::-1]
+
+        # Introns as (start, end, donor_at_start) in genomic coordinates
+        self.introns = []
+        for (_, left_end), (right_start, _) in zip(self.exons, self.exons[1:]):
+            if right_start - left_end > 1:
+                self.introns.append((left_end + 1, right_start - 1, plus))
+
+        if self.coding:
+            self.cds_start_tx = self.tx_position(self.cds[0][0] if plus else self.cds[-1][1])
+            self.cds_end_tx = self.tx_position(self.cds[-1][1] if plus else self.cds[0][0])
+        return self
+
+    def tx_position(self, g):
+        """1-based position in the spliced transcript, or None if g is not exonic"""
+        offset = 0
+        for start, end in self.tx_exons:
+            if start <= g <= end:
+                return offset + (g - start + 1 if self.strand != '-' else end - g + 1)
+            offset += end - start + 1
+        return None
+
+    def exon_number(self, g):
+        for number, (start, end) in enumerate(self.tx_exons, 1):
+            if start <= g <= end:
+                return number
+        return None
+
+    def intron_number(self, g):
+        for number, ((_, up_end), (down_start, _)) in enumerate(zip(self.tx_exons, self.tx_exons[1:]), 1):
+            low, high = (up_end, down_start) if self.strand != '-' else (down_start, up_end)
+            if low < g < high:
+                return number
+        return None
+
+    def segment(self, g):
+        """('exon' | 'intron', number) containing g, used to keep 3' shifting inside one feature"""
+        exon = self.exon_number(g)
+        if exon is not None:
+            return ('exon', exon)
+        intron = self.intron_number(g)
+        return ('intron', intron) if intron is not None else None
+
+    def tx_to_hgvs(self, tx):
+        if not self.coding:
+            return str(tx)
+        if tx < self.cds_start_tx:
+            return f"-{self.cds_start_tx - tx}"
+        if tx > self.cds_end_tx:
+            return f"*{tx - self.cds_end_tx}"
+        return str(tx - self.cds_start_tx + 1)
+
+    def hgvs_position(self, g):
+        """HGVS c./n. coordinate of genomic position g (intronic positions as 123+5 / 124-7)"""
+        tx = self.tx_position(g)
+        if tx is not None:
+            return self.tx_to_hgvs(tx)
+
+        offset = 0
+        plus = self.strand != '-'
+        for (up_start, up_end), (down_start, down_end) in zip(self.tx_exons, self.tx_exons[1:]):
+            offset += up_end - up_start + 1
+            if plus and up_end < g < down_start:
+                after_up, before_down = g - up_end, down_start - g
+            elif not plus and down_end < g < up_start:
+                after_up, before_down = up_start - g, g - down_end
+            else:
+                continue
+            if after_up <= before_down:
+                return f"{self.tx_to_hgvs(offset)}+{after_up}"
+            return f"{self.tx_to_hgvs(offset + 1)}-{before_down}"
+        return '?'
+
+    def hgvs_range(self, low, high):
+        """HGVS range for genomic [low, high] written in transcript order"""
+        first, last = (low, high) if self.strand != '-' else (high, low)
+        if first == last:
+            return self.hgvs_position(first)
+        return f"{self.hgvs_position(first)}_{self.hgvs_position(last)}"
+
+    def cds_offset(self, g):
+        """0-based offset of genomic g in the CDS (transcript order), or None"""
+        offset = 0
+        for start, end in self.tx_cds:
+            if start <= g <= end:
+                return offset + (g - start if self.strand != '-' else end - g)
+            offset += end - start + 1
+        return None
+
+    def in_cds(self, g):
+        return any(start <= g <= end for start, end in self.cds)
+
+    def coding_sequence(self, reference):
+        if self.cds_seq is None:
+            seq = ''.join(reference.fetch(self.chrom, start - 1, end) for start, end in self.cds)
+            self.cds_seq = seq if self.strand != '-' else reverse_complement(seq)
+        return self.cds_seq
+
+    def splice_effect(self, g):
+        """splice_donor/acceptor_variant (intron bases 1-2), splice_region_variant or None"""
+        for intron_start, intron_end, donor_at_start in self.introns:
+            if intron_start - SPLICE_REGION_EXON <= g <= intron_end + SPLICE_REGION_EXON:
+                if g < intron_start or g > intron_end:
+                    return 'splice_region_variant'
+                from_start = g - intron_start + 1
+                from_end = intron_end - g + 1
+                if from_start <= 2:
+                    return 'splice_donor_variant' if donor_at_start else 'splice_acceptor_variant'
+                if from_end <= 2:
+                    return 'splice_acceptor_variant' if donor_at_start else 'splice_donor_variant'
+                if from_start <= SPLICE_REGION_INTRON or from_end <= SPLICE_REGION_INTRON:
+                    return 'splice_region_variant'
+        return None
+
+    def priority(self):
+        """Sort key for picking the representative transcript (MANE > canonical > coding > longest CDS)"""
+        return (
+            'MANE_Select' not in self.tags,
+            'Ensembl_canonical' not in self.tags and 'canonical' not in self.tags,
+            not self.coding,
+            -self.cds_length
+        )
+
+class GeneModel:
+    """
+    Transcript model streamed from a GTF or GFF3 file (plain or gzip/bgzip)
+    Only transcripts overlapping the variants are kept: a first pass records transcript spans,
+    a second pass collects exons and CDS of the transcripts that overlap a variant
+    """
+
+    EXON_FEATURES = ('exon',)
+    CDS_FEATURES = ('CDS', 'stop_codon')  # GTF CDS excludes the stop codon, GFF3 CDS includes it
+
+    def __init__(self, source, name=None):
+        self.source = as_byte_source(source)
+        self.name = name
+        self.format = None
+        self.by_chrom = {}
+        self.transcript_count = 0
+
+    def feature_lines(self, chrom_map):
+        """Yield (variant chrom, fields, attrs) for exon/CDS/transcript-level lines on wanted contigs"""
+        for line in iter_text_lines(self.source):
+            if not line or line[0] == '#':
+                continue
+            fields = line.rstrip('\\r').split('\\t')
+            if len(fields) < 9 or fields[0] not in chrom_map:
+                continue
+            attrs = parse_feature_attributes(fields[8])
+            if self.format is None:
+                self.format = 'GFF3' if 'ID' in attrs or 'Parent' in attrs else 'GTF'
+            yield chrom_map[fields[0]], fields, attrs
+
+    def transcript_ids(self, fields, attrs):
+        if 'transcript_id' in attrs and self.format == 'GTF':
+            return [attrs['transcript_id']]
+        if fields[2] in self.EXON_FEATURES or fields[2] in self.CDS_FEATURES:
+            return [parent for parent in attrs.get('Parent', '').split(',') if parent]
+        return []
+
+    def load(self, sites):
+        """
+        sites: {variant chrom: [(start, end), ...]} 1-based intervals to annotate
+        Keeps the transcripts whose span (plus splice region) overlaps any site
+        """
+        chrom_map = {}
+        for chrom in sites:
+            for alias in contig_aliases(chrom):
+                chrom_map.setdefault(alias, chrom)
+
+        site_index = {}
+        for chrom, intervals in sites.items():
+            intervals = sorted(intervals)
+            site_index[chrom] = (
+                [start for start, _ in intervals],
+                intervals,
+                max(end - start for start, end in intervals)
+            )
+
+        # Pass 1: transcript spans (from their exon/CDS lines) and GFF3 gene / transcript metadata
+        spans = {}
+        gff_meta = {}
+        gene_names = {}
+        for chrom, fields, attrs in self.feature_lines(chrom_map):
+            feature = fields[2]
+            if self.format == 'GFF3' and feature not in self.EXON_FEATURES and feature not in self.CDS_FEATURES:
+                if 'ID' in attrs:
+                    if feature == 'gene' or 'Parent' not in attrs:
+                        gene_names[attrs['ID']] = attrs.get('gene_name') or attrs.get('Name') or attrs['ID']
+                    else:
+                        gff_meta[attrs['ID']] = (attrs, feature)
+                continue
+
+            start, end = int(fields[3]), int(fields[4])
+            for transcript_id in self.transcript_ids(fields, attrs):
+                span = spans.get(transcript_id)
+                if span is None:
+                    spans[transcript_id] = [chrom, start, end]
+                else:
+                    span[1] = min(span[1], start)
+                    span[2] = max(span[2], end)
+
+        wanted = set()
+        for transcript_id, (chrom, start, end) in spans.items():
+            starts, intervals, longest = site_index[chrom]
+            i = bisect.bisect_right(starts, end)
+            while i > 0:
+                i -= 1
+                if intervals[i][1] >= start:
+                    wanted.add(transcript_id)
+                    break
+                # Sites are sorted by start; past the longest site nothing further left can overlap
+                if intervals[i][0] < start - longest:
+                    break
+        spans = None
+
+        # Pass 2: exons / CDS of the wanted transcripts
+        transcripts = {}
+        for chrom, fields, attrs in self.feature_lines(chrom_map):
+            feature = fields[2]
+            is_exon = feature in self.EXON_FEATURES
+            is_cds = feature in self.CDS_FEATURES
+            if not is_exon and not is_cds:
+                continue
+            for transcript_id in self.transcript_ids(fields, attrs):
+                if transcript_id not in wanted:
+                    continue
+                transcript = transcripts.get(transcript_id)
+                if transcript is None:
+                    transcript = Transcript(transcript_id, chrom, fields[6])
+                    meta, meta_feature = gff_meta.get(transcript_id, (attrs, None))
+                    transcript.gene_id = meta.get('gene_id') or meta.get('Parent')
+                    transcript.gene = (meta.get('gene_name') or gene_names.get(transcript.gene_id)
+                                       or meta.get('gene') or transcript.gene_id)
+                    transcript.biotype = (meta.get('transcript_type') or meta.get('transcript_biotype')
+                                          or meta.get('biotype')
+                                          or ('protein_coding' if meta_feature == 'mRNA' else meta_feature))
+                    transcript.tags = {tag.replace(' ', '_') for tag in meta.get('tag', [])}
+                    # Versioned stable ID where the file has one (Ensembl GFF3 keeps the version separately)
+                    display_id = meta.get('transcript_id') or transcript_id
+                    if meta.get('version') and '.' not in display_id:
+                        display_id = f"{display_id}.{meta['version']}"
+                    transcript.id = display_id
+                    transcripts[transcript_id] = transcript
+                interval = (int(fields[3]), int(fields[4]))
+                (transcript.exons if is_exon else transcript.cds).append(interval)
+
+        for transcript in transcripts.values():
+            transcript.finalize()
+            self.by_chrom.setdefault(transcript.chrom, []).append(transcript)
+
+        # Sorted by start with the longest span, for overlap queries
+        self.index = {}
+        for chrom, chrom_transcripts in self.by_chrom.items():
+            chrom_transcripts.sort(key=lambda t: t.start)
+            self.index[chrom] = (
+                [t.start for t in chrom_transcripts],
+                max(t.end - t.start for t in chrom_transcripts)
+            )
+
+        self.transcript_count = len(transcripts)
+        print(f"Loaded {self.transcript_count:,} transcripts overlapping variants ({self.format or 'no matching lines'})")
+        return self
+
+    def overlapping(self, chrom, start, end):
+        """Transcripts whose span overlaps [start, end] (splice regions always lie inside the span)"""
+        if chrom not in self.index:
+            return []
+        starts, longest = self.index[chrom]
+        chrom_transcripts = self.by_chrom[chrom]
+        found = []
+        i = bisect.bisect_right(starts, end)
+        while i > 0:
+            i -= 1
+            transcript = chrom_transcripts[i]
+            if transcript.start < start - longest:
+                break
+            if transcript.end >= start:
+                found.append(transcript)
+        return found
+
+def shift_deletion_3prime(transcript, reference, low, high):
+    """Move a deleted genomic range [low, high] to its most 3' equivalent (HGVS 3' rule) within one exon/intron"""
+    segment = transcript.segment(low)
+    for _ in range(1000):
+        if transcript.strand != '-':
+            nxt = high + 1
+            if reference.base(transcript.chrom, nxt - 1) != reference.base(transcript.chrom, low - 1) or transcript.segment(nxt) != segment:
+                break
+            low, high = low + 1, nxt
+        else:
+            prv = low - 1
+            if reference.base(transcript.chrom, prv - 1) != reference.base(transcript.chrom, high - 1) or transcript.segment(prv) != segment:
+                break
+            low, high = prv, high - 1
+    return low, high
+
+def shift_insertion_3prime(transcript, reference, after, inserted):
+    """
+    Move an insertion (plus-strand bases) between genomic positions after and after + 1
+    to its most 3' equivalent; returns (after, inserted)
+    """
+    segment = transcript.segment(after if transcript.strand != '-' else after + 1)
+    for _ in range(1000):
+        if transcript.strand != '-':
+            nxt = after + 1
+            if reference.base(transcript.chrom, nxt - 1) != inserted[0] or transcript.segment(nxt) != segment:
+                break
+            inserted, after = inserted[1:] + inserted[0], nxt
+        else:
+            if reference.base(transcript.chrom, after - 1) != inserted[-1] or transcript.segment(after) != segment:
+                break
+            inserted, after = inserted[-1] + inserted[:-1], after - 1
+    return after, inserted
+
+def hgvs_coding(transcript, start, ref, alt, reference):
+    """HGVS c. (coding) or n. (non-coding) description of a trimmed allele on a transcript"""
+    prefix = 'c.' if transcript.coding else 'n.'
+    plus = transcript.strand != '-'
+    oriented = (lambda seq: seq) if plus else reverse_complement
+    has_reference = reference is not None and reference.resolve(transcript.chrom) is not None
+
+    if ref and alt:
+        if len(ref) == 1 and len(alt) == 1:
+            return f"{prefix}{transcript.hgvs_position(start)}{oriented(ref)}>{oriented(alt)}"
+        return f"{prefix}{transcript.hgvs_range(start, start + len(ref) - 1)}delins{oriented(alt)}"
+
+    if ref:
+        low, high = start, start + len(ref) - 1
+        if has_reference:
+            low, high = shift_deletion_3prime(transcript, reference, low, high)
+        return f"{prefix}{transcript.hgvs_range(low, high)}del"
+
+    after, inserted = start - 1, alt
+    if has_reference:
+        after, inserted = shift_insertion_3prime(transcript, reference, after, inserted)
+        # An insertion repeating the preceding bases (in transcript order) is a duplication
+        size = len(inserted)
+        if plus:
+            dup_low, dup_high = after - size + 1, after
+        else:
+            dup_low, dup_high = after + 1, after + size
+        if reference.fetch(transcript.chrom, dup_low - 1, dup_high) == inserted:
+            return f"{prefix}{transcript.hgvs_range(dup_low, dup_high)}dup"
+    return f"{prefix}{transcript.hgvs_range(after, after + 1)}ins{oriented(inserted)}"
 
-        # OPTIMIZATION 4: Call variants from sparse pileup
-        for pos in sorted(pileup.keys()):
-            bases = pileup[pos]
-            total_depth = sum(bases.values())
+def protein_change(ref_protein, alt_protein, frameshift):
+    """
+    Compare reference and variant protein sequences (both translated from codon 1)
+    Returns (consequence, HGVS p. string)
 
-            # Skip if below minimum depth
-            if total_depth < min_depth:
-                continue
+    >>> protein_change('MKLRGTAGLHLRK*', 'MKL*', False)
+    ('stop_gained', 'p.Arg4Ter')
+    >>> protein_change('MKLRGTAGLHLRK*', 'MKLRGLHLRK*', False)
+    ('inframe_deletion', 'p.Thr6_Gly8del')
+    """
+    shared = 0
+    limit = min(len(ref_protein), len(alt_protein))
+    while shared < limit and ref_protein[shared] == alt_protein[shared]:
+        shared += 1
+
+    if shared == 0 and ref_protein[:1] == 'M' and alt_protein[:1] != 'M':
+        return 'start_lost', 'p.Met1?'
+
+    if frameshift:
+        if shared >= len(ref_protein):
+            return 'frameshift_variant', 'p.?'
+        position = shared + 1
+        ref_aa = three_letter(ref_protein[shared])
+        if shared < len(alt_protein) and alt_protein[shared] == '*':
+            return 'frameshift_variant', f"p.{ref_aa}{position}Ter"
+        alt_aa = three_letter(alt_protein[shared]) if shared < len(alt_protein) else 'Xaa'
+        stop = alt_protein.find('*', shared)
+        length = str(stop - shared + 1) if stop >= 0 else '?'
+        return 'frameshift_variant', f"p.{ref_aa}{position}{alt_aa}fsTer{length}"
+
+    if shared == len(ref_protein) and shared == len(alt_protein):
+        return 'synonymous_variant', None
+
+    def aa_range(low, high):
+        label = f"{three_letter(ref_protein[low - 1])}{low}"
+        return label if low == high else f"{label}_{three_letter(ref_protein[high - 1])}{high}"
+
+    # Premature stop: everything from the first changed residue up to the new stop is replaced.
+    # A stop that follows residues shared with the reference's C-terminus is the original stop
+    # moved up by an in-frame deletion (e.g. EGFR E746_A750del), not a new one.
+    stop = alt_protein.find('*')
+    premature = 0 <= stop < len(ref_protein) - 1 and (ref_protein.find('*') < 0 or stop < ref_protein.find('*'))
+    if premature and stop > shared:
+        ref_body = ref_protein[:-1] if ref_protein.endswith('*') else ref_protein
+        premature = len(ref_body) <= shared or ref_body[-1] != alt_protein[stop - 1]
+    if premature:
+        if stop == shared:
+            return 'stop_gained', f"p.{three_letter(ref_protein[shared])}{shared + 1}Ter"
+        return 'stop_gained', f"p.{aa_range(shared + 1, stop + 1)}delins{three_letter(alt_protein[shared:stop + 1])}"
+
+    # Strip the shared suffix (prefix first, so repeats are described at their 3' end)
+    ref_end, alt_end = len(ref_protein), len(alt_protein)
+    while ref_end > shared and alt_end > shared and ref_protein[ref_end - 1] == alt_protein[alt_end - 1]:
+        ref_end -= 1
+        alt_end -= 1
+    ref_seg = ref_protein[shared:ref_end]
+    alt_seg = alt_protein[shared:alt_end]
+    first = shared + 1
+
+    if ref_seg[:1] == '*':
+        extension = alt_protein.find('*', shared)
+        length = str(extension - shared) if extension >= 0 else '?'
+        return 'stop_lost', f"p.Ter{first}{three_letter(alt_seg[:1] or 'X')}extTer{length}"
+
+    if len(ref_seg) == 1 and len(alt_seg) == 1:
+        return 'missense_variant', f"p.{three_letter(ref_seg)}{first}{three_letter(alt_seg)}"
+
+    if not alt_seg:
+        return 'inframe_deletion', f"p.{aa_range(first, first + len(ref_seg) - 1)}del"
+
+    if not ref_seg:
+        size = len(alt_seg)
+        if shared >= size and ref_protein[shared - size:shared] == alt_seg:
+            return 'inframe_insertion', f"p.{aa_range(shared - size + 1, shared)}dup"
+        if shared == 0 or shared >= len(ref_protein):
+            return 'inframe_insertion', 'p.?'
+        return 'inframe_insertion', f"p.{aa_range(shared, shared + 1)}ins{three_letter(alt_seg)}"
+
+    consequence = ('inframe_deletion' if len(alt_seg) < len(ref_seg)
+                   else 'inframe_insertion' if len(alt_seg) > len(ref_seg) else 'missense_variant')
+    return consequence, f"p.{aa_range(first, first + len(ref_seg) - 1)}delins{three_letter(alt_seg)}"
+
+def annotate_on_transcript(transcript, start, ref, alt, reference):
+    """Consequence, HGVS and exon/intron number of one trimmed allele on one transcript"""
+    if ref:
+        low, high = start, start + len(ref) - 1
+        bases = range(low, high + 1)
+    else:
+        low, high = start - 1, start
+        bases = (low, high)
 
-            # Find reference base (most common)
-            ref_base = max(bases.keys(), key=lambda b: bases[b])
-            ref_count = bases[ref_base]
+    consequences = []
 
-            # Check each alternate base
-            for alt_base in ['A', 'C', 'G', 'T']:
-                if alt_base == ref_base or alt_base == 'N':
-                    continue
+    # Splice sites: an insertion only hits a donor/acceptor if both flanking bases are in it
+    effects = [transcript.splice_effect(g) for g in bases]
+    if ref:
+        splice = min((e for e in effects if e), key=CONSEQUENCE_RANK.get, default=None)
+    elif effects[0] == effects[1]:
+        splice = effects[0]
+    else:
+        splice = 'splice_region_variant' if any(effects) else None
+
+    exonic = [g for g in bases if transcript.tx_position(g) is not None]
+    coding = [g for g in bases if transcript.coding and transcript.in_cds(g)]
+    hgvs_p = None
+
+    if transcript.coding and coding and len(coding) == len(bases):
+        length_change = len(alt) - len(ref)
+        frameshift = length_change % 3 != 0
+        if reference is not None and reference.resolve(transcript.chrom) is not None:
+            cds = transcript.coding_sequence(reference)
+            plus = transcript.strand != '-'
+            if ref:
+                i = transcript.cds_offset(low if plus else high)
+                j = transcript.cds_offset(high if plus else low) + 1
+            else:
+                i = transcript.cds_offset(low if plus else high) + 1
+                j = i
+            alt_tx = alt if plus else reverse_complement(alt)
+            alt_cds = cds[:i] + alt_tx + cds[j:]
+            ref_protein = translate(cds)
+            ref_protein = ref_protein[:ref_protein.find('*') + 1] if '*' in ref_protein else ref_protein
+            alt_protein = translate(alt_cds)
+            if '*' in alt_protein:
+                alt_protein = alt_protein[:alt_protein.find('*') + 1]
+            consequence, hgvs_p = protein_change(ref_protein, alt_protein, frameshift)
+            if consequence == 'synonymous_variant':
+                codon = i // 3 + 1
+                hgvs_p = f"p.{three_letter(ref_protein[codon - 1:codon] or 'X')}{codon}="
+        elif frameshift:
+            consequence = 'frameshift_variant'
+        elif ref and alt:
+            consequence = 'coding_sequence_variant'
+        else:
+            consequence = 'inframe_insertion' if length_change > 0 else 'inframe_deletion'
+        consequences.append(consequence)
+    elif coding:
+        consequences.append('coding_sequence_variant')
+        hgvs_p = 'p.?'
+    elif exonic:
+        if not transcript.coding:
+            consequences.append('non_coding_transcript_exon_variant')
+        else:
+            tx = transcript.tx_position(exonic[0])
+            consequences.append('5_prime_UTR_variant' if tx < transcript.cds_start_tx else '3_prime_UTR_variant')
 
-                alt_count = bases[alt_base]
+    if len(exonic) < len(bases) and transcript.start <= low and high <= transcript.end:
+        consequences.append('intron_variant')
 
-                # Early exit checks (fast)
-                if alt_count < min_variant_reads:
-                    continue
+    if splice:
+        consequences.append(splice)
 
-                allele_freq = alt_count / total_depth
+    if not consequences:
+        consequences.append('intron_variant')
 
-                if allele_freq < min_allele_freq:
-                    continue
+    consequences = sorted(set(consequences), key=CONSEQUENCE_RANK.get)
 
-                # Calculate quality score
-                # Simple phred-scaled quality based on allele frequency and depth
-                error_prob = (1 - allele_freq) ** alt_count
-                qual = min(-10 * math.log10(max(error_prob, 1e-100)), 999)
+    exon = transcript.exon_number(low) or transcript.exon_number(high)
+    intron = transcript.intron_number(low) if exon is None else None
 
-                variants.append({
-                    'chrom': chrom_name,
-                    'pos': pos + 1,  # VCF is 1-based
-                    'ref': ref_base,
-                    'alt': alt_base,
-                    'qual': float(qual),
-                    'type': 'SNV',
-                    'depth': total_depth,
-                    'ref_count': ref_count,
-                    'alt_count': alt_count,
-                    'allele_freq': float(allele_freq)
-                })
+    return {
+        'gene': transcript.gene,
+        'gene_id': transcript.gene_id,
+        'transcript': transcript.id,
+        'biotype': transcript.biotype,
+        'strand': transcript.strand,
+        'consequence': consequences[0],
+        'consequences': consequences,
+        'impact': CONSEQUENCE_IMPACT.get(consequences[0], 'MODIFIER'),
+        'hgvs_c': hgvs_coding(transcript, start, ref, alt, reference),
+        'hgvs_p': hgvs_p,
+        'exon': f"{exon}/{len(transcript.exons)}" if exon else None,
+        'intron': f"{intron}/{len(transcript.exons) - 1}" if intron else None,
+        'canonical': 'MANE_Select' in transcript.tags or 'Ensembl_canonical' in transcript.tags,
+        '_priority': transcript.priority()
+    }
 
-        # Release memory for this window
-        pileup = None
-        position_coverage = None
+def annotate_variants(variants, gene_model_source, reference=None, name=None):
+    """
+    Annotate called variants with gene, transcript, HGVS c./p. and consequence from a GTF/GFF3 model
+    Every overlapping transcript is listed in variant['annotations']; the representative one
+    (MANE Select > Ensembl canonical > protein coding > longest CDS, then most severe) is copied
+    to the top-level gene / transcript / hgvs_c / hgvs_p / consequence / impact fields.
+    Protein changes need the reference FASTA; without it only location-based consequences are given.
+    """
+    trimmed = []
+    sites = {}
+    for v in variants:
+        start, ref, alt = trim_alleles(v['pos'], v['ref'].upper(), v['alt'].upper())
+        trimmed.append((start, ref, alt))
+        low, high = (start, start + len(ref) - 1) if ref else (start - 1, start)
+        sites.setdefault(v['chrom'], []).append((low, high))
+
+    model = GeneModel(gene_model_source, name).load(sites)
+
+    annotated = 0
+    for v, (start, ref, alt) in zip(variants, trimmed):
+        low, high = (start, start + len(ref) - 1) if ref else (start - 1, start)
+        annotations = [
+            annotate_on_transcript(transcript, start, ref, alt, reference)
+            for transcript in model.overlapping(v['chrom'], low, high)
+        ] if ref or alt else []
+        annotations.sort(key=lambda a: (a['_priority'], CONSEQUENCE_RANK[a['consequence']]))
+        for annotation in annotations:
+            del annotation['_priority']
+
+        top = annotations[0] if annotations else None
+        v['annotations'] = annotations
+        v['gene'] = top['gene'] if top else None
+        v['transcript'] = top['transcript'] if top else None
+        v['hgvs_c'] = top['hgvs_c'] if top else None
+        v['hgvs_p'] = top['hgvs_p'] if top else None
+        v['consequence'] = top['consequence'] if top else 'intergenic_variant'
+        v['impact'] = top['impact'] if top else 'MODIFIER'
+        if top:
+            annotated += 1
+
+    print(f"Annotated {annotated:,}/{len(variants):,} variants with {model.transcript_count:,} transcripts")
 
-    print(f"  ✓ Found {len(variants):,} variants in {chrom_name}")
-    return variants
+    return {
+        'variants': variants,
+        'summary': {
+            'gene_model': name,
+            'format': model.format,
+            'transcripts': model.transcript_count,
+            'annotated': annotated,
+            'reference': (reference.name or 'reference.fa') if reference is not None else None
+        }
+    }
 
 print("✓ Python bioinformatics environment ready")
       `);
@@ -1032,6 +4327,101 @@ print("✓ Python bioinformatics environment ready")
   return initializationPromise;
 }
 
+/**
+ * Resolve a file input to a Blob
+ * Accepts a File/Blob, an OPFS FileSystemFileHandle or (legacy) an ArrayBuffer
+ */
+async function resolveBlob(input) {
+  if (!input) return null;
+  if (input instanceof Blob) return input;
+  if (typeof input.getFile === 'function') return await input.getFile();
+  return new Blob([input]);
+}
+
+/**
+ * Synchronous random-access reader over a Blob, consumed by Python's BlobSource
+ * FileReaderSync is only available inside workers, so slices are pulled on demand
+ * instead of copying the whole BAM into WASM memory
+ */
+function createBlobReader(blob) {
+  const reader = new FileReaderSync();
+  return {
+    size: blob.size,
+    read(offset, length) {
+      return new Uint8Array(reader.readAsArrayBuffer(blob.slice(offset, offset + length)));
+    }
+  };
+}
+
+/**
+ * Read a (small) index file fully into memory
+ */
+async function readIndexBytes(indexFile) {
+  const blob = await resolveBlob(indexFile);
+  return blob ? new Uint8Array(await blob.arrayBuffer()) : undefined;
+}
+
+/**
+ * Expose an optional reference FASTA to Python (reference_source_js / reference_fai_js / reference_name_js)
+ * The FASTA is streamed like the BAM; the .fai is small text and read fully
+ */
+async function setReferenceGlobals(options = {}) {
+  const fastaBlob = await resolveBlob(options.referenceFile);
+  const faiBlob = await resolveBlob(options.referenceIndexFile);
+
+  if (fastaBlob && faiBlob) {
+    pyodide.globals.set('reference_source_js', createBlobReader(fastaBlob));
+    pyodide.globals.set('reference_fai_js', await faiBlob.text());
+    pyodide.globals.set('reference_name_js', options.referenceName || fastaBlob.name || undefined);
+  } else {
+    pyodide.globals.set('reference_source_js', undefined);
+    pyodide.globals.set('reference_fai_js', undefined);
+    pyodide.globals.set('reference_name_js', undefined);
+  }
+}
+
+function clearReferenceGlobals() {
+  pyodide.globals.delete('reference_source_js');
+  pyodide.globals.delete('reference_fai_js');
+  pyodide.globals.delete('reference_name_js');
+}
+
+/**
+ * Expose an optional target BED to Python (targets_bed_js / target_padding_js / targets_name_js)
+ * BED files are small text, so they are read fully
+ */
+async function setTargetGlobals(options = {}) {
+  const bedBlob = await resolveBlob(options.targetsFile);
+
+  pyodide.globals.set('targets_bed_js', bedBlob ? await bedBlob.text() : undefined);
+  pyodide.globals.set('target_padding_js', options.targetPadding ?? 0);
+  pyodide.globals.set('targets_name_js', bedBlob ? (options.targetsName || bedBlob.name || undefined) : undefined);
+}
+
+function clearTargetGlobals() {
+  pyodide.globals.delete('targets_bed_js');
+  pyodide.globals.delete('target_padding_js');
+  pyodide.globals.delete('targets_name_js');
+}
+
+/**
+ * Expose an optional CNV mask BED to Python (mask_bed_js / mask_name_js / min_mappability_js)
+ * Blacklist BEDs mask every interval; mappability bedGraphs only those scoring below minMappability
+ */
+async function setMaskGlobals(options = {}) {
+  const maskBlob = await resolveBlob(options.maskFile);
+
+  pyodide.globals.set('mask_bed_js', maskBlob ? await maskBlob.text() : undefined);
+  pyodide.globals.set('mask_name_js', maskBlob ? (options.maskName || maskBlob.name || undefined) : undefined);
+  pyodide.globals.set('min_mappability_js', options.minMappability ?? undefined);
+}
+
+function clearMaskGlobals() {
+  pyodide.globals.delete('mask_bed_js');
+  pyodide.globals.delete('mask_name_js');
+  pyodide.globals.delete('min_mappability_js');
+}
+
 /**
  * Analyze BAM file with full Python bioinformatics pipeline
  */
@@ -1044,6 +4434,7 @@ async function analyzeBamFile(fileData, options = {}) {
     const windowSize = options.windowSize || 10000;
     const chromosome = options.chromosome || null;
     const chromosomes = options.chromosomes || null;
+    const region = options.region || null;
 
     // Manual threshold parameters
     const useManualThresholds = options.useManualThresholds || false;
@@ -1051,25 +4442,47 @@ async function analyzeBamFile(fileData, options = {}) {
     const delThreshold = options.delThreshold || 0.5;
     const minWindows = options.minWindows || 3;
 
+    // Structural variants come from the same pass over the reads
+    const callStructuralVariants = options.callStructuralVariants || false;
+    const svMinSupport = options.svMinSupport || 3;
+    const svMinMappingQuality = options.svMinMappingQuality ?? 20;
+
+    // B-allele fractions too: at the bundled common-SNP sites, or het sites found in the sample
+    const collectBaf = options.collectBaf || false;
+    const bafMinDepth = options.bafMinDepth || 10;
+
+    // Bias correction: GC from the reference FASTA, windows masked by a blacklist / mappability BED
+    const gcCorrection = options.gcCorrection ?? true;
+    const maxMaskedFraction = options.maxMaskedFraction ?? 0.5;
+
     // Send progress updates
     self.postMessage({
       type: 'analysis-progress',
       stage: 'loading',
-      message: 'Loading BAM file into Python...',
+      message: 'Opening BAM file for streaming...',
       progress: 10
     });
 
-    // Convert ArrayBuffer to Uint8Array for Python
-    const bamBytes = new Uint8Array(fileData);
-
-    // Store BAM data in Pyodide memory
-    pyodide.globals.set('bam_data_js', bamBytes);
+    // Python pulls BGZF blocks from the Blob on demand (nothing is copied up front)
+    const bamBlob = await resolveBlob(fileData);
+    pyodide.globals.set('bam_source_js', createBlobReader(bamBlob));
 
     // Store chromosomes list if provided
     if (chromosomes) {
       pyodide.globals.set('chromosomes_js', chromosomes);
     }
 
+    // Store BAI index and region (passed through globals to avoid quoting issues)
+    pyodide.globals.set('bai_data_js', await readIndexBytes(options.indexFile));
+    pyodide.globals.set('region_js', region || undefined);
+
+    // Optional target BED (exome / panel): on-target windows only
+    await setTargetGlobals(options);
+    pyodide.globals.set('baf_sites_js', collectBaf && options.bafSites ? JSON.stringify(options.bafSites) : undefined);
+    // The reference also drops N-gap windows, so it is passed even when GC correction is off
+    await setReferenceGlobals(options);
+    await setMaskGlobals(options);
+
     self.postMessage({
       type: 'analysis-progress',
       stage: 'parsing',
@@ -1088,18 +4501,36 @@ async function analyzeBamFile(fileData, options = {}) {
     const resultJson = await pyodide.runPythonAsync(`
 import json
 
-# Get BAM data from JavaScript
-bam_bytes = bytes(bam_data_js.to_py())
+# Stream BAM data from the JavaScript Blob (optional BAI index is small, read fully)
+bam_source = BlobSource(bam_source_js)
+bai_bytes = bytes(bai_data_js.to_py()) if bai_data_js is not None else None
+targets = TargetRegions(targets_bed_js, target_padding_js, targets_name_js) if targets_bed_js is not None else None
+baf_sites = json.loads(baf_sites_js) if baf_sites_js is not None else None
+reference = FastaReference(BlobSource(reference_source_js), reference_fai_js, reference_name_js) if reference_source_js is not None else None
+mask = TargetRegions(mask_bed_js, 0, mask_name_js, kind='mask', max_score=min_mappability_js) if mask_bed_js is not None else None
 
 # Run analysis
 result = analyze_bam_coverage(
-    bam_bytes,
+    bam_source,
     window_size=${windowSize},
     ${chromParam},
     use_manual_thresholds=${useManualThresholds ? 'True' : 'False'},
     amp_threshold=${ampThreshold},
     del_threshold=${delThreshold},
-    min_windows_override=${minWindows}
+    min_windows_override=${minWindows},
+    bai_bytes=bai_bytes,
+    region=region_js,
+    targets=targets,
+    call_structural_variants=${callStructuralVariants ? 'True' : 'False'},
+    sv_min_support=${svMinSupport},
+    sv_min_mapping_quality=${svMinMappingQuality},
+    collect_baf=${collectBaf ? 'True' : 'False'},
+    baf_sites=baf_sites,
+    baf_min_depth=${bafMinDepth},
+    reference=reference,
+    gc_correction=${gcCorrection ? 'True' : 'False'},
+    mask=mask,
+    max_masked_fraction=${maxMaskedFraction}
 )
 
 # Convert to JSON
@@ -1107,7 +4538,13 @@ json.dumps(result)
     `);
 
     // Clean up
-    pyodide.globals.delete('bam_data_js');
+    pyodide.globals.delete('bam_source_js');
+    pyodide.globals.delete('bai_data_js');
+    pyodide.globals.delete('region_js');
+    pyodide.globals.delete('baf_sites_js');
+    clearReferenceGlobals();
+    clearMaskGlobals();
+    clearTargetGlobals();
     if (chromosomes) {
       pyodide.globals.delete('chromosomes_js');
     }
@@ -1147,26 +4584,42 @@ async function callVariants(fileData, options = {}) {
     const minMappingQuality = options.minMappingQuality || 20;
     const minVariantReads = options.minVariantReads || 3;
     const minAlleleFreq = options.minAlleleFreq || 0.05;
+    const region = options.region || null;
+    const minNormalDepth = options.minNormalDepth || 8;
+    const somaticPValue = options.somaticPValue || 0.05;
 
     // Send progress updates
     self.postMessage({
       type: 'variant-calling-progress',
       stage: 'loading',
-      message: 'Loading BAM file into Python...',
+      message: 'Opening BAM file for streaming...',
       progress: 10
     });
 
-    // Convert ArrayBuffer to Uint8Array for Python
-    const bamBytes = new Uint8Array(fileData);
-
-    // Store BAM data in Pyodide memory
-    pyodide.globals.set('bam_data_js', bamBytes);
+    // Python pulls BGZF blocks from the Blob on demand (nothing is copied up front)
+    const bamBlob = await resolveBlob(fileData);
+    pyodide.globals.set('bam_source_js', createBlobReader(bamBlob));
 
     // Store chromosomes list if provided
     if (chromosomes) {
       pyodide.globals.set('chromosomes_js', chromosomes);
     }
 
+    // Store BAI index and region (passed through globals to avoid quoting issues)
+    pyodide.globals.set('bai_data_js', await readIndexBytes(options.indexFile));
+    pyodide.globals.set('region_js', region || undefined);
+
+    // Optional reference FASTA + .fai for true REF alleles
+    await setReferenceGlobals(options);
+
+    // Optional target BED (exome / panel): calls restricted to padded targets
+    await setTargetGlobals(options);
+
+    // Optional matched normal BAM (paired tumor-normal mode), streamed like the tumor
+    const normalBlob = await resolveBlob(options.normalFile);
+    pyodide.globals.set('normal_source_js', normalBlob ? createBlobReader(normalBlob) : undefined);
+    pyodide.globals.set('normal_bai_data_js', normalBlob ? await readIndexBytes(options.normalIndexFile) : undefined);
+
     self.postMessage({
       type: 'variant-calling-progress',
       stage: 'parsing',
@@ -1183,18 +4636,37 @@ async function callVariants(fileData, options = {}) {
     const resultJson = await pyodide.runPythonAsync(`
 import json
 
-# Get BAM data from JavaScript
-bam_bytes = bytes(bam_data_js.to_py())
+# Stream BAM data from the JavaScript Blob (optional BAI index is small, read fully)
+bam_source = BlobSource(bam_source_js)
+bai_bytes = bytes(bai_data_js.to_py()) if bai_data_js is not None else None
+
+# Indexed reference FASTA (streamed the same way as the BAM)
+reference = FastaReference(BlobSource(reference_source_js), reference_fai_js, reference_name_js) if reference_source_js is not None else None
+
+# Target BED intervals (padded) for exome / panel data
+targets = TargetRegions(targets_bed_js, target_padding_js, targets_name_js) if targets_bed_js is not None else None
+
+# Matched normal for paired mode
+normal_source = BlobSource(normal_source_js) if normal_source_js is not None else None
+normal_bai_bytes = bytes(normal_bai_data_js.to_py()) if normal_bai_data_js is not None else None
 
 # Run variant calling
 result = call_variants_from_bam(
-    bam_bytes,
+    bam_source,
     ${chromParam},
     min_depth=${minDepth},
     min_base_quality=${minBaseQuality},
     min_mapping_quality=${minMappingQuality},
     min_variant_reads=${minVariantReads},
-    min_allele_freq=${minAlleleFreq}
+    min_allele_freq=${minAlleleFreq},
+    bai_bytes=bai_bytes,
+    region=region_js,
+    reference=reference,
+    normal_source=normal_source,
+    normal_bai_bytes=normal_bai_bytes,
+    min_normal_depth=${minNormalDepth},
+    somatic_p_value=${somaticPValue},
+    targets=targets
 )
 
 # Convert to JSON
@@ -1202,7 +4674,13 @@ json.dumps(result)
     `);
 
     // Clean up
-    pyodide.globals.delete('bam_data_js');
+    pyodide.globals.delete('bam_source_js');
+    pyodide.globals.delete('bai_data_js');
+    pyodide.globals.delete('region_js');
+    clearReferenceGlobals();
+    clearTargetGlobals();
+    pyodide.globals.delete('normal_source_js');
+    pyodide.globals.delete('normal_bai_data_js');
     if (chromosomes) {
       pyodide.globals.delete('chromosomes_js');
     }
@@ -1227,6 +4705,266 @@ json.dumps(result)
   }
 }
 
+/**
+ * Annotate variants with gene / transcript / HGVS / consequence from a GTF or GFF3 gene model
+ * The gene model (optionally gzipped) and the reference FASTA are streamed, not copied
+ */
+async function annotateVariants(variants, options = {}) {
+  if (!isInitialized) {
+    await initializePyodide();
+  }
+
+  try {
+    const geneModelBlob = await resolveBlob(options.geneModelFile);
+    if (!geneModelBlob) {
+      throw new Error('No gene model (GTF/GFF3) provided');
+    }
+
+    self.postMessage({
+      type: 'variant-calling-progress',
+      stage: 'annotating',
+      message: `Annotating ${variants.length.toLocaleString()} variants...`,
+      progress: 95
+    });
+
+    pyodide.globals.set('variants_json_js', JSON.stringify(variants));
+    pyodide.globals.set('gene_model_source_js', createBlobReader(geneModelBlob));
+    pyodide.globals.set('gene_model_name_js', options.geneModelName || geneModelBlob.name || undefined);
+
+    // Protein changes need the reference FASTA
+    await setReferenceGlobals(options);
+
+    const resultJson = await pyodide.runPythonAsync(`
+import json
+
+reference = FastaReference(BlobSource(reference_source_js), reference_fai_js, reference_name_js) if reference_source_js is not None else None
+
+result = annotate_variants(
+    json.loads(variants_json_js),
+    BlobSource(gene_model_source_js),
+    reference=reference,
+    name=gene_model_name_js
+)
+
+json.dumps(result)
+    `);
+
+    pyodide.globals.delete('variants_json_js');
+    pyodide.globals.delete('gene_model_source_js');
+    pyodide.globals.delete('gene_model_name_js');
+    clearReferenceGlobals();
+
+    return JSON.parse(resultJson);
+
+  } catch (error) {
+    throw new Error(`Variant annotation failed: ${error.message}`);
+  }
+}
+
+/**
+ * Fit one GC curve over coverage windows merged from several pool workers
+ * @param {Array} windows - [{coverage, gc, normalized}] in merged order
+ * @returns {Promise<Object>} {factors: [gc_factor per window] or null, summary}
+ */
+async function correctMergedGcBias(windows) {
+  if (!isInitialized) {
+    await initializePyodide();
+  }
+
+  pyodide.globals.set('gc_windows_json_js', JSON.stringify(windows));
+
+  const resultJson = await pyodide.runPythonAsync(`
+import json
+
+gc_windows = json.loads(gc_windows_json_js)
+gc_summary = correct_gc_bias(gc_windows)
+
+json.dumps({
+    'factors': [w['gc_factor'] for w in gc_windows] if gc_summary is not None else None,
+    'summary': gc_summary
+})
+  `);
+
+  pyodide.globals.delete('gc_windows_json_js');
+
+  return JSON.parse(resultJson);
+}
+
+/**
+ * Read only the BAM header: reference names/lengths and the @RG sample name
+ * Used by the worker pool to split variant calling by chromosome
+ */
+async function readBamHeader(fileData, options = {}) {
+  if (!isInitialized) {
+    await initializePyodide();
+  }
+
+  const bamBlob = await resolveBlob(fileData);
+  pyodide.globals.set('bam_source_js', createBlobReader(bamBlob));
+  pyodide.globals.set('bai_data_js', await readIndexBytes(options.indexFile));
+
+  const headerJson = await pyodide.runPythonAsync(`
+import json
+
+header_reader = SimpleBamReader(BlobSource(bam_source_js), bytes(bai_data_js.to_py()) if bai_data_js is not None else None)
+header_reader.read_header()
+header_index = header_reader.index
+
+json.dumps({
+    'references': [
+        {
+            'name': name,
+            'length': length,
+            'mapped': header_index.mapped[i] if header_index is not None and i < len(header_index.mapped) else None
+        }
+        for i, (name, length) in enumerate(zip(header_reader.references, header_reader.reference_lengths))
+    ],
+    'sample_name': header_reader.sample_name,
+    'indexed': header_index is not None
+})
+  `);
+
+  pyodide.globals.delete('bam_source_js');
+  pyodide.globals.delete('bai_data_js');
+
+  return JSON.parse(headerJson);
+}
+
+/**
+ * Measure read depth over small loci (hotspot sites) with the variant caller's read/base filters
+ * @param {Array} loci - [{id, chrom, start, end}] with 1-based inclusive coordinates
+ */
+async function measureLocusDepth(fileData, loci, options = {}) {
+  if (!isInitialized) {
+    await initializePyodide();
+  }
+
+  try {
+    const bamBlob = await resolveBlob(fileData);
+    pyodide.globals.set('bam_source_js', createBlobReader(bamBlob));
+    pyodide.globals.set('bai_data_js', await readIndexBytes(options.indexFile));
+    pyodide.globals.set('loci_json_js', JSON.stringify(loci));
+
+    const resultJson = await pyodide.runPythonAsync(`
+import json
+
+result = measure_locus_depth(
+    BlobSource(bam_source_js),
+    json.loads(loci_json_js),
+    bai_bytes=bytes(bai_data_js.to_py()) if bai_data_js is not None else None,
+    min_base_quality=${options.minBaseQuality ?? 20},
+    min_mapping_quality=${options.minMappingQuality ?? 20}
+)
+
+json.dumps(result)
+    `);
+
+    pyodide.globals.delete('bam_source_js');
+    pyodide.globals.delete('bai_data_js');
+    pyodide.globals.delete('loci_json_js');
+
+    return JSON.parse(resultJson);
+
+  } catch (error) {
+    throw new Error(`Depth measurement failed: ${error.message}`);
+  }
+}
+
+/**
+ * Detect driver gene fusions from split reads and discordant pairs
+ */
+async function callFusions(fileData, catalog, options = {}) {
+  if (!isInitialized) {
+    await initializePyodide();
+  }
+
+  try {
+    const bamBlob = await resolveBlob(fileData);
+    const geneModelBlob = await resolveBlob(options.geneModelFile);
+    pyodide.globals.set('bam_source_js', createBlobReader(bamBlob));
+    pyodide.globals.set('bai_data_js', await readIndexBytes(options.indexFile));
+    pyodide.globals.set('catalog_json_js', JSON.stringify(catalog));
+    pyodide.globals.set('gene_model_source_js', geneModelBlob ? createBlobReader(geneModelBlob) : null);
+    pyodide.globals.set('gene_model_name_js', options.geneModelName || geneModelBlob?.name || undefined);
+
+    const resultJson = await pyodide.runPythonAsync(`
+import json
+
+result = call_fusions(
+    BlobSource(bam_source_js),
+    json.loads(catalog_json_js),
+    bai_bytes=bytes(bai_data_js.to_py()) if bai_data_js is not None else None,
+    min_support=${options.minSupport ?? 3},
+    min_mapping_quality=${options.minMappingQuality ?? 20},
+    gene_model_source=BlobSource(gene_model_source_js) if gene_model_source_js is not None else None,
+    gene_model_name=gene_model_name_js
+)
+
+json.dumps(result)
+    `);
+
+    pyodide.globals.delete('bam_source_js');
+    pyodide.globals.delete('bai_data_js');
+    pyodide.globals.delete('catalog_json_js');
+    pyodide.globals.delete('gene_model_source_js');
+    pyodide.globals.delete('gene_model_name_js');
+
+    return JSON.parse(resultJson);
+
+  } catch (error) {
+    throw new Error(`Fusion detection failed: ${error.message}`);
+  }
+}
+
+/**
+ * Score microsatellite instability at catalogue loci (tumor-only or against a matched normal)
+ */
+async function scoreMsi(fileData, catalog, options = {}) {
+  if (!isInitialized) {
+    await initializePyodide();
+  }
+
+  try {
+    const bamBlob = await resolveBlob(fileData);
+    const normalBlob = await resolveBlob(options.normalFile);
+    pyodide.globals.set('bam_source_js', createBlobReader(bamBlob));
+    pyodide.globals.set('bai_data_js', await readIndexBytes(options.indexFile));
+    pyodide.globals.set('normal_source_js', normalBlob ? createBlobReader(normalBlob) : undefined);
+    pyodide.globals.set('normal_bai_data_js', normalBlob ? await readIndexBytes(options.normalIndexFile) : undefined);
+    pyodide.globals.set('catalog_json_js', JSON.stringify(catalog));
+    await setReferenceGlobals(options);
+
+    const resultJson = await pyodide.runPythonAsync(`
+import json
+
+result = score_msi(
+    BlobSource(bam_source_js),
+    json.loads(catalog_json_js),
+    bai_bytes=bytes(bai_data_js.to_py()) if bai_data_js is not None else None,
+    normal_source=BlobSource(normal_source_js) if normal_source_js is not None else None,
+    normal_bai_bytes=bytes(normal_bai_data_js.to_py()) if normal_bai_data_js is not None else None,
+    reference=FastaReference(BlobSource(reference_source_js), reference_fai_js, reference_name_js) if reference_source_js is not None else None,
+    min_reads=${options.minReads ?? 20},
+    min_mapping_quality=${options.minMappingQuality ?? 20}
+)
+
+json.dumps(result)
+    `);
+
+    pyodide.globals.delete('bam_source_js');
+    pyodide.globals.delete('bai_data_js');
+    pyodide.globals.delete('normal_source_js');
+    pyodide.globals.delete('normal_bai_data_js');
+    pyodide.globals.delete('catalog_json_js');
+    clearReferenceGlobals();
+
+    return JSON.parse(resultJson);
+
+  } catch (error) {
+    throw new Error(`MSI scoring failed: ${error.message}`);
+  }
+}
+
 /**
  * Run custom Python code
  */
@@ -1308,6 +5046,60 @@ self.onmessage = async (event) => {
         });
         break;
 
+      case 'annotate-variants':
+        const annotation = await annotateVariants(payload.variants, payload.options);
+        self.postMessage({
+          type: 'annotate-variants-response',
+          id,
+          result: annotation
+        });
+        break;
+
+      case 'measure-depth':
+        const depths = await measureLocusDepth(payload.fileData, payload.loci, payload.options);
+        self.postMessage({
+          type: 'measure-depth-response',
+          id,
+          result: depths
+        });
+        break;
+
+      case 'call-fusions':
+        const fusions = await callFusions(payload.fileData, payload.catalog, payload.options);
+        self.postMessage({
+          type: 'call-fusions-response',
+          id,
+          result: fusions
+        });
+        break;
+
+      case 'score-msi':
+        const msi = await scoreMsi(payload.fileData, payload.catalog, payload.options);
+        self.postMessage({
+          type: 'score-msi-response',
+          id,
+          result: msi
+        });
+        break;
+
+      case 'correct-gc-bias':
+        const gcFit = await correctMergedGcBias(payload.windows);
+        self.postMessage({
+          type: 'correct-gc-bias-response',
+          id,
+          result: gcFit
+        });
+        break;
+
+      case 'read-bam-header':
+        const header = await readBamHeader(payload.fileData, payload.options);
+        self.postMessage({
+          type: 'read-bam-header-response',
+          id,
+          result: header
+        });
+        break;
+
       case 'run-python':
         const output = await runPythonCode(payload.code);
         self.postMessage({